@@ -0,0 +1,244 @@
+// auditLog.js
+const crypto = require('crypto');
+const { createAuditStore } = require('./index');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'AuditLog' });
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 3;
+
+// Fields covered by each record's hash, in hashing order
+const HASHED_FIELDS = [
+    'sequence',
+    'timestamp',
+    'action',
+    'outcome',
+    'reason',
+    'cached',
+    'callerId',
+    'callerType',
+    'userId',
+    'aadObjectId',
+    'tenantId',
+    'connectionName',
+    'resource',
+    'correlationId',
+    'previousHash'
+];
+
+/**
+ * Tamper-evident audit log of token issuance.
+ *
+ * Every record carries the hash of the record before it, and its own hash covers all of its
+ * fields plus that previous hash, so editing, deleting or reordering any record breaks the chain
+ * from that point on. With AUDIT_HMAC_KEY set the hashes are HMAC-SHA256, so the chain cannot be
+ * recomputed by someone with write access to the store but not to the key.
+ *
+ * Appends are serialized within the process; across processes the backend's unique sequence
+ * constraint makes the loser re-read the chain head and retry.
+ */
+class AuditLog {
+    /**
+     * @param {AuditStoreBackend} store - The storage backend (see audit/index.js)
+     * @param {Object} options
+     * @param {string} options.hmacKey - Key for HMAC-SHA256 hashes (AUDIT_HMAC_KEY); plain SHA-256 without one
+     */
+    constructor(store = createAuditStore(), options = {}) {
+        this.store = store;
+        this.hmacKey = options.hmacKey || process.env.AUDIT_HMAC_KEY || null;
+        this.head = { sequence: 0, hash: GENESIS_HASH };
+        this.writeQueue = Promise.resolve();
+        this.available = false;
+        this.lastError = null;
+        this.failedWrites = 0;
+    }
+
+    /**
+     * Connect the backend and load the chain head.
+     * If the backend is unavailable the bot keeps running and audit writes are logged as failures.
+     */
+    async initialize() {
+        try {
+            await this.store.initialize();
+            await this.loadHead();
+            this.available = true;
+            this.lastError = null;
+            log.info('Audit log ready', { backend: this.store.name, records: this.head.sequence, hmac: !!this.hmacKey });
+        } catch (error) {
+            this.available = false;
+            this.lastError = error.message;
+            log.error('Audit log unavailable, token issuance will not be audited', { backend: this.store.name, error: error.message });
+        }
+    }
+
+    async loadHead() {
+        const last = await this.store.getLastRecord();
+        if (last && !Number.isInteger(last.sequence)) {
+            throw new Error('The last audit record is unreadable; verify the chain before appending to it');
+        }
+        this.head = last ? { sequence: last.sequence, hash: last.hash } : { sequence: 0, hash: GENESIS_HASH };
+    }
+
+    /**
+     * Append an audit record. Never throws: a failed write is logged and counted.
+     * @param {Object} event
+     * @param {string} event.action - token | refresh | batch | profile | validate | obo | graph | mail | send-mail | scheduled-refresh | consent
+     * @param {string} event.outcome - issued | denied | failed, or granted | revoked for consent
+     * @param {string} event.reason - Error or policy reason for denied/failed outcomes
+     * @param {Object} event.caller - The authenticated caller ({ id, type }), if any
+     * @param {string} event.userId - Target user
+     * @param {string} event.aadObjectId - Target user's AAD object id
+     * @param {string} event.tenantId - Target user's tenant
+     * @param {string} event.connectionName - OAuth connection
+     * @param {string} event.resource - OBO resource, if any
+     * @param {boolean} event.cached - Whether the token came from the token cache
+     * @param {string} event.correlationId - Correlation id of the request
+     * @returns {Promise<Object|null>} The stored record, or null if it could not be written
+     */
+    record(event) {
+        const result = this.writeQueue.then(() => this.append(event));
+        this.writeQueue = result.catch(() => {});
+        return result.catch((error) => {
+            this.failedWrites++;
+            this.lastError = error.message;
+            log.error('Failed to write audit record', { action: event.action, userId: event.userId, error });
+            return null;
+        });
+    }
+
+    async append(event) {
+        if (!this.available) {
+            throw new Error('Audit log not available');
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            const record = this.buildRecord(event, this.head);
+            try {
+                await this.store.append(record);
+                this.head = { sequence: record.sequence, hash: record.hash };
+                return record;
+            } catch (error) {
+                if (error.code !== 'SEQUENCE_CONFLICT' || attempt >= MAX_APPEND_ATTEMPTS) {
+                    throw error;
+                }
+                // Another instance appended first; continue the chain from its record
+                await this.loadHead();
+            }
+        }
+    }
+
+    buildRecord(event, head) {
+        const record = {
+            sequence: head.sequence + 1,
+            timestamp: new Date().toISOString(),
+            action: event.action,
+            outcome: event.outcome,
+            reason: event.reason || null,
+            cached: !!event.cached,
+            callerId: event.caller?.id || null,
+            callerType: event.caller?.type || null,
+            userId: event.userId || null,
+            aadObjectId: event.aadObjectId || null,
+            tenantId: event.tenantId || null,
+            connectionName: event.connectionName || null,
+            resource: event.resource || null,
+            correlationId: event.correlationId || null,
+            previousHash: head.hash
+        };
+        record.hash = this.hashRecord(record);
+        return record;
+    }
+
+    hashRecord(record) {
+        const canonical = JSON.stringify(HASHED_FIELDS.map(field => record[field] ?? null));
+        const hash = this.hmacKey
+            ? crypto.createHmac('sha256', this.hmacKey)
+            : crypto.createHash('sha256');
+        return hash.update(canonical).digest('hex');
+    }
+
+    /**
+     * Find records, newest first
+     * @param {Object} filter - { userId, aadObjectId, callerId, action, outcome, tenantIds, from (Date), to (Date), limit }
+     */
+    async query(filter = {}) {
+        if (!this.available) {
+            throw new Error('Audit log not available');
+        }
+        return await this.store.find({ ...filter, limit: Math.min(filter.limit || 100, 1000) });
+    }
+
+    /**
+     * Walk the whole chain and recompute every hash
+     * @returns {Promise<Object>} { valid, records, headSequence, headHash } or, when broken,
+     *   { valid: false, records, brokenAt, problem }
+     */
+    async verify() {
+        if (!this.available) {
+            throw new Error('Audit log not available');
+        }
+
+        // Let queued appends land so the walk ends at the current head
+        await this.writeQueue;
+
+        let expectedSequence = 1;
+        let previousHash = GENESIS_HASH;
+        let records = 0;
+
+        for await (const record of this.store.readAll()) {
+            records++;
+            let problem = null;
+
+            if (record.unreadable !== undefined) {
+                problem = 'Record is not valid JSON';
+            } else if (record.sequence !== expectedSequence) {
+                problem = `Expected sequence ${expectedSequence}, found ${record.sequence}`;
+            } else if (record.previousHash !== previousHash) {
+                problem = 'previousHash does not match the preceding record';
+            } else if (record.hash !== this.hashRecord(record)) {
+                problem = 'Record hash does not match its contents';
+            }
+
+            if (problem) {
+                log.warn('Audit chain verification failed', { brokenAt: expectedSequence, problem });
+                return { valid: false, records, brokenAt: expectedSequence, problem };
+            }
+
+            expectedSequence++;
+            previousHash = record.hash;
+        }
+
+        // Records cut off the end leave a valid but shorter chain; compare with what this process wrote
+        if (expectedSequence - 1 < this.head.sequence) {
+            const problem = `Chain ends at sequence ${expectedSequence - 1} but ${this.head.sequence} records were written`;
+            log.warn('Audit chain verification failed', { brokenAt: expectedSequence, problem });
+            return { valid: false, records, brokenAt: expectedSequence, problem };
+        }
+
+        return { valid: true, records, headSequence: expectedSequence - 1, headHash: previousHash };
+    }
+
+    async healthCheck() {
+        const connected = this.available ? await this.store.healthCheck() : false;
+        return {
+            backend: this.store.name,
+            durable: this.store.durable,
+            available: this.available,
+            connected: connected,
+            records: this.head.sequence,
+            failedWrites: this.failedWrites,
+            lastError: this.lastError
+        };
+    }
+
+    async close() {
+        await this.writeQueue;
+        if (this.available) {
+            await this.store.close();
+            this.available = false;
+        }
+    }
+}
+
+module.exports = { AuditLog, GENESIS_HASH };
@@ -0,0 +1,94 @@
+// auditStoreBackend.js
+
+/**
+ * Interface for audit record storage backends.
+ * Backends append records in sequence order and never modify or delete them; the hash chain
+ * itself is maintained by AuditLog. Implementations must override every method below.
+ */
+class AuditStoreBackend {
+    /**
+     * @param {string} name - Backend name reported by health checks
+     * @param {boolean} durable - Whether records survive a process restart
+     */
+    constructor(name, durable) {
+        this.name = name;
+        this.durable = durable;
+    }
+
+    /**
+     * Prepare the backend for use (open connections, load files, ...)
+     */
+    async initialize() {
+        throw new Error(`${this.name}: initialize() not implemented`);
+    }
+
+    /**
+     * Append a record. Must reject with an error whose code is SEQUENCE_CONFLICT when a record
+     * with the same sequence already exists (another process appended first).
+     * @param {Object} record - The chained audit record
+     */
+    async append(record) {
+        throw new Error(`${this.name}: append() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The record with the highest sequence
+     */
+    async getLastRecord() {
+        throw new Error(`${this.name}: getLastRecord() not implemented`);
+    }
+
+    /**
+     * Find records, newest first
+     * @param {Object} filter - { userId, aadObjectId, callerId, action, outcome, from, to, limit }
+     * @returns {Promise<Object[]>}
+     */
+    async find(filter) {
+        throw new Error(`${this.name}: find() not implemented`);
+    }
+
+    /**
+     * Read every record in sequence order, for chain verification
+     * @returns {AsyncIterable<Object>}
+     */
+    async * readAll() {
+        throw new Error(`${this.name}: readAll() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the backend is usable
+     */
+    async healthCheck() {
+        throw new Error(`${this.name}: healthCheck() not implemented`);
+    }
+
+    async close() {
+        throw new Error(`${this.name}: close() not implemented`);
+    }
+}
+
+/**
+ * Error raised by append() when the sequence number is already taken
+ */
+function sequenceConflict(sequence) {
+    const error = new Error(`Audit record ${sequence} already exists`);
+    error.code = 'SEQUENCE_CONFLICT';
+    return error;
+}
+
+/**
+ * In-process filter shared by the memory and file backends
+ */
+function matchesFilter(record, filter = {}) {
+    if (filter.userId && record.userId !== filter.userId) return false;
+    if (filter.aadObjectId && record.aadObjectId !== filter.aadObjectId) return false;
+    if (filter.callerId && record.callerId !== filter.callerId) return false;
+    if (filter.action && record.action !== filter.action) return false;
+    if (filter.outcome && record.outcome !== filter.outcome) return false;
+    if (filter.tenantIds && !filter.tenantIds.includes(record.tenantId)) return false;
+    if (filter.from && record.timestamp < filter.from.toISOString()) return false;
+    if (filter.to && record.timestamp > filter.to.toISOString()) return false;
+    return true;
+}
+
+module.exports = { AuditStoreBackend, sequenceConflict, matchesFilter };
@@ -0,0 +1,179 @@
+// fileAuditStore.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { AuditStoreBackend, sequenceConflict, matchesFilter } = require('./auditStoreBackend');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'FileAuditStore' });
+
+const AUDIT_FILE = 'audit.log';
+
+// Bytes read at a time when scanning the file from the end
+const READ_CHUNK_SIZE = 64 * 1024;
+const NEWLINE = 0x0a;
+
+/**
+ * File-backed audit store backend: one JSON record per line in an append-only file,
+ * fsynced after every append. Only the last record is kept in memory; queries and chain
+ * verification read the file itself, so they see it as it is on disk, edits included.
+ * A torn last line left behind by a crash was never acknowledged, so it is cut off on load.
+ */
+class FileAuditStore extends AuditStoreBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory holding audit.log (AUDIT_STORE_DIR, then CONTEXT_STORE_DIR, then .data)
+     */
+    constructor(options = {}) {
+        super('file', true);
+        this.directory = options.directory ||
+            process.env.AUDIT_STORE_DIR ||
+            process.env.CONTEXT_STORE_DIR ||
+            path.join(__dirname, '..', '.data');
+        this.filePath = path.join(this.directory, AUDIT_FILE);
+        this.last = null;
+        this.handle = null;
+    }
+
+    async initialize() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        this.handle = await fs.promises.open(this.filePath, 'a+');
+        const { size } = await this.handle.stat();
+        const complete = await completeLength(this.handle, size);
+        if (complete !== size) {
+            log.warn('Discarding torn audit record at end of file', { filePath: this.filePath });
+            await this.handle.truncate(complete);
+        }
+
+        for await (const line of this.readLinesBackward()) {
+            this.last = parseRecord(line);
+            break;
+        }
+        log.info('File audit store loaded', { lastSequence: this.last?.sequence ?? 0, filePath: this.filePath });
+    }
+
+    async append(record) {
+        if (!this.handle) {
+            throw new Error('File audit store not initialized');
+        }
+
+        if (this.last && this.last.sequence >= record.sequence) {
+            throw sequenceConflict(record.sequence);
+        }
+
+        await this.handle.write(JSON.stringify(record) + '\n');
+        await this.handle.datasync();
+        this.last = { ...record };
+    }
+
+    async getLastRecord() {
+        return this.last ? { ...this.last } : null;
+    }
+
+    async find(filter = {}) {
+        const limit = filter.limit || 100;
+        const results = [];
+        for await (const line of this.readLinesBackward()) {
+            const record = parseRecord(line);
+            if (matchesFilter(record, filter)) {
+                results.push(record);
+                if (results.length >= limit) break;
+            }
+        }
+        return results;
+    }
+
+    async * readAll() {
+        const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (line.trim()) {
+                yield parseRecord(line);
+            }
+        }
+    }
+
+    /**
+     * Lines of the file, last first, read in chunks from the end
+     * @returns {AsyncGenerator<string>}
+     */
+    async * readLinesBackward() {
+        const handle = await fs.promises.open(this.filePath, 'r');
+        try {
+            let position = (await handle.stat()).size;
+            let leftover = Buffer.alloc(0);
+            while (position > 0) {
+                const size = Math.min(READ_CHUNK_SIZE, position);
+                position -= size;
+                const chunk = Buffer.alloc(size);
+                await handle.read(chunk, 0, size, position);
+
+                // Lines are split on the newline byte, which never occurs inside a multi-byte UTF-8 character
+                const buffer = Buffer.concat([chunk, leftover]);
+                let end = buffer.length;
+                let newline = buffer.lastIndexOf(NEWLINE, end - 1);
+                while (newline >= 0) {
+                    const line = buffer.toString('utf8', newline + 1, end);
+                    if (line.trim()) yield line;
+                    end = newline;
+                    newline = end > 0 ? buffer.lastIndexOf(NEWLINE, end - 1) : -1;
+                }
+                leftover = buffer.subarray(0, end);
+            }
+
+            const first = leftover.toString('utf8');
+            if (first.trim()) yield first;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async healthCheck() {
+        if (!this.handle) return false;
+        try {
+            await fs.promises.access(this.directory, fs.constants.W_OK);
+            return true;
+        } catch (error) {
+            log.error('File audit store health check failed', error);
+            return false;
+        }
+    }
+
+    async close() {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+/**
+ * Length of the file up to and including its last newline, i.e. without a torn last line
+ */
+async function completeLength(handle, size) {
+    let position = size;
+    while (position > 0) {
+        const length = Math.min(READ_CHUNK_SIZE, position);
+        position -= length;
+        const chunk = Buffer.alloc(length);
+        await handle.read(chunk, 0, length, position);
+        const newline = chunk.lastIndexOf(NEWLINE);
+        if (newline >= 0) {
+            return position + newline + 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Unparseable lines are kept as-is so chain verification reports them instead of skipping them
+ */
+function parseRecord(line) {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return { unreadable: line };
+    }
+}
+
+module.exports = { FileAuditStore };
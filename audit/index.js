@@ -0,0 +1,38 @@
+// index.js - audit store backend selection
+const { AuditStoreBackend } = require('./auditStoreBackend');
+const { MemoryAuditStore } = require('./memoryAuditStore');
+const { FileAuditStore } = require('./fileAuditStore');
+const { MongoAuditStore } = require('./mongoAuditStore');
+
+const BACKENDS = {
+    memory: () => new MemoryAuditStore(),
+    file: () => new FileAuditStore(),
+    mongodb: () => new MongoAuditStore()
+};
+
+/**
+ * Create the audit store backend named by AUDIT_STORE_BACKEND (memory | file | mongodb).
+ * Defaults to the context store backend, so audit records live next to user contexts.
+ * @param {string} backendName - Overrides the environment variable
+ * @returns {AuditStoreBackend}
+ */
+function createAuditStore(backendName = process.env.AUDIT_STORE_BACKEND) {
+    const name = (backendName ||
+        process.env.CONTEXT_STORE_BACKEND ||
+        (process.env.MONGODB_CONNECTION_STRING ? 'mongodb' : 'file')).toLowerCase();
+    const factory = BACKENDS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown audit store backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return factory();
+}
+
+module.exports = {
+    createAuditStore,
+    AuditStoreBackend,
+    MemoryAuditStore,
+    FileAuditStore,
+    MongoAuditStore
+};
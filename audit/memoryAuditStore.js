@@ -0,0 +1,53 @@
+// memoryAuditStore.js
+const { AuditStoreBackend, sequenceConflict, matchesFilter } = require('./auditStoreBackend');
+
+/**
+ * In-memory audit store backend.
+ * Nothing survives a restart; intended for tests and throwaway local runs.
+ */
+class MemoryAuditStore extends AuditStoreBackend {
+    constructor() {
+        super('memory', false);
+        this.records = [];
+    }
+
+    async initialize() {}
+
+    async append(record) {
+        const last = this.records[this.records.length - 1];
+        if (last && last.sequence >= record.sequence) {
+            throw sequenceConflict(record.sequence);
+        }
+        this.records.push({ ...record });
+    }
+
+    async getLastRecord() {
+        const last = this.records[this.records.length - 1];
+        return last ? { ...last } : null;
+    }
+
+    async find(filter = {}) {
+        const limit = filter.limit || 100;
+        const results = [];
+        for (let index = this.records.length - 1; index >= 0 && results.length < limit; index--) {
+            if (matchesFilter(this.records[index], filter)) {
+                results.push({ ...this.records[index] });
+            }
+        }
+        return results;
+    }
+
+    async * readAll() {
+        for (const record of this.records) {
+            yield { ...record };
+        }
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    async close() {}
+}
+
+module.exports = { MemoryAuditStore };
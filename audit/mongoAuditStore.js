@@ -0,0 +1,122 @@
+// mongoAuditStore.js
+const { MongoClient } = require('mongodb');
+const { AuditStoreBackend, sequenceConflict } = require('./auditStoreBackend');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'MongoAuditStore' });
+
+/**
+ * MongoDB audit store backend. A unique index on sequence lets several bot instances share
+ * one chain: the loser of a concurrent append gets SEQUENCE_CONFLICT and AuditLog retries.
+ */
+class MongoAuditStore extends AuditStoreBackend {
+    constructor() {
+        super('mongodb', true);
+        this.client = null;
+        this.db = null;
+        this.collection = null;
+        this.isConnected = false;
+    }
+
+    async initialize() {
+        try {
+            const connectionString = process.env.MONGODB_CONNECTION_STRING || 'mongodb://localhost:27017';
+            const dbName = process.env.MONGODB_DB_NAME || 'teamsbot';
+            const collectionName = process.env.MONGODB_AUDIT_COLLECTION_NAME || 'audit_log';
+
+            const serverSelectionTimeoutMS = parseInt(process.env.MONGODB_TIMEOUT_MS, 10) || 5000;
+
+            this.client = new MongoClient(connectionString, { serverSelectionTimeoutMS });
+            await this.client.connect();
+
+            this.db = this.client.db(dbName);
+            this.collection = this.db.collection(collectionName);
+
+            await this.collection.createIndex({ sequence: 1 }, { unique: true });
+            await this.collection.createIndex({ userId: 1, timestamp: -1 });
+            await this.collection.createIndex({ callerId: 1, timestamp: -1 });
+
+            this.isConnected = true;
+            log.info('MongoDB audit store connected', { dbName, collectionName });
+        } catch (error) {
+            log.error('MongoDB audit store connection failed', error);
+            throw error;
+        }
+    }
+
+    async append(record) {
+        if (!this.isConnected) {
+            throw new Error('MongoDB not connected');
+        }
+
+        try {
+            // insertOne adds _id to the object it is given
+            await this.collection.insertOne({ ...record });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw sequenceConflict(record.sequence);
+            }
+            throw error;
+        }
+    }
+
+    async getLastRecord() {
+        if (!this.isConnected) {
+            throw new Error('MongoDB not connected');
+        }
+
+        return await this.collection.findOne({}, { sort: { sequence: -1 }, projection: { _id: 0 } });
+    }
+
+    async find(filter = {}) {
+        if (!this.isConnected) {
+            throw new Error('MongoDB not connected');
+        }
+
+        const query = {};
+        for (const field of ['userId', 'aadObjectId', 'callerId', 'action', 'outcome']) {
+            if (filter[field]) query[field] = filter[field];
+        }
+        if (filter.tenantIds) query.tenantId = { $in: filter.tenantIds };
+        // Timestamps are stored as ISO strings so they hash identically in every backend
+        if (filter.from || filter.to) {
+            query.timestamp = {};
+            if (filter.from) query.timestamp.$gte = filter.from.toISOString();
+            if (filter.to) query.timestamp.$lte = filter.to.toISOString();
+        }
+
+        return await this.collection
+            .find(query, { projection: { _id: 0 } })
+            .sort({ sequence: -1 })
+            .limit(filter.limit || 100)
+            .toArray();
+    }
+
+    async * readAll() {
+        if (!this.isConnected) {
+            throw new Error('MongoDB not connected');
+        }
+
+        yield * this.collection.find({}, { projection: { _id: 0 } }).sort({ sequence: 1 });
+    }
+
+    async healthCheck() {
+        try {
+            if (!this.isConnected) return false;
+            await this.db.admin().ping();
+            return true;
+        } catch (error) {
+            log.error('MongoDB audit store health check failed', error);
+            return false;
+        }
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.close();
+            this.isConnected = false;
+        }
+    }
+}
+
+module.exports = { MongoAuditStore };
@@ -0,0 +1,186 @@
+// accessPolicy.js
+const { parseConfig, readConfigFile } = require('./configFile');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'AccessPolicy' });
+
+const EFFECTS = ['allow', 'deny'];
+const MATCH_FIELDS = ['callers', 'actions', 'tenantIds', 'aadObjectIds', 'userIds', 'connections', 'resources'];
+
+const REASONS = {
+    ALLOWED_BY_RULE: 'ALLOWED_BY_RULE',
+    DENIED_BY_RULE: 'DENIED_BY_RULE',
+    NO_MATCHING_RULE: 'NO_MATCHING_RULE',
+    NO_POLICY_CONFIGURED: 'NO_POLICY_CONFIGURED'
+};
+
+/**
+ * Declarative authorization policy deciding which API caller may obtain which user's token.
+ *
+ * The policy file (ACCESS_POLICY_FILE, .yaml/.yml or .json) looks like:
+ *
+ *   defaultEffect: deny
+ *   rules:
+ *     - id: reporting-reads-contoso
+ *       effect: allow
+ *       callers: ["reporting-service"]
+ *       actions: ["token", "profile", "batch"]
+ *       tenantIds: ["72f988bf-..."]
+ *       connections: ["graph"]
+ *       resources: ["graph", "internal-api"]
+ *     - id: never-the-ceo
+ *       effect: deny
+ *       callers: ["*"]
+ *       aadObjectIds: ["0f3c..."]
+ *
+ * Every match field is optional; an omitted field matches anything and values may use `*` wildcards.
+ * A matching deny rule always wins, otherwise the first matching allow rule allows,
+ * otherwise defaultEffect applies. Without a policy file every request is denied, unless
+ * ACCESS_POLICY_DEFAULT=allow explicitly opts into letting every caller obtain every user's token.
+ */
+class AccessPolicy {
+    /**
+     * @param {Object|null} policy - Parsed policy document, or null when no policy is configured
+     * @param {string} source - Where the policy came from (for logging)
+     * @param {string} unconfiguredEffect - allow | deny, the decision when policy is null
+     */
+    constructor(policy, source = 'inline', unconfiguredEffect = 'deny') {
+        this.source = source;
+        this.policy = policy ? validatePolicy(policy) : null;
+        this.unconfiguredEffect = unconfiguredEffect;
+    }
+
+    /**
+     * Load the policy named by ACCESS_POLICY_FILE
+     * @param {string} filePath - Overrides the environment variable
+     * @returns {AccessPolicy}
+     */
+    static fromFile(filePath = process.env.ACCESS_POLICY_FILE) {
+        if (!filePath) {
+            const effect = process.env.ACCESS_POLICY_DEFAULT || 'deny';
+            if (!EFFECTS.includes(effect)) {
+                throw new Error(`[AccessPolicy]: Invalid ACCESS_POLICY_DEFAULT "${effect}"`);
+            }
+
+            if (effect === 'allow') {
+                log.warn('No ACCESS_POLICY_FILE configured and ACCESS_POLICY_DEFAULT=allow - every authenticated caller may obtain every user\'s token');
+            } else {
+                log.warn('No ACCESS_POLICY_FILE configured - every REST token request is denied');
+            }
+            return new AccessPolicy(null, 'none', effect);
+        }
+
+        const policy = readConfigFile(filePath);
+        log.info('Access policy loaded', { filePath, ruleCount: policy.rules?.length || 0 });
+        return new AccessPolicy(policy, filePath);
+    }
+
+    /**
+     * Parse a policy document given as YAML or JSON text or as an object (used by the dry-run endpoint)
+     */
+    static fromDocument(document) {
+        const policy = typeof document === 'string' ? parseConfig(document) : document;
+        return new AccessPolicy(policy, 'inline');
+    }
+
+    /**
+     * Decide whether a caller may perform an action on a user's token
+     * @param {Object} request
+     * @param {Object} request.caller - The authenticated caller ({ id, ... })
+     * @param {string} request.action - token | refresh | validate | profile | batch | obo | graph | mail | send-mail
+     * @param {string} request.userId - The Bot Framework user ID
+     * @param {string} request.tenantId - The user's tenant from the stored context
+     * @param {string} request.aadObjectId - The user's AAD object ID from the stored context
+     * @param {string} request.connectionName - The OAuth connection the token is for
+     * @param {string} request.resource - The downstream resource for on-behalf-of requests
+     * @returns {{allowed: boolean, reason: string, ruleId: string|null, message: string}}
+     */
+    evaluate(request) {
+        if (!this.policy) {
+            const allowed = this.unconfiguredEffect === 'allow';
+            return decision(allowed, REASONS.NO_POLICY_CONFIGURED, null, allowed
+                ? 'No access policy configured; ACCESS_POLICY_DEFAULT=allow'
+                : 'No access policy configured; set ACCESS_POLICY_FILE to allow callers');
+        }
+
+        const facts = {
+            callers: request.caller?.id,
+            actions: request.action,
+            tenantIds: request.tenantId,
+            aadObjectIds: request.aadObjectId,
+            userIds: request.userId,
+            connections: request.connectionName,
+            resources: request.resource
+        };
+
+        const matching = this.policy.rules.filter(rule => ruleMatches(rule, facts));
+
+        const deny = matching.find(rule => rule.effect === 'deny');
+        if (deny) {
+            return decision(false, REASONS.DENIED_BY_RULE, deny.id, `Denied by rule "${deny.id}"`);
+        }
+
+        const allow = matching.find(rule => rule.effect === 'allow');
+        if (allow) {
+            return decision(true, REASONS.ALLOWED_BY_RULE, allow.id, `Allowed by rule "${allow.id}"`);
+        }
+
+        return decision(
+            this.policy.defaultEffect === 'allow',
+            REASONS.NO_MATCHING_RULE,
+            null,
+            `No rule matched; default effect is ${this.policy.defaultEffect}`
+        );
+    }
+}
+
+function decision(allowed, reason, ruleId, message) {
+    return { allowed, reason, ruleId, message };
+}
+
+function ruleMatches(rule, facts) {
+    return MATCH_FIELDS.every(field => {
+        const patterns = rule[field];
+        if (!patterns) return true;
+        const value = facts[field];
+        if (value === undefined || value === null) return false;
+        return patterns.some(pattern => wildcardMatch(pattern, String(value)));
+    });
+}
+
+function wildcardMatch(pattern, value) {
+    if (pattern === '*') return true;
+    if (!pattern.includes('*')) return pattern.toLowerCase() === value.toLowerCase();
+
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`, 'i').test(value);
+}
+
+function validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error('[AccessPolicy]: Policy must be an object');
+    }
+
+    const defaultEffect = policy.defaultEffect || 'deny';
+    if (!EFFECTS.includes(defaultEffect)) {
+        throw new Error(`[AccessPolicy]: Invalid defaultEffect "${defaultEffect}"`);
+    }
+
+    const rules = (policy.rules || []).map((rule, index) => {
+        const id = rule.id || `rule-${index + 1}`;
+        if (!EFFECTS.includes(rule.effect)) {
+            throw new Error(`[AccessPolicy]: Rule "${id}" has invalid effect "${rule.effect}"`);
+        }
+
+        const normalized = { id, effect: rule.effect };
+        for (const field of MATCH_FIELDS) {
+            if (rule[field] === undefined) continue;
+            normalized[field] = (Array.isArray(rule[field]) ? rule[field] : [rule[field]]).map(String);
+        }
+        return normalized;
+    });
+
+    return { defaultEffect, rules };
+}
+
+module.exports = { AccessPolicy, REASONS };
@@ -0,0 +1,227 @@
+// callerAuthenticator.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { JwtVerifier } = require('./jwtVerifier');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'CallerAuthenticator' });
+
+const SCOPES = {
+    TOKEN_READ: 'token:read',
+    TOKEN_REFRESH: 'token:refresh',
+    PROFILE_READ: 'profile:read',
+    MAIL_READ: 'mail:read',
+    MAIL_SEND: 'mail:send',
+    AUDIT_READ: 'audit:read',
+    WEBHOOKS_MANAGE: 'webhooks:manage',
+    EVENTS_READ: 'events:read',
+    GRAPH_PROXY: 'graph:proxy',
+    ADMIN: 'admin'
+};
+
+/**
+ * Authenticates callers of the REST API.
+ *
+ * Two credential types are accepted:
+ *  - API keys, sent as `X-API-Key: <key>` or `Authorization: ApiKey <key>`. Keys are configured
+ *    in API_KEYS_FILE (or inline JSON in API_KEYS) as
+ *    [{ "id": "reporting-service", "key": "..." | "keySha256": "<hex>", "scopes": ["token:read"], "tenants": ["<tenant id>"] }]
+ *  - Entra-style bearer JWTs, verified against AUTH_JWKS_URI (URL or local file). AUTH_JWT_AUDIENCES and
+ *    AUTH_JWT_ISSUERS or AUTH_JWT_TENANTS are required with it, since any app can get tokens signed by
+ *    the shared Entra keys. Scopes come from the `scp` and `roles` claims; the caller id is the client
+ *    app id and its tenant the `tid` claim.
+ *
+ * Authenticated requests get `req.caller = { id, type, scopes, tenantId, tenants, claims }`, where
+ * `tenants` lists the user tenants the caller may act on (null for any, see TenantPolicy).
+ * The `admin` scope satisfies every scope check.
+ */
+class CallerAuthenticator {
+    /**
+     * @param {Object} options
+     * @param {Array} options.apiKeys - API key definitions (defaults to API_KEYS_FILE / API_KEYS)
+     * @param {JwtVerifier} options.jwtVerifier - Bearer token verifier (defaults to AUTH_JWKS_URI settings)
+     */
+    constructor(options = {}) {
+        this.apiKeys = (options.apiKeys || loadApiKeysFromEnv()).map(normalizeApiKey);
+        this.jwtVerifier = options.jwtVerifier !== undefined ? options.jwtVerifier : createJwtVerifierFromEnv();
+
+        log.info('Caller authentication configured', { apiKeyCount: this.apiKeys.length, bearerJwt: !!this.jwtVerifier });
+    }
+
+    /**
+     * Resolve the caller for a request
+     * @param {Object} req - The restify request
+     * @returns {Promise<{success: boolean, caller?: Object, error?: string, message?: string}>}
+     */
+    async authenticate(req) {
+        const authorization = req.headers.authorization || '';
+        const apiKey = req.headers['x-api-key'] ||
+            (/^ApiKey\s+/i.test(authorization) ? authorization.replace(/^ApiKey\s+/i, '') : null);
+
+        if (apiKey) {
+            const caller = this.authenticateApiKey(apiKey);
+            return caller
+                ? { success: true, caller }
+                : { success: false, error: 'Unauthorized', message: 'Invalid API key' };
+        }
+
+        if (/^Bearer\s+/i.test(authorization)) {
+            if (!this.jwtVerifier) {
+                return { success: false, error: 'Unauthorized', message: 'Bearer tokens are not accepted by this server' };
+            }
+
+            try {
+                const claims = await this.jwtVerifier.verify(authorization.replace(/^Bearer\s+/i, ''));
+                return { success: true, caller: callerFromClaims(claims) };
+            } catch (error) {
+                return { success: false, error: 'Unauthorized', message: error.message };
+            }
+        }
+
+        return { success: false, error: 'Unauthorized', message: 'Missing credentials' };
+    }
+
+    authenticateApiKey(apiKey) {
+        const presentedHash = sha256(apiKey);
+        const match = this.apiKeys.find(entry =>
+            crypto.timingSafeEqual(entry.keyHash, presentedHash)
+        );
+
+        if (!match) return null;
+
+        return {
+            id: match.id,
+            type: 'apiKey',
+            scopes: match.scopes,
+            tenantId: match.tenantId || null,
+            tenants: match.tenants,
+            claims: null
+        };
+    }
+
+    /**
+     * restify middleware authenticating every /api/* route except the Bot Framework messaging endpoint
+     */
+    middleware() {
+        return (req, res, next) => {
+            const path = req.path();
+            if (req.method === 'OPTIONS' || !path.startsWith('/api/') || path === '/api/messages') {
+                return next();
+            }
+
+            this.authenticate(req).then((result) => {
+                if (!result.success) {
+                    log.warn('Rejected unauthenticated call', { method: req.method, path, reason: result.message });
+                    res.header('WWW-Authenticate', 'Bearer, ApiKey');
+                    res.send(401, {
+                        success: false,
+                        error: result.error,
+                        message: result.message,
+                        correlationId: req.correlationId,
+                        timestamp: new Date().toISOString()
+                    });
+                    return next(false);
+                }
+
+                req.caller = result.caller;
+                return next();
+            }).catch(next);
+        };
+    }
+}
+
+/**
+ * Route handler rejecting callers that lack the given scope.
+ * Usage: server.get('/api/...', requireScope(SCOPES.TOKEN_READ), handler)
+ * @param {string} scope - The required scope
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (hasScope(req.caller, scope)) {
+            return next();
+        }
+
+        res.send(403, {
+            success: false,
+            error: 'Forbidden',
+            message: `Caller is missing required scope: ${scope}`,
+            requiredScope: scope,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return next(false);
+    };
+}
+
+function hasScope(caller, scope) {
+    if (!caller) return false;
+    return caller.scopes.includes(SCOPES.ADMIN) || caller.scopes.includes(scope);
+}
+
+function callerFromClaims(claims) {
+    const scopes = [
+        ...(typeof claims.scp === 'string' ? claims.scp.split(' ') : []),
+        ...(Array.isArray(claims.roles) ? claims.roles : [])
+    ].filter(Boolean);
+
+    return {
+        id: claims.azp || claims.appid || claims.oid || claims.sub,
+        type: 'jwt',
+        scopes: scopes,
+        tenantId: claims.tid || null,
+        tenants: claims.tid ? [claims.tid] : null,
+        claims: claims
+    };
+}
+
+function loadApiKeysFromEnv() {
+    if (process.env.API_KEYS_FILE) {
+        return JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+    }
+    if (process.env.API_KEYS) {
+        return JSON.parse(process.env.API_KEYS);
+    }
+    return [];
+}
+
+function normalizeApiKey(entry) {
+    if (!entry.id || (!entry.key && !entry.keySha256)) {
+        throw new Error('[CallerAuthenticator]: Each API key needs an id and a key or keySha256');
+    }
+
+    const keyHash = entry.keySha256 ? Buffer.from(entry.keySha256, 'hex') : sha256(entry.key);
+    if (keyHash.length !== 32) {
+        throw new Error(`[CallerAuthenticator]: keySha256 for ${entry.id} is not a hex SHA-256 digest`);
+    }
+
+    return {
+        id: entry.id,
+        keyHash: keyHash,
+        scopes: entry.scopes || [],
+        tenantId: entry.tenantId,
+        tenants: entry.tenants || (entry.tenantId ? [entry.tenantId] : null)
+    };
+}
+
+function createJwtVerifierFromEnv() {
+    if (!process.env.AUTH_JWKS_URI) return null;
+
+    const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    return new JwtVerifier({
+        jwksUri: process.env.AUTH_JWKS_URI,
+        issuers: list(process.env.AUTH_JWT_ISSUERS),
+        tenants: list(process.env.AUTH_JWT_TENANTS),
+        audiences: list(process.env.AUTH_JWT_AUDIENCES)
+    });
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value, 'utf8').digest();
+}
+
+module.exports = {
+    CallerAuthenticator,
+    requireScope,
+    hasScope,
+    SCOPES
+};
@@ -0,0 +1,29 @@
+// configFile.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Parse a configuration document. `.json` files are parsed as JSON, anything else as YAML
+ * (a superset of JSON, so JSON without an extension works too).
+ * @param {string} text - The document text
+ * @param {string} extension - File extension hint, e.g. '.json'
+ * @returns {Object} The parsed document
+ */
+function parseConfig(text, extension = '') {
+    if (extension.toLowerCase() === '.json') {
+        return JSON.parse(text);
+    }
+    return yaml.load(text);
+}
+
+/**
+ * Read and parse a YAML or JSON configuration file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} The parsed document
+ */
+function readConfigFile(filePath) {
+    return parseConfig(fs.readFileSync(filePath, 'utf8'), path.extname(filePath));
+}
+
+module.exports = { parseConfig, readConfigFile };
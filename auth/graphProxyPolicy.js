@@ -0,0 +1,140 @@
+// graphProxyPolicy.js
+const { readConfigFile } = require('./configFile');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'GraphProxyPolicy' });
+
+const METHODS = ['GET', 'POST', 'PATCH', 'PUT', 'DELETE'];
+const VERSIONS = ['v1.0', 'beta'];
+
+// Read-only access to what the bot itself reads: the profile, photo and calendar
+const DEFAULT_ALLOWLIST = {
+    versions: ['v1.0'],
+    rules: [
+        { path: '/me', methods: ['GET'] },
+        { path: '/me/photo/**', methods: ['GET'] },
+        { path: '/me/events/**', methods: ['GET'] },
+        { path: '/me/calendarView', methods: ['GET'] }
+    ]
+};
+
+/**
+ * Which Graph requests the proxy (/api/user/:userId/graph/*) forwards.
+ *
+ * The allowlist (GRAPH_PROXY_ALLOWLIST_FILE, YAML or JSON) looks like:
+ *
+ *   versions: [v1.0]                # API versions callers may use (v1.0, beta)
+ *   rules:
+ *     - path: /me/messages/*        # * matches one path segment, ** any number (including none)
+ *       methods: [GET]
+ *     - path: /me/sendMail
+ *       methods: [POST]
+ *
+ * Paths are matched case-insensitively without the version and query string. A request is
+ * forwarded only when a rule matches both its path and its method. Without a file the proxy
+ * allows GET on the profile, photo and calendar.
+ */
+class GraphProxyPolicy {
+    /**
+     * @param {Object} allowlist - { versions, rules: [{ path, methods }] }
+     * @param {string} source - Where the allowlist came from (for logging)
+     */
+    constructor(allowlist = DEFAULT_ALLOWLIST, source = 'default') {
+        this.source = source;
+        this.versions = validateVersions(allowlist.versions || ['v1.0']);
+        this.rules = (allowlist.rules || []).map(validateRule);
+    }
+
+    static fromEnv(filePath = process.env.GRAPH_PROXY_ALLOWLIST_FILE) {
+        if (!filePath) {
+            log.info('No GRAPH_PROXY_ALLOWLIST_FILE configured; the Graph proxy allows GET on the profile, photo and calendar');
+            return new GraphProxyPolicy();
+        }
+
+        const policy = new GraphProxyPolicy(readConfigFile(filePath) || {}, filePath);
+        log.info('Graph proxy allowlist loaded', { filePath, versions: policy.versions, ruleCount: policy.rules.length });
+        return policy;
+    }
+
+    /**
+     * Check a proxied request
+     * @param {string} method - HTTP method
+     * @param {string} path - Path after /graph, starting with the version, e.g. /v1.0/me/events
+     * @returns {Object} { allowed: true, version, path } or { allowed: false, badRequest, error, message }
+     */
+    check(method, path) {
+        const segments = String(path || '').split('/').filter(Boolean);
+        if (segments.some(segment => segment === '.' || segment === '..' || /[\\%]/.test(segment))) {
+            return deny(true, 'Invalid Graph path', 'The path must not contain dot segments, backslashes or escapes');
+        }
+
+        const [version, ...rest] = segments;
+        if (!this.versions.includes(version)) {
+            return deny(true, 'Invalid Graph path', `The path must start with an allowed API version: ${this.versions.join(', ')}`);
+        }
+
+        const resourcePath = `/${rest.join('/')}`;
+        const rule = this.rules.find(candidate => candidate.pattern.test(resourcePath));
+        if (!rule) {
+            return deny(false, 'Graph path not allowed', `${resourcePath} is not on the Graph proxy allowlist`);
+        }
+        if (!rule.methods.includes(method)) {
+            return deny(false, 'Graph method not allowed', `${method} is not allowed on ${resourcePath}`);
+        }
+
+        return { allowed: true, version, path: resourcePath };
+    }
+
+    stats() {
+        return {
+            source: this.source,
+            versions: this.versions,
+            rules: this.rules.map(rule => ({ path: rule.path, methods: rule.methods }))
+        };
+    }
+}
+
+function deny(badRequest, error, message) {
+    return { allowed: false, badRequest, error, message };
+}
+
+function validateVersions(versions) {
+    for (const version of versions) {
+        if (!VERSIONS.includes(version)) {
+            throw new Error(`[GraphProxyPolicy]: Unknown Graph version "${version}". Expected one of: ${VERSIONS.join(', ')}`);
+        }
+    }
+    return versions;
+}
+
+function validateRule(rule, index) {
+    if (typeof rule?.path !== 'string' || !rule.path.startsWith('/')) {
+        throw new Error(`[GraphProxyPolicy]: Rule ${index + 1} needs a path starting with /`);
+    }
+
+    const methods = (rule.methods || ['GET']).map(method => String(method).toUpperCase());
+    const unknown = methods.filter(method => !METHODS.includes(method));
+    if (unknown.length > 0) {
+        throw new Error(`[GraphProxyPolicy]: Rule ${index + 1} has unsupported methods: ${unknown.join(', ')}`);
+    }
+
+    return { path: rule.path, methods, pattern: pathPattern(rule.path) };
+}
+
+/**
+ * Compile a rule path: * matches one segment, a trailing or inner /** any number of segments
+ */
+function pathPattern(path) {
+    const source = path
+        .split('/')
+        .filter(Boolean)
+        .map((segment) => {
+            if (segment === '**') return '(?:/[^/]+)*';
+            const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]+');
+            return `/${escaped}`;
+        })
+        .join('');
+    return new RegExp(`^${source || '/'}$`, 'i');
+}
+
+module.exports = { GraphProxyPolicy };
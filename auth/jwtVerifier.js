@@ -0,0 +1,158 @@
+// jwtVerifier.js
+const crypto = require('crypto');
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+const SUPPORTED_ALGORITHMS = {
+    RS256: 'RSA-SHA256',
+    RS384: 'RSA-SHA384',
+    RS512: 'RSA-SHA512'
+};
+
+/**
+ * Verifies Entra-style bearer JWTs against a JSON Web Key Set.
+ * The JWKS can be an https URL (e.g. https://login.microsoftonline.com/{tenant}/discovery/v2.0/keys)
+ * or a local file path / file:// URL, which lets tests sign their own tokens.
+ */
+class JwtVerifier {
+    /**
+     * @param {Object} options
+     * @param {string} options.jwksUri - JWKS location (URL or file path)
+     * @param {string[]} options.issuers - Accepted `iss` values
+     * @param {string[]} options.tenants - Accepted `tid` values; issuers, tenants or both are required
+     * @param {string[]} options.audiences - Accepted `aud` values (at least one is required)
+     * @param {number} options.clockToleranceSec - Allowed clock skew for exp/nbf
+     * @param {number} options.cacheTtlMs - How long fetched keys are reused
+     */
+    constructor(options) {
+        if (!options?.jwksUri) {
+            throw new Error('[JwtVerifier]: Missing parameter. jwksUri is required');
+        }
+        // Shared key sets such as Entra's sign tokens for every app in every tenant
+        if (!options.audiences?.length) {
+            throw new Error('[JwtVerifier]: Missing parameter. At least one accepted audience is required');
+        }
+        if (!options.issuers?.length && !options.tenants?.length) {
+            throw new Error('[JwtVerifier]: Missing parameter. Accepted issuers or tenants are required');
+        }
+
+        this.jwksUri = options.jwksUri;
+        this.issuers = options.issuers || [];
+        this.tenants = options.tenants || [];
+        this.audiences = options.audiences;
+        this.clockToleranceSec = options.clockToleranceSec ?? 300;
+        this.cacheTtlMs = options.cacheTtlMs ?? 60 * 60 * 1000;
+        // Unknown kids trigger a refetch at most this often, so junk tokens cannot hammer the JWKS endpoint
+        this.minRefreshIntervalMs = options.minRefreshIntervalMs ?? 30 * 1000;
+        this.keys = new Map();
+        this.keysFetchedAt = 0;
+    }
+
+    /**
+     * Verify a compact JWS and return its claims
+     * @param {string} token - The raw JWT
+     * @returns {Promise<Object>} The verified claims
+     * @throws {Error} When the token is malformed, unsigned by a known key, expired or for another audience
+     */
+    async verify(token) {
+        const parts = (token || '').split('.');
+        if (parts.length !== 3) {
+            throw new Error('Malformed token');
+        }
+
+        const [encodedHeader, encodedPayload, encodedSignature] = parts;
+        const header = decodeSegment(encodedHeader);
+        const claims = decodeSegment(encodedPayload);
+
+        const algorithm = SUPPORTED_ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw new Error(`Unsupported token algorithm: ${header.alg}`);
+        }
+
+        const key = await this.getKey(header.kid);
+        const signatureValid = crypto.verify(
+            algorithm,
+            Buffer.from(`${encodedHeader}.${encodedPayload}`),
+            key,
+            Buffer.from(encodedSignature, 'base64url')
+        );
+        if (!signatureValid) {
+            throw new Error('Invalid token signature');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof claims.exp !== 'number') {
+            throw new Error('Token has no expiry');
+        }
+        if (now - this.clockToleranceSec >= claims.exp) {
+            throw new Error('Token expired');
+        }
+        if (typeof claims.nbf === 'number' && now + this.clockToleranceSec < claims.nbf) {
+            throw new Error('Token not yet valid');
+        }
+        if (this.issuers.length > 0 && !this.issuers.includes(claims.iss)) {
+            throw new Error(`Untrusted token issuer: ${claims.iss}`);
+        }
+        if (this.tenants.length > 0 && !this.tenants.includes(claims.tid)) {
+            throw new Error(`Untrusted token tenant: ${claims.tid}`);
+        }
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.some(aud => this.audiences.includes(aud))) {
+            throw new Error('Token audience not accepted');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Find the signing key by kid, refetching the key set once if the kid is unknown (key rollover)
+     */
+    async getKey(kid) {
+        const age = Date.now() - this.keysFetchedAt;
+        if (age > this.cacheTtlMs || (!this.keys.has(kid) && age > this.minRefreshIntervalMs)) {
+            await this.loadKeys();
+        }
+
+        const key = this.keys.get(kid);
+        if (!key) {
+            throw new Error(`No signing key found for kid: ${kid}`);
+        }
+        return key;
+    }
+
+    async loadKeys() {
+        const jwks = await this.fetchJwks();
+        const keys = new Map();
+
+        for (const jwk of jwks.keys || []) {
+            if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+
+        this.keys = keys;
+        this.keysFetchedAt = Date.now();
+    }
+
+    async fetchJwks() {
+        if (/^https?:\/\//i.test(this.jwksUri)) {
+            const response = await fetch(this.jwksUri);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch JWKS: ${response.status}`);
+            }
+            return response.json();
+        }
+
+        const filePath = this.jwksUri.startsWith('file://') ? new URL(this.jwksUri) : this.jwksUri;
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    }
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Malformed token');
+    }
+}
+
+module.exports = { JwtVerifier };
@@ -0,0 +1,133 @@
+// oauthConnections.js
+const { readConfigFile } = require('./configFile');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'OAuthConnections' });
+
+const NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * The Azure Bot OAuth connections the bot can sign users in to, by short name.
+ *
+ * Connections are defined in OAUTH_CONNECTIONS_FILE (YAML or JSON):
+ *
+ *   default: graph
+ *   connections:
+ *     graph:
+ *       connectionName: GraphConnection   # OAuth connection setting on the Azure Bot resource
+ *       title: Microsoft Graph
+ *       graph: true                       # tokens are Graph tokens (profile, validation, OBO)
+ *     github:
+ *       connectionName: GitHubConnection
+ *       title: GitHub
+ *
+ * The default connection is used whenever a request names none, and for Teams SSO, so it
+ * must be the Entra ID connection. Without a file the bot has a single Graph connection
+ * named after the connectionName environment variable.
+ */
+class OAuthConnections {
+    /**
+     * @param {Object} options
+     * @param {Object} options.connections - Map of name to { connectionName, title, graph }
+     * @param {string} options.defaultConnection - Name of the default connection, default the first
+     */
+    constructor(options = {}) {
+        this.connections = validateConnections(options.connections || {});
+
+        const names = Object.keys(this.connections);
+        const defaultName = options.defaultConnection || names[0];
+        if (!this.connections[defaultName]) {
+            throw new Error(`[OAuthConnections]: Default connection "${defaultName}" is not defined`);
+        }
+        this.defaultConnection = this.connections[defaultName];
+    }
+
+    /**
+     * Create the connections from OAUTH_CONNECTIONS_FILE, or the single connectionName connection
+     */
+    static fromEnv() {
+        const filePath = process.env.OAUTH_CONNECTIONS_FILE;
+
+        let connections;
+        if (filePath) {
+            const config = readConfigFile(filePath) || {};
+            connections = new OAuthConnections({ connections: config.connections, defaultConnection: config.default });
+        } else {
+            const connectionName = process.env.connectionName;
+            connections = new OAuthConnections({
+                connections: { [connectionName]: { connectionName, graph: true } }
+            });
+        }
+
+        log.info('OAuth connections configured', {
+            connections: connections.list().map(connection => connection.name),
+            defaultConnection: connections.defaultConnection.name
+        });
+        return connections;
+    }
+
+    /**
+     * @returns {Object[]} Every connection, default first
+     */
+    list() {
+        const others = Object.values(this.connections).filter(connection => connection !== this.defaultConnection);
+        return [this.defaultConnection, ...others];
+    }
+
+    /**
+     * Look up a connection by name; chat commands arrive lowercased, so case is ignored
+     */
+    get(name) {
+        if (Object.prototype.hasOwnProperty.call(this.connections, name)) {
+            return this.connections[name];
+        }
+        const lower = String(name).toLowerCase();
+        return Object.values(this.connections).find(connection => connection.name.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * The connection a request asked for: the named one, or the default when no name is given
+     * @param {string} name - Connection name, e.g. from ?connection=
+     * @returns {Object|null} { name, connectionName, title, graph }, or null for an unknown name
+     */
+    resolve(name) {
+        return name ? this.get(name) : this.defaultConnection;
+    }
+
+    /**
+     * Result returned for a request naming a connection that is not configured
+     */
+    unknownConnectionError(name) {
+        return {
+            success: false,
+            badRequest: true,
+            error: 'Unknown connection',
+            message: `No OAuth connection named "${name}" is configured. Available: ${Object.keys(this.connections).join(', ')}`
+        };
+    }
+}
+
+function validateConnections(connections) {
+    const validated = {};
+    for (const [name, connection] of Object.entries(connections)) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`[OAuthConnections]: Invalid connection name "${name}"`);
+        }
+        if (!connection?.connectionName) {
+            throw new Error(`[OAuthConnections]: Connection "${name}" needs a connectionName`);
+        }
+        validated[name] = {
+            name: name,
+            connectionName: connection.connectionName,
+            title: connection.title || name,
+            graph: connection.graph === true
+        };
+    }
+
+    if (Object.keys(validated).length === 0) {
+        throw new Error('[OAuthConnections]: No OAuth connections configured. Set connectionName or OAUTH_CONNECTIONS_FILE');
+    }
+    return validated;
+}
+
+module.exports = { OAuthConnections };
@@ -0,0 +1,179 @@
+// oboTokenExchange.js
+const fetch = require('node-fetch');
+const { readConfigFile } = require('./configFile');
+const { SimpleGraphClient } = require('../simpleGraphClient');
+const { logger } = require('../logging/logger');
+const { getCorrelationId, GRAPH_REQUEST_ID_HEADER } = require('../logging/correlation');
+
+const log = logger.child({ component: 'OboTokenExchange' });
+
+const OBO_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+/**
+ * OAuth 2.0 on-behalf-of exchange: trades the user's SSO token (issued to the bot's app
+ * registration) for a token scoped to a named downstream resource.
+ *
+ * Resources are defined in OBO_RESOURCES_FILE (YAML or JSON):
+ *
+ *   resources:
+ *     graph:
+ *       scopes: ["https://graph.microsoft.com/User.Read"]
+ *       audience: "https://graph.microsoft.com"
+ *     internal-api:
+ *       scopes: ["api://internal-api/access_as_user"]
+ *       audience: "api://internal-api"
+ *
+ * The exchange is posted to the Entra token endpoint from SimpleGraphClient.getEndpoints(),
+ * which AAD_TOKEN_ENDPOINT overrides so tests can point it at a local stand-in.
+ */
+class OboTokenExchange {
+    /**
+     * @param {Object} options
+     * @param {Object} options.resources - Map of resource name to { scopes, audience }
+     * @param {string} options.clientId - The bot's app registration client id
+     * @param {string} options.clientSecret - The bot's app registration client secret
+     */
+    constructor(options = {}) {
+        this.resources = validateResources(options.resources || {});
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+    }
+
+    /**
+     * Create an exchange from OBO_RESOURCES_FILE and the bot's MicrosoftAppId/MicrosoftAppPassword
+     */
+    static fromEnv() {
+        const filePath = process.env.OBO_RESOURCES_FILE;
+        const config = filePath ? readConfigFile(filePath) : {};
+
+        const exchange = new OboTokenExchange({
+            resources: config.resources,
+            clientId: process.env.MicrosoftAppId,
+            clientSecret: process.env.MicrosoftAppPassword
+        });
+        log.info('On-behalf-of resources configured', { resources: exchange.listResources() });
+        return exchange;
+    }
+
+    listResources() {
+        return Object.keys(this.resources);
+    }
+
+    getResource(name) {
+        return Object.prototype.hasOwnProperty.call(this.resources, name) ? this.resources[name] : null;
+    }
+
+    /**
+     * Exchange a user assertion for a downstream token
+     * @param {string} assertion - The user's SSO token
+     * @param {string} resourceName - A resource defined in configuration
+     * @param {string} tenantId - The user's tenant, used when the bot itself is multi-tenant
+     * @returns {Promise<Object>} { success, token, expiration, scopes, resource } or { success: false, error, message }
+     */
+    async exchange(assertion, resourceName, tenantId) {
+        const resource = this.getResource(resourceName);
+        if (!resource) {
+            return {
+                success: false,
+                error: 'Unknown resource',
+                message: `No downstream resource named "${resourceName}" is configured`
+            };
+        }
+
+        if (!this.clientId || !this.clientSecret) {
+            return {
+                success: false,
+                error: 'OBO not configured',
+                message: 'MicrosoftAppId and MicrosoftAppPassword are required for on-behalf-of exchange'
+            };
+        }
+
+        const configuredTenant = process.env.MicrosoftAppTenantId;
+        const authorityTenant = configuredTenant && configuredTenant !== 'common'
+            ? configuredTenant
+            : tenantId || 'common';
+        const { tokenEndpoint } = SimpleGraphClient.getEndpoints(authorityTenant);
+
+        const body = new URLSearchParams({
+            grant_type: OBO_GRANT_TYPE,
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            assertion: assertion,
+            scope: resource.scopes.join(' '),
+            requested_token_use: 'on_behalf_of'
+        });
+
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        const correlationId = getCorrelationId();
+        if (correlationId) {
+            // Entra echoes client-request-id in its responses and sign-in logs
+            headers[GRAPH_REQUEST_ID_HEADER] = correlationId;
+        }
+
+        const response = await fetch(tokenEndpoint, {
+            method: 'POST',
+            headers: headers,
+            body: body.toString()
+        });
+
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok || !payload.access_token) {
+            log.warn('OBO exchange failed', { resource: resourceName, status: response.status, aadError: payload.error });
+            return {
+                success: false,
+                error: 'OBO exchange failed',
+                message: payload.error_description || `Token endpoint returned ${response.status}`,
+                // interaction_required / invalid_grant mean the user must consent or sign in again
+                aadError: payload.error,
+                aadSuberror: payload.suberror,
+                consentRequired: payload.error === 'interaction_required' || payload.error === 'invalid_grant'
+            };
+        }
+
+        if (resource.audience) {
+            const audience = readAudience(payload.access_token);
+            if (audience && audience !== resource.audience) {
+                return {
+                    success: false,
+                    error: 'OBO audience mismatch',
+                    message: `Exchanged token audience ${audience} does not match configured audience ${resource.audience}`
+                };
+            }
+        }
+
+        return {
+            success: true,
+            token: payload.access_token,
+            tokenType: payload.token_type || 'Bearer',
+            expiration: new Date(Date.now() + (Number(payload.expires_in) || 0) * 1000).toISOString(),
+            scopes: payload.scope ? payload.scope.split(' ') : resource.scopes,
+            resource: resourceName,
+            audience: resource.audience || null
+        };
+    }
+}
+
+/**
+ * Read the `aud` claim without verifying the signature; the token came straight from the token endpoint.
+ * Tokens that are not JWTs (e.g. some first-party resources) are not checked.
+ */
+function readAudience(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return payload.aud || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function validateResources(resources) {
+    for (const [name, resource] of Object.entries(resources)) {
+        if (!Array.isArray(resource?.scopes) || resource.scopes.length === 0) {
+            throw new Error(`[OboTokenExchange]: Resource "${name}" needs a non-empty scopes list`);
+        }
+    }
+    return resources;
+}
+
+module.exports = { OboTokenExchange };
@@ -0,0 +1,140 @@
+// tenantPolicy.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { ActivityTypes, ActivityEventNames } = require('botbuilder');
+const { metrics } = require('../metrics');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'TenantPolicy' });
+
+const REJECT_MODES = ['ignore', 'reply'];
+
+// Set while the bot itself starts proactive turns; any channel client can send a ContinueConversation event
+const proactiveTurns = new AsyncLocalStorage();
+
+/**
+ * Which Entra tenants may use the bot, and which of them each REST caller may act on.
+ *
+ * ALLOWED_TENANT_IDS (comma separated) restricts the bot to those tenants: activities from any
+ * other tenant are dropped by the adapter middleware, and contexts stored for them are not served.
+ * Activities without a tenant (Emulator, Web Chat) are only accepted with TENANT_ALLOW_MISSING=true
+ * once an allowlist is set. TENANT_REJECT_MODE=reply tells rejected users so instead of ignoring them.
+ *
+ * REST callers are confined to their own tenants: the `tenants` (or `tenantId`) of their API key,
+ * or the `tid` claim of their bearer token. Callers with no tenant may act on every allowed tenant.
+ * Contexts outside a caller's tenants are treated exactly like missing ones.
+ */
+class TenantPolicy {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.allowedTenants - Tenant IDs allowed to use the bot; empty allows all
+     * @param {boolean} options.allowMissingTenant - Accept activities and contexts without a tenant ID
+     * @param {string} options.rejectMode - ignore | reply
+     */
+    constructor(options = {}) {
+        this.allowedTenants = options.allowedTenants?.length ? new Set(options.allowedTenants) : null;
+        this.allowMissingTenant = options.allowMissingTenant ?? !this.allowedTenants;
+        this.rejectMode = options.rejectMode || 'ignore';
+        this.rejectedActivities = 0;
+
+        if (!REJECT_MODES.includes(this.rejectMode)) {
+            throw new Error(`[TenantPolicy]: Invalid reject mode "${this.rejectMode}". Expected one of: ${REJECT_MODES.join(', ')}`);
+        }
+    }
+
+    static fromEnv() {
+        const allowedTenants = (process.env.ALLOWED_TENANT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+        const policy = new TenantPolicy({
+            allowedTenants: allowedTenants,
+            allowMissingTenant: process.env.TENANT_ALLOW_MISSING ? process.env.TENANT_ALLOW_MISSING === 'true' : undefined,
+            rejectMode: process.env.TENANT_REJECT_MODE
+        });
+
+        if (policy.allowedTenants) {
+            log.info('Tenant allowlist configured', { allowedTenants, allowMissingTenant: policy.allowMissingTenant, rejectMode: policy.rejectMode });
+        } else {
+            log.warn('No tenant allowlist configured (ALLOWED_TENANT_IDS); every tenant may use the bot');
+        }
+        return policy;
+    }
+
+    /**
+     * Whether a tenant may use the bot at all
+     * @param {string|null} tenantId - The tenant, or null when the activity or context has none
+     */
+    isTenantAllowed(tenantId) {
+        if (!tenantId) return this.allowMissingTenant;
+        return !this.allowedTenants || this.allowedTenants.has(tenantId);
+    }
+
+    /**
+     * Whether a REST caller may act on a user of the given tenant.
+     * Requests without a caller come from the user's own conversation or the bot itself.
+     * @param {Object} caller - The authenticated caller, see CallerAuthenticator
+     * @param {string|null} tenantId - The user's tenant from the stored context
+     */
+    canAccess(caller, tenantId) {
+        if (!this.isTenantAllowed(tenantId)) return false;
+        if (!caller?.tenants) return true;
+        return !!tenantId && caller.tenants.includes(tenantId);
+    }
+
+    /**
+     * Adapter middleware dropping activities from tenants that are not allowed.
+     * Proactive turns started through runProactiveTurn are let through: they were started for a
+     * context the REST layer already checked.
+     */
+    turnMiddleware() {
+        return async (context, next) => {
+            const { activity } = context;
+            if (isProactiveTurn(activity)) {
+                return await next();
+            }
+
+            const tenantId = activity.channelData?.tenant?.id || activity.conversation?.tenantId || null;
+            if (this.isTenantAllowed(tenantId)) {
+                return await next();
+            }
+
+            this.rejectedActivities++;
+            metrics.rejectedActivities.inc({ reason: 'tenant' });
+            log.warn('Activity from a tenant that is not allowed', {
+                tenantId,
+                activityType: activity.type,
+                channelId: activity.channelId,
+                userId: activity.from?.id
+            });
+
+            if (activity.type === ActivityTypes.Invoke) {
+                await context.sendActivity({ type: ActivityTypes.InvokeResponse, value: { status: 403 } });
+            } else if (activity.type === ActivityTypes.Message && this.rejectMode === 'reply') {
+                await context.sendActivity('This bot is not available for your organization.');
+            }
+        };
+    }
+
+    stats() {
+        return {
+            restricted: !!this.allowedTenants,
+            allowedTenants: this.allowedTenants ? this.allowedTenants.size : null,
+            allowMissingTenant: this.allowMissingTenant,
+            rejectMode: this.rejectMode,
+            rejectedActivities: this.rejectedActivities
+        };
+    }
+}
+
+/**
+ * Run fn, which starts turns with adapter.continueConversationAsync, so that turnMiddleware knows
+ * those turns are the bot's own proactive turns
+ */
+function runProactiveTurn(fn) {
+    return proactiveTurns.run(true, fn);
+}
+
+function isProactiveTurn(activity) {
+    return proactiveTurns.getStore() === true &&
+        activity.type === ActivityTypes.Event &&
+        activity.name === ActivityEventNames.ContinueConversation;
+}
+
+module.exports = { TenantPolicy, runProactiveTurn };
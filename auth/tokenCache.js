@@ -0,0 +1,118 @@
+// tokenCache.js
+
+/**
+ * In-process cache of token service responses keyed by user and OAuth connection.
+ *
+ * Entries honor the `expiration` returned by the token service and are evicted a safety
+ * margin before it (TOKEN_CACHE_SAFETY_MARGIN_SEC, default 300s) so callers never receive a
+ * token that is about to expire. Responses without an expiration are not cached.
+ */
+class TokenCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.safetyMarginSec - Seconds before expiry at which entries are evicted
+     * @param {number} options.maxEntries - Upper bound on cached entries; the oldest is dropped first
+     */
+    constructor(options = {}) {
+        const envMarginSec = parseInt(process.env.TOKEN_CACHE_SAFETY_MARGIN_SEC, 10);
+        this.safetyMarginMs = (options.safetyMarginSec ??
+            (Number.isNaN(envMarginSec) ? 300 : envMarginSec)) * 1000;
+        this.maxEntries = options.maxEntries ||
+            parseInt(process.env.TOKEN_CACHE_MAX_ENTRIES, 10) || 10000;
+        this.entries = new Map();
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            sets: 0,
+            expired: 0,
+            invalidations: 0
+        };
+    }
+
+    /**
+     * Get a cached token response
+     * @param {string} userId - The Bot Framework user ID
+     * @param {string} connectionName - The OAuth connection name
+     * @returns {Object|null} The cached token response, or null on a miss
+     */
+    get(userId, connectionName) {
+        const key = cacheKey(userId, connectionName);
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.counters.misses++;
+            return null;
+        }
+
+        if (Date.now() >= entry.evictAt) {
+            this.entries.delete(key);
+            this.counters.expired++;
+            this.counters.misses++;
+            return null;
+        }
+
+        this.counters.hits++;
+        return entry.tokenResponse;
+    }
+
+    /**
+     * Cache a token response until its expiration minus the safety margin
+     * @param {string} userId - The Bot Framework user ID
+     * @param {string} connectionName - The OAuth connection name
+     * @param {Object} tokenResponse - { token, expiration, ... } from the token service
+     * @returns {boolean} True if the response was cached
+     */
+    set(userId, connectionName, tokenResponse) {
+        const expiresAt = Date.parse(tokenResponse?.expiration);
+        if (!tokenResponse?.token || Number.isNaN(expiresAt)) return false;
+
+        const evictAt = expiresAt - this.safetyMarginMs;
+        if (evictAt <= Date.now()) return false;
+
+        const key = cacheKey(userId, connectionName);
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, { tokenResponse, evictAt });
+        this.counters.sets++;
+        return true;
+    }
+
+    /**
+     * Drop cached tokens for a user (all connections when connectionName is omitted)
+     */
+    invalidate(userId, connectionName) {
+        if (connectionName) {
+            if (this.entries.delete(cacheKey(userId, connectionName))) {
+                this.counters.invalidations++;
+            }
+            return;
+        }
+
+        const prefix = cacheKey(userId, '');
+        for (const key of Array.from(this.entries.keys())) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                this.counters.invalidations++;
+            }
+        }
+    }
+
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            entries: this.entries.size,
+            ...this.counters,
+            hitRatio: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : null,
+            safetyMarginSec: this.safetyMarginMs / 1000
+        };
+    }
+}
+
+function cacheKey(userId, connectionName) {
+    return `${userId}\u0000${connectionName}`;
+}
+
+module.exports = { TokenCache };
@@ -0,0 +1,329 @@
+// cardTemplates.js
+const { CardFactory, MessageFactory } = require('botbuilder-core');
+
+/**
+ * `action` of the submit data of card buttons that stand for a typed command, e.g. "token status"
+ */
+const CARD_COMMAND_ACTION = 'cardCommand';
+
+const CALENDAR_URL = 'https://outlook.office.com/calendar/view/week';
+
+// Channels that get Adaptive Cards; the others (e.g. the emulator) get the plain-text fallback
+const CARD_CHANNELS = new Set((process.env.ADAPTIVE_CARD_CHANNELS || 'msteams')
+    .split(',').map(channel => channel.trim()).filter(Boolean));
+
+/**
+ * Whether templates are rendered as Adaptive Cards on a channel (ADAPTIVE_CARD_CHANNELS, default msteams)
+ */
+function supportsAdaptiveCards(channelId) {
+    return CARD_CHANNELS.has(channelId);
+}
+
+/**
+ * The message activity for a rendered template: the card on card channels, the text elsewhere
+ * @param {string} channelId - Channel of the conversation
+ * @param {Object} rendered - { card, text, summary, fallbackAttachments } as returned by a template
+ * @returns {Partial<Activity>} The activity to send
+ */
+function toActivity(channelId, rendered) {
+    if (supportsAdaptiveCards(channelId)) {
+        return { type: 'message', summary: rendered.summary, attachments: [CardFactory.adaptiveCard(rendered.card)] };
+    }
+    const activity = MessageFactory.text(rendered.text);
+    if (rendered.fallbackAttachments) {
+        activity.attachments = rendered.fallbackAttachments;
+    }
+    return activity;
+}
+
+/**
+ * The command a card button stands for, from the submit data of a message activity
+ * @returns {string|null} The command text, or null when the activity is not a card command
+ */
+function cardCommand(activity) {
+    const value = activity?.value;
+    return value?.action === CARD_COMMAND_ACTION && typeof value.command === 'string' ? value.command : null;
+}
+
+/**
+ * Welcome message after sign-in with today's and upcoming events
+ * @param {Object} summary - { me, photo, todaysEvents, upcomingEvents }, see SimpleGraphClient.getSignInSummary();
+ *   todaysEvents is null when the calendar could not be loaded
+ * @returns {Object} { card, text, summary, fallbackAttachments }
+ */
+function signInSummaryTemplate(summary) {
+    const { me, photo, todaysEvents, upcomingEvents } = summary;
+    const upcoming = (upcomingEvents || []).slice(0, 5);
+
+    let text = `Welcome ${me.displayName} (${me.userPrincipalName})!\n\n`;
+    const body = [
+        {
+            type: 'ColumnSet',
+            columns: [
+                photo && { type: 'Column', width: 'auto', items: [{ type: 'Image', url: photo, size: 'Medium', style: 'Person' }] },
+                {
+                    type: 'Column',
+                    width: 'stretch',
+                    verticalContentAlignment: 'Center',
+                    items: [
+                        { type: 'TextBlock', text: `Welcome ${me.displayName}!`, weight: 'Bolder', size: 'Medium', wrap: true },
+                        { type: 'TextBlock', text: me.userPrincipalName, isSubtle: true, spacing: 'None', wrap: true }
+                    ]
+                }
+            ].filter(Boolean)
+        },
+        heading('📅 Today')
+    ];
+
+    if (!todaysEvents) {
+        text += '📅 Your calendar could not be loaded right now.\n\n';
+        body.push({ type: 'TextBlock', text: 'Your calendar could not be loaded right now.', wrap: true });
+    } else if (todaysEvents.length === 0) {
+        text += '📅 No events scheduled for today. Enjoy your free time!\n\n';
+        body.push({ type: 'TextBlock', text: 'No events scheduled for today. Enjoy your free time!', wrap: true });
+    } else {
+        text += `📅 **Your calendar for today:**\n\n`;
+        for (const event of todaysEvents) {
+            text += `• **${event.subject}**\n`;
+            text += `  ⏰ ${formatTime(event.start)} - ${formatTime(event.end)}\n`;
+            if (event.location && event.location.displayName) {
+                text += `  📍 ${event.location.displayName}\n`;
+            }
+            if (event.organizer && event.organizer.emailAddress) {
+                text += `  👤 ${event.organizer.emailAddress.name}\n`;
+            }
+            text += '\n';
+
+            const details = [`{{TIME(${cardDateTime(event.start)})}} - {{TIME(${cardDateTime(event.end)})}}`];
+            if (event.location && event.location.displayName) details.push(event.location.displayName);
+            if (event.organizer && event.organizer.emailAddress) details.push(event.organizer.emailAddress.name);
+            body.push(eventBlock(event.subject, details.join(' · ')));
+        }
+    }
+
+    if (upcoming.length > 0) {
+        text += `📆 **Your upcoming events:**\n\n`;
+        body.push(heading('📆 Upcoming'));
+        for (const event of upcoming) {
+            text += `• **${event.subject}**\n`;
+            text += `  📅 ${formatDate(event.start)} at ${formatTime(event.start)}\n\n`;
+            body.push(eventBlock(event.subject, `{{DATE(${cardDateTime(event.start)}, SHORT)}} at {{TIME(${cardDateTime(event.start)})}}`));
+        }
+    }
+
+    return {
+        card: adaptiveCard(body, [
+            { type: 'Action.OpenUrl', title: 'View more', url: CALENDAR_URL },
+            commandAction('My profile', 'my profile'),
+            commandAction('Sign out', 'logout')
+        ]),
+        text: text,
+        summary: `Welcome ${me.displayName}`,
+        fallbackAttachments: photo ? [CardFactory.thumbnailCard('Your Profile Picture', CardFactory.images([photo]))] : undefined
+    };
+}
+
+/**
+ * The user's directory profile
+ * @param {Object} profile - Graph user
+ * @param {Object} manager - Graph user of the manager, or null
+ * @returns {Object} { card, text, summary }
+ */
+function profileTemplate(profile, manager) {
+    const facts = [
+        ['Name', profile.displayName],
+        ['Email', profile.userPrincipalName],
+        ['Job Title', profile.jobTitle],
+        ['Department', profile.department],
+        ['Office Location', profile.officeLocation],
+        ['Manager', manager?.displayName]
+    ].map(([title, value]) => ({ title, value: value || 'Not available' }));
+
+    let text = `Your Profile:\n\n`;
+    for (const fact of facts) {
+        text += `${fact.title}: ${fact.value}\n`;
+    }
+
+    return {
+        card: adaptiveCard([
+            { type: 'TextBlock', text: 'Your profile', weight: 'Bolder', size: 'Medium', wrap: true },
+            { type: 'FactSet', facts }
+        ], [
+            commandAction('Refresh', 'my profile')
+        ]),
+        text: text,
+        summary: 'Your profile'
+    };
+}
+
+/**
+ * Result of testing the user's token
+ * @param {string} userName - The user's display name
+ * @param {Object} validation - Result of TeamsBot.validateUserToken()
+ * @returns {Object} { card, text, summary }
+ */
+function tokenStatusTemplate(userName, validation) {
+    let facts;
+    if (validation.valid) {
+        facts = [
+            ['Status', 'Valid and working'],
+            ['Token Length', `${validation.tokenLength} characters`],
+            validation.expiration && ['Expires', new Date(validation.expiration).toLocaleString()],
+            ['Auto-refresh', 'Enabled via Bot Framework'],
+            ['SSO', 'Teams Silent Authentication Active']
+        ];
+    } else {
+        facts = [
+            ['Status', validation.reason],
+            ['Message', validation.message || 'Please interact with the bot to authenticate']
+        ];
+    }
+    facts = facts.filter(Boolean).map(([title, value]) => ({ title, value }));
+
+    let text = `Token Status for ${userName}:\n\n`;
+    for (const fact of facts) {
+        text += `${fact.title}: ${fact.value}\n`;
+    }
+
+    return {
+        card: adaptiveCard([
+            { type: 'TextBlock', text: `Token status for ${userName}`, weight: 'Bolder', size: 'Medium', wrap: true },
+            {
+                type: 'TextBlock',
+                text: validation.valid ? '✅ Valid and working' : `⚠️ ${validation.reason}`,
+                color: validation.valid ? 'Good' : 'Attention',
+                weight: 'Bolder',
+                wrap: true
+            },
+            { type: 'FactSet', facts: facts.slice(1) }
+        ], [
+            commandAction('Refresh', 'token status'),
+            commandAction('Sign out', 'logout')
+        ]),
+        text: text,
+        summary: `Token status: ${facts[0].value}`
+    };
+}
+
+/**
+ * The stored user context and the state of each OAuth connection
+ * @param {Object} userContext - Stored user context, see TeamsBot.getUserContext()
+ * @param {Object[]} connections - { connection, isDefault, signedIn, status } per OAuth connection; signedIn is
+ *   null when the token service could not be asked, status is the last known token status and expiration
+ * @returns {Object} { card, text, summary }
+ */
+function contextInfoTemplate(userContext, connections) {
+    const facts = [
+        ['User ID', userContext.userId],
+        ['User Name', userContext.userName],
+        ['Channel ID', userContext.channelId],
+        ['Tenant ID', userContext.tenantId || 'Not available'],
+        ['SSO Enabled', userContext.ssoEnabled ? 'Yes' : 'No'],
+        ['Token Status', userContext.tokenStatus],
+        ['Last Updated', userContext.lastUpdated?.toLocaleString() || 'Never']
+    ].map(([title, value]) => ({ title, value: String(value) }));
+
+    let text = `Your Context Information:\n\n`;
+    for (const fact of facts) {
+        text += `${fact.title}: ${fact.value}\n`;
+    }
+
+    text += `\nConnections:\n`;
+    const connectionFacts = [];
+    for (const { connection, isDefault, signedIn, status } of connections) {
+        let state;
+        if (signedIn === true) state = 'Signed in';
+        else if (signedIn === false) state = 'Not signed in';
+        else state = status?.tokenStatus || 'unknown';
+        const expires = status?.tokenExpiration ? `last token expires ${new Date(status.tokenExpiration).toLocaleString()}` : null;
+
+        let line = `• ${connection.title} (${connection.name})`;
+        if (isDefault) line += ' [default]';
+        line += signedIn === false ? `: Not signed in, type "sign in ${connection.name}"` : `: ${state}`;
+        if (expires) line += `, ${expires}`;
+        text += `${line}\n`;
+
+        connectionFacts.push({
+            title: isDefault ? `${connection.title} (default)` : connection.title,
+            value: expires ? `${state}, ${expires}` : state
+        });
+    }
+
+    const signIns = connections
+        .filter(({ signedIn }) => signedIn === false)
+        .map(({ connection }) => commandAction(`Sign in to ${connection.title}`, `sign in ${connection.name}`));
+
+    return {
+        card: adaptiveCard([
+            { type: 'TextBlock', text: 'Your context information', weight: 'Bolder', size: 'Medium', wrap: true },
+            { type: 'FactSet', facts },
+            heading('Connections'),
+            { type: 'FactSet', facts: connectionFacts }
+        ], [
+            commandAction('Refresh', 'context info'),
+            ...signIns,
+            commandAction('Sign out', 'logout')
+        ]),
+        text: text,
+        summary: 'Your context information'
+    };
+}
+
+function adaptiveCard(body, actions) {
+    return {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body,
+        actions: actions
+    };
+}
+
+function heading(text) {
+    return { type: 'TextBlock', text: text, weight: 'Bolder', separator: true, spacing: 'Medium', wrap: true };
+}
+
+function eventBlock(subject, details) {
+    return {
+        type: 'Container',
+        spacing: 'Small',
+        items: [
+            { type: 'TextBlock', text: subject || '(no subject)', weight: 'Bolder', wrap: true },
+            { type: 'TextBlock', text: details, isSubtle: true, spacing: 'None', wrap: true }
+        ]
+    };
+}
+
+/**
+ * Button that acts as if the user had typed `command`, see cardCommand()
+ */
+function commandAction(title, command) {
+    return { type: 'Action.Submit', title: title, data: { action: CARD_COMMAND_ACTION, command: command } };
+}
+
+/**
+ * A Graph { dateTime, timeZone } in UTC as the RFC 3339 time the card's DATE() and TIME() functions need,
+ * so Teams shows it in the user's own time zone
+ */
+function cardDateTime(dateTimeTimeZone) {
+    return new Date(`${dateTimeTimeZone.dateTime.slice(0, 19)}Z`).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function formatTime(dateTimeTimeZone) {
+    return new Date(dateTimeTimeZone.dateTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
+}
+
+function formatDate(dateTimeTimeZone) {
+    return new Date(dateTimeTimeZone.dateTime).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+module.exports = {
+    CARD_COMMAND_ACTION,
+    supportsAdaptiveCards,
+    toActivity,
+    cardCommand,
+    signInSummaryTemplate,
+    profileTemplate,
+    tokenStatusTemplate,
+    contextInfoTemplate
+};
@@ -0,0 +1,64 @@
+// consentCard.js
+const { CardFactory } = require('botbuilder-core');
+
+/**
+ * `action` of the card's submit data, which arrives as the `value` of a message activity
+ */
+const CONSENT_SUBMIT_ACTION = 'apiConsent';
+
+/**
+ * Adaptive Card asking the user which connections REST callers may fetch tokens for
+ * @param {Object[]} connections - OAuth connections, see OAuthConnections.list()
+ * @param {Set<string>} granted - Names of the connections the user has already allowed
+ * @returns {Attachment} The card attachment
+ */
+function createConsentCard(connections, granted) {
+    const selected = connections.filter(connection => granted.has(connection.name));
+
+    return CardFactory.adaptiveCard({
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+            {
+                type: 'TextBlock',
+                text: 'Allow API access to your sign-in',
+                weight: 'Bolder',
+                size: 'Medium',
+                wrap: true
+            },
+            {
+                type: 'TextBlock',
+                text: 'Approved services can fetch a token for the accounts you select through this bot\'s API and act as you with it, ' +
+                    'even when you are not chatting with the bot. Every access is recorded: type "who accessed my token" to see it, ' +
+                    'and "revoke api access" to withdraw your consent at any time.',
+                wrap: true
+            },
+            {
+                type: 'Input.ChoiceSet',
+                id: 'connections',
+                isMultiSelect: true,
+                style: 'expanded',
+                value: (selected.length > 0 ? selected : [connections[0]]).map(connection => connection.name).join(','),
+                choices: connections.map(connection => ({
+                    title: granted.has(connection.name) ? `${connection.title} (allowed)` : connection.title,
+                    value: connection.name
+                }))
+            }
+        ],
+        actions: [
+            {
+                type: 'Action.Submit',
+                title: 'Allow',
+                data: { action: CONSENT_SUBMIT_ACTION, decision: 'grant' }
+            },
+            {
+                type: 'Action.Submit',
+                title: 'Don\'t allow',
+                data: { action: CONSENT_SUBMIT_ACTION, decision: 'revoke' }
+            }
+        ]
+    });
+}
+
+module.exports = { createConsentCard, CONSENT_SUBMIT_ACTION };
@@ -2,6 +2,9 @@
 // Licensed under the MIT License.
 
 const { TeamsActivityHandler } = require('botbuilder');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'DialogBot' });
 
 /**
  * DialogBot class extends TeamsActivityHandler to handle Teams activities.
@@ -40,7 +43,7 @@ class DialogBot extends TeamsActivityHandler {
      * @param {Function} next - The next middleware function in the pipeline.
      */
     async handleMessage(context, next) {
-        console.log('Running dialog with Message Activity.');
+        log.debug('Running dialog with Message Activity.');
 
         // Run the Dialog with the new message Activity.
         await this.dialog.run(context, this.dialogState);
@@ -54,7 +57,12 @@ class DialogBot extends TeamsActivityHandler {
      */
     async run(context) {
         await super.run(context);
-        console.log("Context:\n", context);
+        log.debug('Turn complete', {
+            activityType: context.activity.type,
+            activityId: context.activity.id,
+            conversationId: context.activity.conversation?.id,
+            responded: context.responded
+        });
         // Save any state changes. The load happened during the execution of the Dialog.
         await this.conversationState.saveChanges(context, false);
         await this.userState.saveChanges(context, false);
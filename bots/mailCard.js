@@ -0,0 +1,84 @@
+// mailCard.js
+const { CardFactory } = require('botbuilder-core');
+
+/**
+ * Adaptive Card listing mail messages, newest first
+ * @param {Object[]} messages - Graph messages with the fields of SimpleGraphClient's message summaries
+ * @param {string} title - Heading, e.g. "Unread mail"
+ * @returns {Attachment} The card attachment
+ */
+function createMailCard(messages, title) {
+    const body = [
+        {
+            type: 'TextBlock',
+            text: title,
+            weight: 'Bolder',
+            size: 'Medium',
+            wrap: true
+        }
+    ];
+
+    for (const message of messages) {
+        const sender = message.from?.emailAddress;
+        const received = new Date(message.receivedDateTime).toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: true
+        });
+
+        body.push({
+            type: 'Container',
+            separator: true,
+            selectAction: message.webLink ? { type: 'Action.OpenUrl', url: message.webLink } : undefined,
+            items: [
+                {
+                    type: 'ColumnSet',
+                    columns: [
+                        {
+                            type: 'Column',
+                            width: 'stretch',
+                            items: [{
+                                type: 'TextBlock',
+                                text: sender?.name || sender?.address || 'Unknown sender',
+                                weight: message.isRead ? 'Default' : 'Bolder',
+                                wrap: true
+                            }]
+                        },
+                        {
+                            type: 'Column',
+                            width: 'auto',
+                            items: [{ type: 'TextBlock', text: received, isSubtle: true, size: 'Small' }]
+                        }
+                    ]
+                },
+                {
+                    type: 'TextBlock',
+                    text: `${message.importance === 'high' ? '❗ ' : ''}${message.hasAttachments ? '📎 ' : ''}${message.subject || '(no subject)'}`,
+                    spacing: 'None',
+                    wrap: true
+                },
+                {
+                    type: 'TextBlock',
+                    text: message.bodyPreview || '',
+                    isSubtle: true,
+                    size: 'Small',
+                    maxLines: 2,
+                    spacing: 'None',
+                    wrap: true
+                }
+            ]
+        });
+    }
+
+    return CardFactory.adaptiveCard({
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body
+    });
+}
+
+module.exports = { createMailCard };
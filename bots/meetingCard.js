@@ -0,0 +1,69 @@
+// meetingCard.js
+const { CardFactory } = require('botbuilder-core');
+
+/**
+ * `action` of the card's submit data, which arrives as the `value` of a message activity
+ */
+const MEETING_SLOT_ACTION = 'meetingSlot';
+
+/**
+ * Format a Graph { dateTime, timeZone } as the wall time it names, e.g. "Tue, Oct 20, 03:00 PM".
+ * The dateTime is already in the time zone the user asked for, so it is formatted without conversion.
+ */
+function formatWallTime(dateTimeTimeZone, options = { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) {
+    const wallTime = new Date(`${dateTimeTimeZone.dateTime.slice(0, 19)}Z`);
+    return wallTime.toLocaleString('en-US', { ...options, timeZone: 'UTC', hour12: true });
+}
+
+/**
+ * Adaptive Card offering findMeetingTimes suggestions, one choose button each
+ * @param {Object[]} suggestions - meetingTimeSuggestion objects
+ * @param {Object} meeting - { subject, timeZone, allowOnlineMeeting }; with allowOnlineMeeting the card
+ *   has a Teams meeting toggle, submitted as `online`
+ * @returns {Attachment} The card attachment
+ */
+function createMeetingTimesCard(suggestions, meeting) {
+    const body = [
+        {
+            type: 'TextBlock',
+            text: `Suggested times for "${meeting.subject}"`,
+            weight: 'Bolder',
+            size: 'Medium',
+            wrap: true
+        },
+        {
+            type: 'TextBlock',
+            text: `Times are in ${meeting.timeZone}. Everyone invited is free at these times.`,
+            isSubtle: true,
+            size: 'Small',
+            wrap: true
+        }
+    ];
+    if (meeting.allowOnlineMeeting) {
+        body.push({
+            type: 'Input.Toggle',
+            id: 'online',
+            title: 'Add a Teams meeting link',
+            value: 'true',
+            valueOn: 'true',
+            valueOff: 'false'
+        });
+    }
+
+    return CardFactory.adaptiveCard({
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body,
+        actions: suggestions.map((suggestion, index) => {
+            const { start, end } = suggestion.meetingTimeSlot;
+            return {
+                type: 'Action.Submit',
+                title: `${formatWallTime(start)} - ${formatWallTime(end, { hour: '2-digit', minute: '2-digit' })}`,
+                data: { action: MEETING_SLOT_ACTION, slot: index }
+            };
+        })
+    });
+}
+
+module.exports = { createMeetingTimesCard, formatWallTime, MEETING_SLOT_ACTION };
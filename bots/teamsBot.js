@@ -1,19 +1,70 @@
 // teamsBot.js - Enhanced industrial strength implementation with token fixes
 const { DialogBot } = require('./dialogBot');
-const { SimpleGraphClient } = require('../simpleGraphClient');
-const { MessageFactory, TurnContext } = require('botbuilder-core');
+const { SimpleGraphClient, parseAddresses, validateMail } = require('../simpleGraphClient');
+const { CardFactory, MessageFactory, TurnContext } = require('botbuilder-core');
+const { TeamsInfo } = require('botbuilder');
+const { UserContextStore } = require('./userContextStore');
+const { AccessPolicy } = require('../auth/accessPolicy');
+const { runProactiveTurn } = require('../auth/tenantPolicy');
+const { TokenCache } = require('../auth/tokenCache');
+const { OAuthConnections } = require('../auth/oauthConnections');
+const { createConsentCard, CONSENT_SUBMIT_ACTION } = require('./consentCard');
+const { createMailCard } = require('./mailCard');
+const { cardCommand, contextInfoTemplate, profileTemplate, tokenStatusTemplate, toActivity } = require('./cardTemplates');
+const { TokenRequestTracker } = require('./tokenRequestTracker');
+const { BOT_EVENTS, contextUser } = require('../events/botEvents');
+const { logger } = require('../logging/logger');
+const { getCorrelationId, getTurnCorrelationId, resolveCorrelationId, runWithCorrelationId } = require('../logging/correlation');
+const { recordTokenRetrieval } = require('../metrics');
+
+const log = logger.child({ component: 'TeamsBot' });
+
+// Reason returned when a REST caller asks for the token of a user who has not allowed API access
+const CONSENT_REQUIRED = 'USER_CONSENT_REQUIRED';
+
+// Messages shown by "my mail" unless the user asks for another number, and the most it shows
+const MAIL_COMMAND_DEFAULT_COUNT = 5;
+const MAIL_COMMAND_MAX_COUNT = 25;
 
 /**
  * Enhanced TeamsBot class with industrial-strength token management
- * Uses in-memory storage for conversation references with MongoDB as optional enhancement
+ * Conversation references go through a write-through store: in-memory cache backed by a pluggable context store
  */
 class TeamsBot extends DialogBot {
-    constructor(conversationState, userState, dialog, adapter) {
+    /**
+     * @param {ConversationState} conversationState - The state management object for conversation state.
+     * @param {UserState} userState - The state management object for user state.
+     * @param {Dialog} dialog - The dialog to be run by the bot.
+     * @param {CloudAdapter} adapter - The adapter used for proactive token retrieval.
+     * @param {Object} options - Optional services.
+     * @param {UserContextStore} options.contextStore - Write-through store for user contexts.
+     * @param {AccessPolicy} options.accessPolicy - Policy deciding which API caller may obtain which user's token.
+     * @param {OboTokenExchange} options.oboExchange - On-behalf-of exchange for downstream resources.
+     * @param {TokenCache} options.tokenCache - Expiry-aware cache of token service responses.
+     * @param {AuditLog} options.auditLog - Tamper-evident log of every token request.
+     * @param {OAuthConnections} options.connections - The OAuth connections tokens can be requested for.
+     * @param {TenantPolicy} options.tenantPolicy - Allowed tenants, and the tenants each REST caller may act on.
+     * @param {TokenRequestTracker} options.tokenRequests - Token requests waiting for the user to sign in.
+     * @param {BotEvents} options.events - New users and token status changes are published here.
+     * @param {boolean} options.requireApiConsent - Refuse REST token requests for users who have not allowed
+     *   API access (default true, API_CONSENT_REQUIRED=false turns it off).
+     */
+    constructor(conversationState, userState, dialog, adapter, options = {}) {
         super(conversationState, userState, dialog);
 
         this.adapter = adapter;
-        // In-memory storage for conversation references (production should use persistent storage)
-        this.userContextMap = new Map();
+        this.contextStore = options.contextStore || new UserContextStore();
+        this.accessPolicy = options.accessPolicy || AccessPolicy.fromFile();
+        this.oboExchange = options.oboExchange || null;
+        this.tokenCache = options.tokenCache || new TokenCache();
+        this.auditLog = options.auditLog || null;
+        this.connections = options.connections || OAuthConnections.fromEnv();
+        this.tenantPolicy = options.tenantPolicy || null;
+        this.tokenRequests = options.tokenRequests || new TokenRequestTracker();
+        this.events = options.events || null;
+        this.requireApiConsent = options.requireApiConsent ?? process.env.API_CONSENT_REQUIRED !== 'false';
+        // In-memory cache of conversation references, kept in sync with persistent storage by the context store
+        this.userContextMap = this.contextStore.cache;
         
         this.onMembersAdded(this.handleMembersAdded.bind(this));
     }
@@ -32,33 +83,50 @@ class TeamsBot extends DialogBot {
      * Handle Teams signin verify state for SSO
      */
     async handleTeamsSigninVerifyState(context, query) {
-        console.log('Teams SSO signin verification');
+        log.debug('Teams SSO signin verification');
         await this.dialog.run(context, this.dialogState);
+        await this.resolveTokenRequests(context);
     }
 
     /**
      * Handle Teams signin token exchange for SSO
      */
     async handleTeamsSigninTokenExchange(context, query) {
-        console.log('Teams SSO token exchange');
+        log.debug('Teams SSO token exchange');
         await this.dialog.run(context, this.dialogState);
+        await this.resolveTokenRequests(context);
     }
 
     /**
      * Override handleMessage to store context and handle SSO
      */
     async handleMessage(context, next) {
-        console.log('Processing message with Teams SSO context');
+        log.debug('Processing message with Teams SSO context');
         
         // Always store user context for token retrieval
         await this.storeUserContext(context);
+
+        // Card buttons submit the command they stand for; handle it as if it had been typed
+        const command = cardCommand(context.activity);
+        if (command) {
+            context.activity.text = command;
+        }
+
+        // Utility commands answer directly; everything else goes to the dialog
+        if (await this.handleCommand(context)) {
+            await next();
+            return;
+        }
         
         // Continue with dialog processing
         await super.handleMessage(context, next);
+
+        // A magic code typed into the OAuthPrompt completes a sign-in too
+        await this.resolveTokenRequests(context);
     }
 
     /**
-     * Store user context in memory (enhance with persistent storage for production)
+     * Store user context in the cache and persistent storage
      */
     async storeUserContext(context) {
         try {
@@ -66,6 +134,7 @@ class TeamsBot extends DialogBot {
 
             const userId = context.activity.from.id;
             const conversationReference = TurnContext.getConversationReference(context.activity);
+            const existingContext = await this.contextStore.get(userId);
             
             const userContext = {
                 userId: userId,
@@ -76,32 +145,106 @@ class TeamsBot extends DialogBot {
                 tenantId: context.activity.channelData?.tenant?.id || null,
                 conversationId: context.activity.conversation.id,
                 aadObjectId: context.activity.from.aadObjectId || null,
+                userPrincipalName: existingContext?.userPrincipalName || null,
+                email: existingContext?.email || null,
                 ssoEnabled: true,
+                tokenStatus: existingContext?.tokenStatus,
+                lastTokenRetrieved: existingContext?.lastTokenRetrieved,
+                tokenExpiration: existingContext?.tokenExpiration,
+                lastTokenAttempt: existingContext?.lastTokenAttempt,
+                connectionStatus: existingContext?.connectionStatus,
+                apiConsent: existingContext?.apiConsent,
                 lastUpdated: new Date(),
-                createdAt: this.userContextMap.has(userId) ? 
-                    this.userContextMap.get(userId).createdAt : new Date()
+                createdAt: existingContext?.createdAt || new Date()
             };
 
-            this.userContextMap.set(userId, userContext);
-            console.log(`SSO context stored for user: ${userId}`);
+            // Teams knows the user's UPN; ask once so the user can be looked up by it
+            if (!userContext.userPrincipalName && context.activity.channelId === 'msteams') {
+                try {
+                    const member = await TeamsInfo.getMember(context, userId);
+                    userContext.userPrincipalName = member.userPrincipalName || null;
+                    userContext.email = member.email || null;
+                } catch (error) {
+                    log.debug('Could not get Teams member details', { userId, error: error.message });
+                }
+            }
+
+            await this.contextStore.set(userId, userContext);
+            log.debug('SSO context stored', { userId });
+
+            if (!existingContext) {
+                this.events?.publish(BOT_EVENTS.USER_REGISTERED, {
+                    ...contextUser(userContext),
+                    userPrincipalName: userContext.userPrincipalName
+                });
+            }
             
         } catch (error) {
-            console.error('Failed to store user context:', error);
+            log.error('Failed to store user context', { userId: context?.activity?.from?.id, error });
         }
     }
 
     /**
      * INDUSTRIAL STRENGTH TOKEN RETRIEVAL - FIXED VERSION
      * This version properly handles the UserTokenClient in proactive scenarios
+     * @param {string} userId - The Bot Framework user ID
+     * @param {boolean} forceRefresh - Sign the user out of the token service before fetching
+     * @param {Object} options - REST callers pass { caller, action, resource } so the access policy is enforced,
+     *   { connection } to pick an OAuth connection other than the default,
+     *   and { correlationId } to tie the proactive turn to their request
+     */
+    async getTokenForUser(userId, forceRefresh = false, options = {}) {
+        const startedAt = Date.now();
+        const result = await this.retrieveToken(userId, forceRefresh, options);
+        recordTokenRetrieval(result, Date.now() - startedAt);
+        await this.auditTokenRequest(userId, forceRefresh, options, result);
+        return result;
+    }
+
+    /**
+     * Record who asked for which user's token, and what they got, in the audit log
+     */
+    async auditTokenRequest(userId, forceRefresh, options, result) {
+        if (!this.auditLog) return;
+
+        let outcome = 'failed';
+        if (result.success) outcome = 'issued';
+        else if (result.denied) outcome = 'denied';
+
+        const userContext = this.userContextMap.get(userId);
+        await this.auditLog.record({
+            action: options.action || (forceRefresh ? 'refresh' : 'token'),
+            outcome: outcome,
+            reason: result.success ? null : result.reason || result.error,
+            caller: options.caller,
+            userId: userId,
+            aadObjectId: userContext?.aadObjectId,
+            tenantId: userContext?.tenantId,
+            connectionName: this.connections.resolve(options.connection)?.connectionName || options.connection,
+            resource: options.resource,
+            cached: result.cached,
+            correlationId: options.correlationId || getCorrelationId()
+        });
+    }
+
+    /**
+     * Token retrieval behind getTokenForUser. Successful results carry the method that produced
+     * the token: adapter (adapter.getUserToken), userTokenClient or connectorClient.
      */
-    async getTokenForUser(userId, forceRefresh = false) {
+    async retrieveToken(userId, forceRefresh, options) {
         try {
-            console.log(`Getting token for user: ${userId} (forceRefresh: ${forceRefresh})`);
+            log.debug('Getting token for user', { userId, forceRefresh, connection: options.connection, callerId: options.caller?.id });
+
+            const connection = this.connections.resolve(options.connection);
+            if (!connection) {
+                return this.connections.unknownConnectionError(options.connection);
+            }
+            const connectionName = connection.connectionName;
             
-            // Get user context from memory
-            const userContext = this.userContextMap.get(userId);
+            // Get user context from the cache, falling back to persistent storage
+            const userContext = await this.getAccessibleContext(userId, options.caller);
             if (!userContext?.conversationReference) {
-                console.log(`No conversation reference for user: ${userId}`);
+                log.info('No conversation reference for user', { userId });
                 return {
                     success: false,
                     error: 'No conversation context found',
@@ -109,10 +252,53 @@ class TeamsBot extends DialogBot {
                 };
             }
 
-            console.log(`Found conversation reference for user: ${userId}`);
+            log.debug('Found conversation reference for user', { userId });
+
+            const authorization = this.authorizeAccess(userContext, {
+                caller: options.caller,
+                action: options.action || (forceRefresh ? 'refresh' : 'token'),
+                connectionName: connectionName,
+                resource: options.resource
+            });
+            if (!authorization.allowed) {
+                return {
+                    success: false,
+                    denied: true,
+                    error: 'Access denied',
+                    reason: authorization.reason,
+                    ruleId: authorization.ruleId,
+                    message: authorization.message
+                };
+            }
+
+            // Tokens only leave the bot through the REST API if the user said so
+            if (options.caller && this.requireApiConsent && !this.hasApiConsent(userContext, connection)) {
+                log.info('User has not allowed API access', { userId, connection: connection.name, callerId: options.caller.id });
+                return {
+                    success: false,
+                    denied: true,
+                    error: 'Consent required',
+                    reason: CONSENT_REQUIRED,
+                    message: `The user has not allowed API access to their ${connection.title} token. ` +
+                        'They can allow it by sending "allow api access" to the bot'
+                };
+            }
+
+            if (forceRefresh) {
+                this.tokenCache.invalidate(userId, connectionName);
+            } else {
+                const cached = this.tokenCache.get(userId, connectionName);
+                if (cached) {
+                    log.debug('Token cache hit', { userId, connectionName });
+                    return { ...cached, cached: true };
+                }
+            }
 
-            // Use Bot Framework's proactive conversation to get token
-            return new Promise((resolve) => {
+            // Use Bot Framework's proactive conversation to get token.
+            // The turn runs under the caller's correlation id so the adapter middleware records it on the turn state,
+            // and as a proactive turn so the tenant middleware lets it through.
+            const correlationId = options.correlationId || getCorrelationId() || resolveCorrelationId();
+            const result = await runWithCorrelationId(correlationId, () => runProactiveTurn(() => new Promise((resolve) => {
                 this.adapter.continueConversationAsync(
                     process.env.MicrosoftAppId,
                     userContext.conversationReference,
@@ -129,38 +315,37 @@ class TeamsBot extends DialogBot {
                             // Fallback: Try to get from adapter directly
                             if (!userTokenClient && proactiveContext.adapter.getUserToken) {
                                 // Use the regular getUserToken method if available
-                                console.log('Using adapter.getUserToken method');
+                                log.debug('Using adapter.getUserToken method', { userId });
                                 
                                 if (forceRefresh) {
-                                    console.log(`Force refresh requested for user: ${userId}`);
+                                    log.info('Force refresh requested', { userId });
                                     // Try to sign out first
                                     try {
-                                        await proactiveContext.adapter.signOutUser(proactiveContext, process.env.connectionName);
+                                        await proactiveContext.adapter.signOutUser(proactiveContext, connectionName);
                                     } catch (signOutError) {
-                                        console.log('Could not sign out user (continuing anyway):', signOutError.message);
+                                        log.warn('Could not sign out user (continuing anyway)', { userId, error: signOutError });
                                     }
                                 }
 
                                 const tokenResponse = await proactiveContext.adapter.getUserToken(
                                     proactiveContext,
-                                    process.env.connectionName,
+                                    connectionName,
                                     undefined
                                 );
 
                                 if (tokenResponse?.token) {
-                                    console.log(`Token retrieved for user ${userId} (length: ${tokenResponse.token.length})`);
+                                    log.info('Token retrieved', { userId, tokenLength: tokenResponse.token.length, expiration: tokenResponse.expiration });
                                     
                                     // Update context with token metadata
-                                    userContext.lastTokenRetrieved = new Date();
-                                    userContext.tokenStatus = 'active';
-                                    this.userContextMap.set(userId, userContext);
+                                    await this.updateTokenStatus(userId, 'active', tokenResponse.expiration, connection);
                                     
                                     resolve({
                                         success: true,
                                         token: tokenResponse.token,
                                         expiration: tokenResponse.expiration,
                                         connectionName: tokenResponse.connectionName,
-                                        channelId: tokenResponse.channelId
+                                        channelId: tokenResponse.channelId,
+                                        method: 'adapter'
                                     });
                                     return;
                                 }
@@ -168,37 +353,36 @@ class TeamsBot extends DialogBot {
                             
                             // Method 2: Use UserTokenClient if available
                             if (userTokenClient) {
-                                console.log('Using UserTokenClient');
+                                log.debug('Using UserTokenClient', { userId });
                                 
                                 if (forceRefresh) {
-                                    console.log(`Force refresh requested for user: ${userId}`);
+                                    log.info('Force refresh requested', { userId });
                                     await userTokenClient.signOutUser(
                                         userId, 
-                                        process.env.connectionName, 
+                                        connectionName, 
                                         userContext.channelId
                                     );
                                 }
 
                                 const tokenResponse = await userTokenClient.getUserToken(
                                     userId,
-                                    process.env.connectionName,
+                                    connectionName,
                                     userContext.channelId,
                                     undefined
                                 );
 
                                 if (tokenResponse?.token) {
-                                    console.log(`Token retrieved for user ${userId} (length: ${tokenResponse.token.length})`);
+                                    log.info('Token retrieved', { userId, tokenLength: tokenResponse.token.length, expiration: tokenResponse.expiration });
                                     
-                                    userContext.lastTokenRetrieved = new Date();
-                                    userContext.tokenStatus = 'active';
-                                    this.userContextMap.set(userId, userContext);
+                                    await this.updateTokenStatus(userId, 'active', tokenResponse.expiration, connection);
                                     
                                     resolve({
                                         success: true,
                                         token: tokenResponse.token,
                                         expiration: tokenResponse.expiration,
                                         connectionName: tokenResponse.connectionName,
-                                        channelId: tokenResponse.channelId
+                                        channelId: tokenResponse.channelId,
+                                        method: 'userTokenClient'
                                     });
                                     return;
                                 }
@@ -206,7 +390,7 @@ class TeamsBot extends DialogBot {
                             
                             // Method 3: Alternative approach using OAuth helpers
                             if (!userTokenClient && proactiveContext.adapter.createConnectorClient) {
-                                console.log('Trying alternative OAuth approach');
+                                log.debug('Trying alternative OAuth approach', { userId });
                                 
                                 try {
                                     // Create a connector client
@@ -216,53 +400,46 @@ class TeamsBot extends DialogBot {
                                     if (connectorClient.userToken) {
                                         const tokenResponse = await connectorClient.userToken.getToken(
                                             userId,
-                                            process.env.connectionName,
+                                            connectionName,
                                             userContext.channelId,
                                             undefined
                                         );
 
                                         if (tokenResponse?.token) {
-                                            console.log(`Token retrieved via OAuth client for user ${userId}`);
+                                            log.info('Token retrieved via OAuth client', { userId });
                                             
-                                            userContext.lastTokenRetrieved = new Date();
-                                            userContext.tokenStatus = 'active';
-                                            this.userContextMap.set(userId, userContext);
+                                            await this.updateTokenStatus(userId, 'active', tokenResponse.expiration, connection);
                                             
                                             resolve({
                                                 success: true,
                                                 token: tokenResponse.token,
                                                 expiration: tokenResponse.expiration,
-                                                connectionName: process.env.connectionName,
-                                                channelId: userContext.channelId
+                                                connectionName: connectionName,
+                                                channelId: userContext.channelId,
+                                                method: 'connectorClient'
                                             });
                                             return;
                                         }
                                     }
                                 } catch (oauthError) {
-                                    console.log('OAuth approach failed:', oauthError.message);
+                                    log.warn('OAuth approach failed', { userId, error: oauthError });
                                 }
                             }
 
                             // If we get here, no token was available
-                            console.log(`No token available for user ${userId}`);
+                            log.info('No token available for user', { userId });
                             
-                            userContext.tokenStatus = 'unavailable';
-                            userContext.lastTokenAttempt = new Date();
-                            this.userContextMap.set(userId, userContext);
+                            await this.updateTokenStatus(userId, 'unavailable', undefined, connection);
                             
                             resolve({
                                 success: false,
                                 error: 'Token not available',
+                                signInRequired: true,
                                 message: 'User needs to authenticate first'
                             });
                             
                         } catch (error) {
-                            console.error(`Error getting token for user ${userId}:`, error);
-                            console.error('Error details:', {
-                                name: error.name,
-                                message: error.message,
-                                stack: error.stack
-                            });
+                            log.error('Error getting token for user', { userId, error });
                             
                             resolve({
                                 success: false,
@@ -279,11 +456,27 @@ class TeamsBot extends DialogBot {
                             });
                         }
                     }
-                );
-            });
+                ).catch((error) => {
+                    // The proactive turn itself failed (e.g. bot credentials rejected), so the callback never ran
+                    log.error('Proactive turn failed', { userId, error });
+                    resolve({
+                        success: false,
+                        error: 'Token retrieval failed',
+                        message: error.message
+                    });
+                });
+            })));
+
+            if (result.success) {
+                result.connection = connection.name;
+                this.tokenCache.set(userId, connectionName, result);
+            } else {
+                this.tokenCache.invalidate(userId, connectionName);
+            }
+            return result;
 
         } catch (error) {
-            console.error(`Error in getTokenForUser for ${userId}:`, error);
+            log.error('Error in getTokenForUser', { userId, error });
             return {
                 success: false,
                 error: 'Internal error',
@@ -293,32 +486,391 @@ class TeamsBot extends DialogBot {
     }
 
     /**
-     * Get user profile using their token (demonstrates token usage)
+     * Load a user context for a REST caller (or the bot itself when there is none).
+     * Contexts of tenants that are not allowed, or outside the caller's tenants, look like missing ones.
+     * @param {string} userId - The Bot Framework user ID
+     * @param {Object} caller - The authenticated caller
+     */
+    async getAccessibleContext(userId, caller) {
+        const userContext = await this.contextStore.get(userId);
+        if (!userContext || !this.tenantPolicy || this.tenantPolicy.canAccess(caller, userContext.tenantId)) {
+            return userContext;
+        }
+
+        log.info('User context outside the caller\'s tenants', { userId, callerId: caller?.id, tenantId: userContext.tenantId });
+        return null;
+    }
+
+    /**
+     * Whether the user has allowed REST callers to fetch their token for a connection
+     * @param {Object} userContext - The stored user context
+     * @param {Object} connection - The OAuth connection
+     */
+    hasApiConsent(userContext, connection) {
+        return userContext.apiConsent?.[connection.name]?.granted === true;
+    }
+
+    /**
+     * Grant or revoke API access for some of the user's connections, stored on the user context
+     * @param {TurnContext} context - The user's turn
+     * @param {Object[]} connections - The OAuth connections to change
+     * @param {boolean} granted - Allow (true) or revoke (false)
+     */
+    async setApiConsent(context, connections, granted) {
+        const userId = context.activity.from.id;
+        const userContext = await this.contextStore.get(userId);
+        const apiConsent = { ...userContext?.apiConsent };
+        for (const connection of connections) {
+            apiConsent[connection.name] = { granted, updatedAt: new Date() };
+            if (!granted) {
+                this.tokenCache.invalidate(userId, connection.connectionName);
+            }
+        }
+        await this.contextStore.update(userId, { apiConsent });
+
+        for (const connection of connections) {
+            await this.auditLog?.record({
+                action: 'consent',
+                outcome: granted ? 'granted' : 'revoked',
+                userId: userId,
+                aadObjectId: userContext?.aadObjectId,
+                tenantId: userContext?.tenantId,
+                connectionName: connection.connectionName,
+                correlationId: getTurnCorrelationId(context)
+            });
+        }
+        log.info(granted ? 'API access allowed' : 'API access revoked', { userId, connections: connections.map(c => c.name) });
+    }
+
+    /**
+     * Send the user a sign-in card for a connection and track the caller's request until they sign in
+     * @param {string} userId - The Bot Framework user ID
+     * @param {Object} options - { caller, connection, correlationId } as for getTokenForUser
+     * @returns {Promise<Object>} { success, request, created } where request is the tracked request,
+     *   or { success: false, error, message } if the card could not be sent
+     */
+    async requestSignIn(userId, options = {}) {
+        const connection = this.connections.resolve(options.connection);
+        if (!connection) {
+            return this.connections.unknownConnectionError(options.connection);
+        }
+
+        const userContext = await this.getAccessibleContext(userId, options.caller);
+        if (!userContext?.conversationReference) {
+            return {
+                success: false,
+                error: 'No conversation context found',
+                message: 'User needs to interact with the bot first'
+            };
+        }
+
+        const { request, created } = this.tokenRequests.create({
+            userId: userId,
+            connection: connection.name,
+            callerId: options.caller?.id,
+            correlationId: options.correlationId
+        });
+        if (!created) {
+            return { success: true, request, created };
+        }
+
+        const correlationId = options.correlationId || getCorrelationId() || resolveCorrelationId();
+        try {
+            await runWithCorrelationId(correlationId, () => runProactiveTurn(() => this.adapter.continueConversationAsync(
+                process.env.MicrosoftAppId,
+                userContext.conversationReference,
+                async (proactiveContext) => {
+                    const userTokenClient = proactiveContext.turnState.get(proactiveContext.adapter.UserTokenClientKey);
+                    const signInResource = await userTokenClient.getSignInResource(
+                        connection.connectionName,
+                        proactiveContext.activity,
+                        undefined
+                    );
+
+                    const card = CardFactory.oauthCard(
+                        connection.connectionName,
+                        'Sign In',
+                        `${options.caller?.id || 'A service'} is asking for access to your ${connection.title} account. Sign in to let it continue.`,
+                        signInResource.signInLink,
+                        signInResource.tokenExchangeResource
+                    );
+                    await proactiveContext.sendActivity({ attachments: [card] });
+                }
+            )));
+
+            log.info('Sign-in card sent', { userId, connection: connection.name, requestId: request.id, callerId: options.caller?.id });
+            return { success: true, request, created };
+        } catch (error) {
+            log.error('Could not send sign-in card', { userId, requestId: request.id, error });
+            this.tokenRequests.fail(request.id, error.message);
+            return {
+                success: false,
+                upstreamError: true,
+                error: 'Sign-in prompt failed',
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Complete the user's pending token requests whose token is now in the token service.
+     * Runs after every turn that can finish a sign-in: messages (OAuthPrompt magic codes),
+     * signin/verifyState and signin/tokenExchange invokes.
+     */
+    async resolveTokenRequests(context) {
+        const userId = context.activity.from?.id;
+        const pending = userId ? this.tokenRequests.pendingFor(userId) : [];
+        if (pending.length === 0) return;
+
+        const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+        if (!userTokenClient) return;
+
+        for (const request of pending) {
+            const connection = this.connections.get(request.connection);
+            try {
+                const tokenResponse = await userTokenClient.getUserToken(
+                    userId,
+                    connection.connectionName,
+                    context.activity.channelId,
+                    undefined
+                );
+                if (tokenResponse?.token) {
+                    this.tokenRequests.complete(request.id);
+                }
+            } catch (error) {
+                log.warn('Could not check token for pending request', { userId, requestId: request.id, error });
+            }
+        }
+    }
+
+    /**
+     * Evaluate the access policy for a REST caller before any proactive turn is started.
+     * Requests without a caller come from the user's own conversation and are always allowed.
+     * @param {Object} userContext - The stored user context
+     * @param {Object} request - { caller, action, connectionName, resource }
      */
-    async getUserProfile(userId) {
+    authorizeAccess(userContext, { caller, action, connectionName, resource }) {
+        if (!caller) {
+            return { allowed: true, reason: null, ruleId: null, message: 'No caller to authorize' };
+        }
+
+        const decision = this.accessPolicy.evaluate({
+            caller: caller,
+            action: action,
+            userId: userContext.userId,
+            tenantId: userContext.tenantId,
+            aadObjectId: userContext.aadObjectId,
+            connectionName: connectionName,
+            resource: resource
+        });
+
+        if (!decision.allowed) {
+            log.info('Access denied by policy', { callerId: caller.id, userId: userContext.userId, action, reason: decision.reason, ruleId: decision.ruleId });
+        }
+        return decision;
+    }
+
+    /**
+     * Record token status on the user context (write-through to persistent storage)
+     * @param {string} userId - The Bot Framework user ID
+     * @param {string} tokenStatus - active | expiring | unavailable
+     * @param {string} expiration - Expiration reported by the token service, when a token was obtained
+     * @param {Object} connection - The OAuth connection the status is for, default the default connection
+     */
+    async updateTokenStatus(userId, tokenStatus, expiration, connection = this.connections.defaultConnection) {
+        const now = new Date();
+        const status = tokenStatus === 'unavailable'
+            ? { tokenStatus, lastTokenAttempt: now }
+            : { tokenStatus, lastTokenRetrieved: now };
+        if (expiration) {
+            status.tokenExpiration = new Date(expiration);
+        }
+
         try {
-            const tokenResult = await this.getTokenForUser(userId);
+            const existing = await this.contextStore.get(userId);
+            const connectionStatus = { ...existing?.connectionStatus };
+            const previousStatus = connectionStatus[connection.name]?.tokenStatus ||
+                (connection === this.connections.defaultConnection ? existing?.tokenStatus : null) || null;
+            connectionStatus[connection.name] = { ...connectionStatus[connection.name], ...status };
+
+            // The top-level fields track the default connection, which the refresh scheduler keeps fresh
+            const updateData = connection === this.connections.defaultConnection
+                ? { ...status, connectionStatus }
+                : { connectionStatus };
+            await this.contextStore.update(userId, updateData);
+
+            if (existing && (tokenStatus === 'active' || tokenStatus === 'unavailable')) {
+                this.events?.publish(tokenStatus === 'active' ? BOT_EVENTS.TOKEN_ACQUIRED : BOT_EVENTS.TOKEN_UNAVAILABLE, {
+                    ...contextUser(existing),
+                    connection: connection.name,
+                    expiration: status.tokenExpiration ? status.tokenExpiration.toISOString() : null
+                });
+            }
+            if (existing && previousStatus !== tokenStatus) {
+                this.events?.publish(BOT_EVENTS.TOKEN_STATUS_CHANGED, {
+                    ...contextUser(existing),
+                    connection: connection.name,
+                    previousStatus: previousStatus,
+                    status: tokenStatus,
+                    expiration: status.tokenExpiration ? status.tokenExpiration.toISOString() : null
+                });
+            }
+        } catch (error) {
+            log.error('Failed to update token status', { userId, tokenStatus, error });
+        }
+    }
+
+    /**
+     * Record the UPN and email from a Graph /me response so the user can be looked up by them
+     * @param {string} userId - The Bot Framework user ID
+     * @param {Object} me - The Graph user
+     */
+    async recordDirectoryIdentity(userId, me) {
+        const userContext = this.userContextMap.get(userId);
+        const identity = {
+            userPrincipalName: me?.userPrincipalName || userContext?.userPrincipalName || null,
+            email: me?.mail || userContext?.email || null
+        };
+        if (!userContext || (identity.userPrincipalName === userContext.userPrincipalName && identity.email === userContext.email)) {
+            return;
+        }
+
+        try {
+            await this.contextStore.update(userId, identity);
+        } catch (error) {
+            log.error('Failed to record directory identity', { userId, error });
+        }
+    }
+
+    /**
+     * Resolve a directory identifier to the Bot Framework user ID of a stored context
+     * @param {string} kind - aad (Entra object ID) | upn (user principal name or email address)
+     * @param {string} value - The identifier
+     * @param {Object} filter - { tenantId } to tell apart users of several tenants, { caller } to only
+     *   consider the caller's tenants
+     * @returns {Promise<Object>} { success, userId }, or { success: false, notFound } when nobody matches
+     *   and { success: false, ambiguous, candidates } when several users do
+     */
+    async findUser(kind, value, filter = {}) {
+        const fields = kind === 'aad' ? ['aadObjectId'] : ['userPrincipalName', 'email'];
+        const label = kind === 'aad' ? 'AAD object ID' : 'UPN or email';
+
+        const matches = new Map();
+        for (const field of fields) {
+            for (const userContext of await this.contextStore.findBy(field, value)) {
+                matches.set(userContext.userId, userContext);
+            }
+        }
+
+        let candidates = Array.from(matches.values());
+        if (this.tenantPolicy) {
+            candidates = candidates.filter(userContext => this.tenantPolicy.canAccess(filter.caller, userContext.tenantId));
+        }
+        if (filter.tenantId) {
+            candidates = candidates.filter(userContext => userContext.tenantId === filter.tenantId);
+        }
+
+        if (candidates.length === 0) {
+            return {
+                success: false,
+                notFound: true,
+                error: 'User not found',
+                message: `No user with ${label} "${value}"${filter.tenantId ? ` in tenant ${filter.tenantId}` : ''} has interacted with the bot`
+            };
+        }
+        if (candidates.length > 1) {
+            log.info('Ambiguous user lookup', { kind, matches: candidates.length, tenantId: filter.tenantId });
+            return {
+                success: false,
+                ambiguous: true,
+                error: 'Ambiguous user',
+                message: `${candidates.length} users match ${label} "${value}"; narrow it down with ?tenantId= or use the user ID`,
+                candidates: candidates.map(userContext => ({
+                    userId: userContext.userId,
+                    userName: userContext.userName,
+                    tenantId: userContext.tenantId,
+                    channelId: userContext.channelId,
+                    lastUpdated: userContext.lastUpdated
+                }))
+            };
+        }
+        return { success: true, userId: candidates[0].userId };
+    }
+
+    /**
+     * Get a token for a downstream resource via the OAuth 2.0 on-behalf-of flow.
+     * The user's SSO token from getTokenForUser is the assertion.
+     * @param {string} userId - The Bot Framework user ID
+     * @param {string} resourceName - A resource defined in OBO_RESOURCES_FILE
+     * @param {Object} options - { caller } for REST requests
+     */
+    async getOboTokenForUser(userId, resourceName, options = {}) {
+        if (!this.oboExchange?.getResource(resourceName)) {
+            return {
+                success: false,
+                error: 'Unknown resource',
+                message: `No downstream resource named "${resourceName}" is configured`
+            };
+        }
+
+        const tokenResult = await this.getTokenForUser(userId, false, {
+            ...options,
+            action: 'obo',
+            resource: resourceName
+        });
+        if (!tokenResult.success) {
+            return tokenResult;
+        }
+
+        try {
+            const userContext = await this.contextStore.get(userId);
+            const result = await this.oboExchange.exchange(tokenResult.token, resourceName, userContext?.tenantId);
+
+            if (result.success) {
+                log.info('OBO token issued', { userId, resource: resourceName, callerId: options.caller?.id });
+            }
+            return result;
+        } catch (error) {
+            log.error('OBO exchange error', { userId, resource: resourceName, error });
+            return {
+                success: false,
+                error: 'OBO exchange failed',
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Get user profile and manager using their token (demonstrates token usage)
+     */
+    async getUserProfile(userId, options = {}) {
+        try {
+            const tokenResult = await this.getTokenForUser(userId, false, { ...options, action: 'profile' });
             
             if (!tokenResult.success) {
-                console.log(`No token available for profile request: ${userId}`);
+                log.info('No token available for profile request', { userId, error: tokenResult.error });
                 return {
                     success: false,
+                    denied: tokenResult.denied,
                     error: tokenResult.error,
+                    reason: tokenResult.reason,
                     message: tokenResult.message
                 };
             }
 
-            const client = new SimpleGraphClient(tokenResult.token);
-            const profile = await client.getMe();
+            const client = new SimpleGraphClient(tokenResult.token, { correlationId: options.correlationId });
+            const { me: profile, manager } = await client.getMeWithManager();
+            await this.recordDirectoryIdentity(userId, profile);
             
-            console.log(`Profile retrieved for user: ${userId}`);
+            log.debug('Profile retrieved', { userId });
             return {
                 success: true,
-                profile: profile
+                profile: profile,
+                manager: manager
             };
             
         } catch (error) {
-            console.error(`Error getting user profile for ${userId}:`, error);
+            log.error('Error getting user profile', { userId, error });
             return {
                 success: false,
                 error: 'Profile retrieval failed',
@@ -327,27 +879,216 @@ class TeamsBot extends DialogBot {
         }
     }
 
+    /**
+     * Forward a Graph request with the user's token, for REST callers that only need Graph data
+     * @param {string} userId - The Bot Framework user ID
+     * @param {Object} request - { method, version, path (with query string), body, headers }
+     * @param {Object} options - { caller, correlationId }
+     * @returns {Promise<Object>} { success, response } with Graph's raw response, whatever its status
+     */
+    async proxyGraphRequest(userId, request, options = {}) {
+        const tokenResult = await this.getTokenForUser(userId, false, { ...options, action: 'graph' });
+        if (!tokenResult.success) {
+            log.info('No token available for Graph proxy request', { userId, error: tokenResult.error });
+            return tokenFailure(tokenResult);
+        }
+
+        try {
+            const client = new SimpleGraphClient(tokenResult.token, { correlationId: options.correlationId });
+            const response = await client.forward(request.method, request.path, {
+                version: request.version,
+                body: request.body,
+                headers: request.headers
+            });
+            log.debug('Graph request proxied', { userId, method: request.method, status: response.status });
+            return { success: true, response };
+        } catch (error) {
+            log.error('Graph proxy request failed', { userId, method: request.method, error });
+            return {
+                success: false,
+                upstreamError: true,
+                error: 'Graph request failed',
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Get the user's unread or recent inbox messages
+     * @param {string} userId - The Bot Framework user ID
+     * @param {Object} query - { unreadOnly, top }
+     * @param {Object} options - { caller, correlationId } for REST callers
+     * @returns {Promise<Object>} { success, messages }
+     */
+    async getUserMail(userId, query = {}, options = {}) {
+        try {
+            const tokenResult = await this.getTokenForUser(userId, false, { ...options, action: 'mail' });
+            if (!tokenResult.success) {
+                log.info('No token available for mail request', { userId, error: tokenResult.error });
+                return tokenFailure(tokenResult);
+            }
+
+            const client = new SimpleGraphClient(tokenResult.token, { correlationId: options.correlationId });
+            const messages = query.unreadOnly
+                ? await client.getUnreadMessages(query.top)
+                : await client.getRecentMessages(query.top);
+
+            log.debug('Mail retrieved', { userId, count: messages.length });
+            return { success: true, messages };
+        } catch (error) {
+            log.error('Error getting user mail', { userId, error });
+            return {
+                success: false,
+                upstreamError: true,
+                error: 'Mail retrieval failed',
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Get one of the user's messages with its body
+     * @param {string} userId - The Bot Framework user ID
+     * @param {string} messageId - The Graph message ID
+     * @param {Object} options - { caller, correlationId } for REST callers
+     * @returns {Promise<Object>} { success, message }, or notFound when Graph has no such message
+     */
+    async getUserMessage(userId, messageId, options = {}) {
+        try {
+            const tokenResult = await this.getTokenForUser(userId, false, { ...options, action: 'mail' });
+            if (!tokenResult.success) {
+                log.info('No token available for mail request', { userId, error: tokenResult.error });
+                return tokenFailure(tokenResult);
+            }
+
+            const client = new SimpleGraphClient(tokenResult.token, { correlationId: options.correlationId });
+            return { success: true, message: await client.getMessage(messageId) };
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return { success: false, notFound: true, error: 'Message not found', message: `No message ${messageId}` };
+            }
+            log.error('Error getting message', { userId, error });
+            return {
+                success: false,
+                upstreamError: true,
+                error: 'Mail retrieval failed',
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Send mail as the user
+     * @param {string} userId - The Bot Framework user ID
+     * @param {Object} mail - { to, cc, subject, body, contentType }, see SimpleGraphClient.sendMail
+     * @param {Object} options - { caller, correlationId } for REST callers
+     * @returns {Promise<Object>} { success }, or badRequest when the mail is invalid
+     */
+    async sendUserMail(userId, mail, options = {}) {
+        const invalid = validateMail(mail);
+        if (invalid) {
+            return { success: false, badRequest: true, error: 'Invalid mail', message: invalid };
+        }
+
+        try {
+            const tokenResult = await this.getTokenForUser(userId, false, { ...options, action: 'send-mail' });
+            if (!tokenResult.success) {
+                log.info('No token available for send mail request', { userId, error: tokenResult.error });
+                return tokenFailure(tokenResult);
+            }
+
+            const client = new SimpleGraphClient(tokenResult.token, { correlationId: options.correlationId });
+            await client.sendMail(mail);
+
+            log.info('Mail sent on behalf of user', { userId, callerId: options.caller?.id, recipients: parseAddresses(mail.to).length });
+            return { success: true };
+        } catch (error) {
+            log.error('Error sending mail', { userId, error });
+            return {
+                success: false,
+                upstreamError: true,
+                error: 'Sending mail failed',
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Reply to one of the user's messages as the user
+     * @param {string} userId - The Bot Framework user ID
+     * @param {string} messageId - The Graph message ID
+     * @param {Object} reply - { comment, replyAll }
+     * @param {Object} options - { caller, correlationId } for REST callers
+     * @returns {Promise<Object>} { success }, or notFound when Graph has no such message
+     */
+    async replyToUserMail(userId, messageId, reply, options = {}) {
+        if (typeof reply?.comment !== 'string' || !reply.comment.trim()) {
+            return { success: false, badRequest: true, error: 'Invalid reply', message: 'A comment is required' };
+        }
+
+        try {
+            const tokenResult = await this.getTokenForUser(userId, false, { ...options, action: 'send-mail' });
+            if (!tokenResult.success) {
+                log.info('No token available for reply request', { userId, error: tokenResult.error });
+                return tokenFailure(tokenResult);
+            }
+
+            const client = new SimpleGraphClient(tokenResult.token, { correlationId: options.correlationId });
+            await client.replyToMessage(messageId, reply.comment, reply.replyAll === true);
+
+            log.info('Mail reply sent on behalf of user', { userId, callerId: options.caller?.id });
+            return { success: true };
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return { success: false, notFound: true, error: 'Message not found', message: `No message ${messageId}` };
+            }
+            log.error('Error replying to mail', { userId, error });
+            return {
+                success: false,
+                upstreamError: true,
+                error: 'Reply failed',
+                message: error.message
+            };
+        }
+    }
+
     /**
      * Validate token and make a test Graph API call
      */
-    async validateUserToken(userId) {
+    async validateUserToken(userId, options = {}) {
         try {
-            const tokenResult = await this.getTokenForUser(userId);
+            const tokenResult = await this.getTokenForUser(userId, false, { ...options, action: 'validate' });
             
             if (!tokenResult.success) {
                 return { 
                     valid: false, 
+                    denied: tokenResult.denied,
+                    badRequest: tokenResult.badRequest,
                     reason: tokenResult.error,
+                    policyReason: tokenResult.reason,
                     message: tokenResult.message
                 };
             }
 
+            // Only Graph tokens can be tested here; other connections are valid if the token service issued one
+            const connection = this.connections.resolve(options.connection);
+            if (!connection.graph) {
+                return {
+                    valid: true,
+                    connection: connection.name,
+                    tokenLength: tokenResult.token.length,
+                    expiration: tokenResult.expiration,
+                    message: `Token issued for ${connection.title} (not tested, only Graph tokens are)`
+                };
+            }
+
             // Test the token with a simple Graph API call
-            const client = new SimpleGraphClient(tokenResult.token);
-            await client.getMe();
+            const client = new SimpleGraphClient(tokenResult.token, { correlationId: options.correlationId });
+            await this.recordDirectoryIdentity(userId, await client.getMe());
             
             return { 
                 valid: true, 
+                connection: connection.name,
                 tokenLength: tokenResult.token.length,
                 expiration: tokenResult.expiration,
                 message: 'Token is valid and working' 
@@ -364,9 +1105,11 @@ class TeamsBot extends DialogBot {
 
     /**
      * Get user context information
+     * @param {string} userId - The Bot Framework user ID
+     * @param {Object} caller - The REST caller, whose tenants the user must belong to
      */
-    getUserContext(userId) {
-        const context = this.userContextMap.get(userId);
+    async getUserContext(userId, caller) {
+        const context = await this.getAccessibleContext(userId, caller);
         if (!context) return null;
 
         // Return sanitized context (no sensitive data)
@@ -375,14 +1118,20 @@ class TeamsBot extends DialogBot {
             userName: context.userName,
             channelId: context.channelId,
             tenantId: context.tenantId,
+            aadObjectId: context.aadObjectId,
+            userPrincipalName: context.userPrincipalName,
+            email: context.email,
             conversationId: context.conversationId,
             lastUpdated: context.lastUpdated,
             createdAt: context.createdAt,
             hasConversationReference: !!context.conversationReference,
             ssoEnabled: context.ssoEnabled,
             tokenStatus: context.tokenStatus || 'unknown',
+            tokenExpiration: context.tokenExpiration,
             lastTokenRetrieved: context.lastTokenRetrieved,
-            lastTokenAttempt: context.lastTokenAttempt
+            lastTokenAttempt: context.lastTokenAttempt,
+            connectionStatus: context.connectionStatus || {},
+            apiConsent: context.apiConsent || {}
         };
     }
 
@@ -390,9 +1139,13 @@ class TeamsBot extends DialogBot {
      * Health check for the context storage
      */
     async healthCheck() {
+        const storage = await this.contextStore.healthCheck();
         return {
-            status: 'healthy',
+            status: storage.connected ? 'healthy' : 'degraded',
             userContextCount: this.userContextMap.size,
+            storage: storage,
+            tokenCache: this.tokenCache.stats(),
+            tokenRequests: this.tokenRequests.stats(),
             timestamp: new Date().toISOString()
         };
     }
@@ -401,7 +1154,7 @@ class TeamsBot extends DialogBot {
      * Legacy method - kept for backwards compatibility
      */
     async fetchUserTokenById(userId) {
-        console.log('Using legacy fetchUserTokenById - redirecting to getTokenForUser');
+        log.debug('Using legacy fetchUserTokenById - redirecting to getTokenForUser', { userId });
         const result = await this.getTokenForUser(userId);
         return result.success ? result.token : null;
     }
@@ -414,48 +1167,67 @@ class TeamsBot extends DialogBot {
             // In regular context, we can use adapter.getUserToken
             const tokenResponse = await context.adapter.getUserToken(
                 context,
-                process.env.connectionName
+                this.connections.defaultConnection.connectionName
             );
 
             if (tokenResponse?.token) {
-                console.log('Token retrieved in current context');
+                log.debug('Token retrieved in current context');
                 return tokenResponse.token;
             } else {
-                console.log('No token available in current context');
+                log.debug('No token available in current context');
                 return null;
             }
         } catch (error) {
-            console.error('Error getting token in context:', error);
+            log.error('Error getting token in context', error);
             return null;
         }
     }
 
     /**
      * Handle utility commands
+     * @returns {Promise<boolean>} True if the message was a command and has been answered
      */
-    async onMessage(context) {
-        // Store context first
-        await this.storeUserContext(context);
-        
-        if (context.activity?.text) {
-            const text = context.activity.text.toLowerCase().trim();
-            
-            switch (text) {
-                case 'token status':
-                    await this.handleTokenStatusCommand(context);
-                    return;
-                case 'my profile':
-                    await this.handleProfileCommand(context);
-                    return;
-                case 'context info':
-                    await this.handleContextInfoCommand(context);
-                    return;
-                default:
-                    // Continue with normal dialog flow
-                    await super.onMessage(context);
-            }
-        } else {
-            await super.onMessage(context);
+    async handleCommand(context) {
+        if (context.activity?.value?.action === CONSENT_SUBMIT_ACTION) {
+            await this.handleConsentSubmit(context);
+            return true;
+        }
+        if (!context.activity?.text) return false;
+
+        const text = context.activity.text.toLowerCase().trim();
+        const revoke = /^revoke api access\s+(\S+)$/.exec(text);
+        if (revoke) {
+            await this.handleRevokeConsentCommand(context, revoke[1]);
+            return true;
+        }
+        const mail = /^my mail(?:\s+(\d+))?$/.exec(text);
+        if (mail) {
+            await this.handleMailCommand(context, mail[1] ? parseInt(mail[1], 10) : MAIL_COMMAND_DEFAULT_COUNT);
+            return true;
+        }
+
+        switch (text) {
+            case 'token status':
+                await this.handleTokenStatusCommand(context);
+                return true;
+            case 'my profile':
+                await this.handleProfileCommand(context);
+                return true;
+            case 'context info':
+                await this.handleContextInfoCommand(context);
+                return true;
+            case 'allow api access':
+                await this.handleAllowConsentCommand(context);
+                return true;
+            case 'revoke api access':
+                await this.handleRevokeConsentCommand(context);
+                return true;
+            case 'who accessed my token':
+                await this.handleTokenAccessCommand(context);
+                return true;
+            default:
+                // Continue with normal dialog flow
+                return false;
         }
     }
 
@@ -463,22 +1235,7 @@ class TeamsBot extends DialogBot {
         const userId = context.activity.from.id;
         const validation = await this.validateUserToken(userId);
         
-        let statusText = `Token Status for ${context.activity.from.name}:\n\n`;
-        
-        if (validation.valid) {
-            statusText += `Status: Valid and working\n`;
-            statusText += `Token Length: ${validation.tokenLength} characters\n`;
-            if (validation.expiration) {
-                statusText += `Expires: ${new Date(validation.expiration).toLocaleString()}\n`;
-            }
-            statusText += `Auto-refresh: Enabled via Bot Framework\n`;
-            statusText += `SSO: Teams Silent Authentication Active\n`;
-        } else {
-            statusText += `Status: ${validation.reason}\n`;
-            statusText += `Message: ${validation.message || 'Please interact with the bot to authenticate'}\n`;
-        }
-        
-        await context.sendActivity(MessageFactory.text(statusText));
+        await context.sendActivity(toActivity(context.activity.channelId, tokenStatusTemplate(context.activity.from.name, validation)));
     }
 
     async handleProfileCommand(context) {
@@ -486,39 +1243,154 @@ class TeamsBot extends DialogBot {
         const profileResult = await this.getUserProfile(userId);
         
         if (profileResult.success) {
-            const profile = profileResult.profile;
-            let profileText = `Your Profile:\n\n`;
-            profileText += `Name: ${profile.displayName || 'Not available'}\n`;
-            profileText += `Email: ${profile.userPrincipalName || 'Not available'}\n`;
-            profileText += `Job Title: ${profile.jobTitle || 'Not available'}\n`;
-            profileText += `Department: ${profile.department || 'Not available'}\n`;
-            profileText += `Office Location: ${profile.officeLocation || 'Not available'}\n`;
-            
-            await context.sendActivity(MessageFactory.text(profileText));
+            await context.sendActivity(toActivity(context.activity.channelId, profileTemplate(profileResult.profile, profileResult.manager)));
         } else {
             await context.sendActivity(`Could not retrieve your profile: ${profileResult.message}`);
         }
     }
 
+    async handleMailCommand(context, count) {
+        const userId = context.activity.from.id;
+        const top = Math.min(Math.max(count, 1), MAIL_COMMAND_MAX_COUNT);
+        const mailResult = await this.getUserMail(userId, { unreadOnly: true, top });
+
+        if (!mailResult.success) {
+            await context.sendActivity(`Could not retrieve your mail: ${mailResult.message}`);
+        } else if (mailResult.messages.length === 0) {
+            await context.sendActivity('You have no unread mail. 🎉');
+        } else {
+            await context.sendActivity({ attachments: [createMailCard(mailResult.messages, `Unread mail (${mailResult.messages.length})`)] });
+        }
+    }
+
+    /**
+     * Connection names the user currently holds a token for, asked of the token service in the user's turn
+     * @returns {Promise<Set<string>|null>} Azure connection names, or null if the token service could not be asked
+     */
+    async getSignedInConnections(context) {
+        try {
+            const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+            if (!userTokenClient) return null;
+
+            const connectionNames = this.connections.list().map(connection => connection.connectionName).join(',');
+            const statuses = await userTokenClient.getTokenStatus(context.activity.from.id, context.activity.channelId, connectionNames);
+            return new Set((statuses || []).filter(status => status.hasToken).map(status => status.connectionName));
+        } catch (error) {
+            log.warn('Could not get token status from the token service', { userId: context.activity.from?.id, error });
+            return null;
+        }
+    }
+
     async handleContextInfoCommand(context) {
         const userId = context.activity.from.id;
-        const userContext = this.getUserContext(userId);
+        const userContext = await this.getUserContext(userId);
         
         if (userContext) {
-            let contextText = `Your Context Information:\n\n`;
-            contextText += `User ID: ${userContext.userId}\n`;
-            contextText += `User Name: ${userContext.userName}\n`;
-            contextText += `Channel ID: ${userContext.channelId}\n`;
-            contextText += `Tenant ID: ${userContext.tenantId || 'Not available'}\n`;
-            contextText += `SSO Enabled: ${userContext.ssoEnabled ? 'Yes' : 'No'}\n`;
-            contextText += `Token Status: ${userContext.tokenStatus}\n`;
-            contextText += `Last Updated: ${userContext.lastUpdated?.toLocaleString() || 'Never'}\n`;
-            
-            await context.sendActivity(MessageFactory.text(contextText));
+            const signedIn = await this.getSignedInConnections(context);
+            const connections = this.connections.list().map(connection => ({
+                connection,
+                isDefault: connection === this.connections.defaultConnection,
+                signedIn: signedIn ? signedIn.has(connection.connectionName) : null,
+                status: userContext.connectionStatus[connection.name]
+            }));
+
+            await context.sendActivity(toActivity(context.activity.channelId, contextInfoTemplate(userContext, connections)));
         } else {
             await context.sendActivity('No context information found.');
         }
     }
+
+    async handleAllowConsentCommand(context) {
+        const userContext = await this.contextStore.get(context.activity.from.id);
+        const granted = new Set(this.connections.list()
+            .filter(connection => userContext && this.hasApiConsent(userContext, connection))
+            .map(connection => connection.name));
+
+        await context.sendActivity({ attachments: [createConsentCard(this.connections.list(), granted)] });
+    }
+
+    async handleConsentSubmit(context) {
+        const { decision, connections: selected } = context.activity.value;
+        const connections = String(selected || '').split(',')
+            .map(name => this.connections.get(name.trim()))
+            .filter(Boolean);
+
+        if (connections.length === 0) {
+            await context.sendActivity('No connection was selected, nothing changed.');
+            return;
+        }
+
+        const granted = decision === 'grant';
+        await this.setApiConsent(context, connections, granted);
+
+        const titles = connections.map(connection => connection.title).join(', ');
+        await context.sendActivity(granted
+            ? `API access allowed for: ${titles}. Type "revoke api access" to withdraw it.`
+            : `API access is off for: ${titles}.`);
+    }
+
+    async handleRevokeConsentCommand(context, connectionName) {
+        let connections = this.connections.list();
+        if (connectionName) {
+            const connection = this.connections.get(connectionName);
+            if (!connection) {
+                await context.sendActivity(`Unknown connection "${connectionName}".`);
+                return;
+            }
+            connections = [connection];
+        }
+
+        await this.setApiConsent(context, connections, false);
+        await context.sendActivity(connectionName
+            ? `API access revoked for ${connections[0].title}.`
+            : 'API access revoked. Services can no longer fetch your tokens through the API.');
+    }
+
+    async handleTokenAccessCommand(context) {
+        if (!this.auditLog) {
+            await context.sendActivity('Token access is not being recorded.');
+            return;
+        }
+
+        let records;
+        try {
+            // Consent changes and the bot's own refreshes are in the log too; only show API callers
+            records = (await this.auditLog.query({ userId: context.activity.from.id, limit: 200 }))
+                .filter(record => record.callerId && record.action !== 'consent')
+                .slice(0, 10);
+        } catch (error) {
+            log.error('Could not read the audit log', { userId: context.activity.from.id, error });
+            await context.sendActivity('Token access history is not available right now.');
+            return;
+        }
+
+        if (records.length === 0) {
+            await context.sendActivity('No service has requested your token.');
+            return;
+        }
+
+        let accessText = `Recent token requests for your account:\n\n`;
+        for (const record of records) {
+            accessText += `• ${new Date(record.timestamp).toLocaleString()}: ${record.callerId} (${record.action}, ${record.outcome}`;
+            accessText += record.reason ? `: ${record.reason})\n` : ')\n';
+        }
+
+        await context.sendActivity(MessageFactory.text(accessText));
+    }
+}
+
+/**
+ * The failure result of a Graph-backed request whose token could not be obtained
+ */
+function tokenFailure(tokenResult) {
+    return {
+        success: false,
+        denied: tokenResult.denied,
+        badRequest: tokenResult.badRequest,
+        error: tokenResult.error,
+        reason: tokenResult.reason,
+        message: tokenResult.message
+    };
 }
 
 module.exports.TeamsBot = TeamsBot;
\ No newline at end of file
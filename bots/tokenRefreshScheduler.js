@@ -0,0 +1,264 @@
+// tokenRefreshScheduler.js
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'TokenRefreshScheduler' });
+
+/**
+ * Background scheduler that re-acquires user tokens shortly before they expire, so bursts of
+ * REST requests land on a warm token cache instead of a proactive turn per request.
+ *
+ * Every interval it walks the cached user contexts plus those in the persistent store and
+ * refreshes users whose token expires within the lead time. Refreshes run with bounded
+ * concurrency and random jitter, and tokenStatus is updated to:
+ *  - active:      a token was obtained and is not about to expire
+ *  - expiring:    the token service returned a token that still expires within the lead time; it keeps
+ *                 returning that token until it expires, so the user is not asked again until the
+ *                 token has expired or the expiring backoff has passed
+ *  - unavailable: no token could be obtained (the user has to sign in again)
+ */
+class TokenRefreshScheduler {
+    /**
+     * @param {TeamsBot} bot - The bot whose users' tokens are kept warm
+     * @param {Object} options
+     * @param {number} options.intervalSec - Seconds between scans (TOKEN_REFRESH_INTERVAL_SEC, default 60)
+     * @param {number} options.leadSec - Refresh tokens expiring within this many seconds (TOKEN_REFRESH_LEAD_SEC, default 600)
+     * @param {number} options.concurrency - Parallel refreshes (TOKEN_REFRESH_CONCURRENCY, default 4)
+     * @param {number} options.jitterMs - Max random delay before each refresh (TOKEN_REFRESH_JITTER_MS, default 2000)
+     * @param {number} options.maxUsers - Max contexts read from the persistent store per scan (TOKEN_REFRESH_MAX_USERS, default 1000)
+     * @param {number} options.expiringBackoffSec - Seconds before a user whose token was found expiring is asked again
+     *   (TOKEN_REFRESH_EXPIRING_BACKOFF_SEC, default 300)
+     */
+    constructor(bot, options = {}) {
+        if (!bot) {
+            throw new Error('[TokenRefreshScheduler]: Missing parameter. bot is required');
+        }
+
+        this.bot = bot;
+        this.intervalMs = (options.intervalSec || envInt('TOKEN_REFRESH_INTERVAL_SEC', 60)) * 1000;
+        this.leadMs = (options.leadSec || envInt('TOKEN_REFRESH_LEAD_SEC', 600)) * 1000;
+        this.concurrency = options.concurrency || envInt('TOKEN_REFRESH_CONCURRENCY', 4);
+        this.jitterMs = options.jitterMs ?? envInt('TOKEN_REFRESH_JITTER_MS', 2000);
+        this.maxUsers = options.maxUsers || envInt('TOKEN_REFRESH_MAX_USERS', 1000);
+        this.expiringBackoffMs = (options.expiringBackoffSec || envInt('TOKEN_REFRESH_EXPIRING_BACKOFF_SEC', 300)) * 1000;
+
+        // userId -> when the token service last returned a token that was still expiring
+        this.expiringChecks = new Map();
+
+        this.timer = null;
+        this.currentRun = null;
+        this.stopping = false;
+        this.stats = {
+            runs: 0,
+            lastRunAt: null,
+            lastRunDurationMs: null,
+            refreshed: 0,
+            expiring: 0,
+            unavailable: 0,
+            errors: 0
+        };
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.stopping = false;
+        this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+        // Do not keep the process alive just for the scheduler
+        this.timer.unref();
+        log.info('Token refresh scheduler started', { intervalSec: this.intervalMs / 1000, leadSec: this.leadMs / 1000, concurrency: this.concurrency });
+    }
+
+    /**
+     * Stop scheduling and wait for an in-flight scan to finish
+     */
+    async stop() {
+        this.stopping = true;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.currentRun) {
+            await this.currentRun;
+        }
+        log.info('Token refresh scheduler stopped');
+    }
+
+    /**
+     * Run a single scan. Overlapping scans are skipped.
+     */
+    async runOnce() {
+        if (this.currentRun) return this.currentRun;
+
+        this.currentRun = this.scan().finally(() => {
+            this.currentRun = null;
+        });
+        return this.currentRun;
+    }
+
+    async scan() {
+        const startedAt = Date.now();
+        try {
+            const userIds = await this.collectUserIds();
+            const due = [];
+            for (const userId of userIds) {
+                const userContext = await this.bot.contextStore.get(userId);
+                if (userContext && this.isDue(userContext, startedAt)) {
+                    due.push(userId);
+                }
+            }
+
+            await runWithConcurrency(due, this.concurrency, (userId) => this.refreshUser(userId));
+
+            if (due.length > 0) {
+                log.info('Token refresh scan complete', { refreshedUsers: due.length, durationMs: Date.now() - startedAt });
+            }
+        } catch (error) {
+            this.stats.errors++;
+            log.error('Token refresh scan failed', error);
+        } finally {
+            this.stats.runs++;
+            this.stats.lastRunAt = new Date(startedAt);
+            this.stats.lastRunDurationMs = Date.now() - startedAt;
+        }
+    }
+
+    async collectUserIds() {
+        const userIds = new Set(this.bot.userContextMap.keys());
+        const store = this.bot.contextStore;
+
+        if (store.persistenceEnabled) {
+            const stored = await store.storage.getAllUserContexts(this.maxUsers);
+            stored.forEach(context => userIds.add(context.userId));
+        }
+        return Array.from(userIds);
+    }
+
+    /**
+     * Users whose token was active (or already expiring) and expires within the lead time.
+     * Users that never had a token, or whose token is unavailable, need to sign in and are skipped.
+     */
+    isDue(userContext, now) {
+        if (userContext.tokenStatus !== 'active' && userContext.tokenStatus !== 'expiring') {
+            return false;
+        }
+        if (!userContext.conversationReference) return false;
+        if (userContext.tokenStatus === 'expiring' && this.isBackingOff(userContext, now)) return false;
+
+        const expiration = userContext.tokenExpiration ? new Date(userContext.tokenExpiration).getTime() : NaN;
+        // Contexts recorded before expirations were tracked get refreshed once to learn theirs
+        return Number.isNaN(expiration) || expiration - now <= this.leadMs;
+    }
+
+    /**
+     * Whether a user whose token was found expiring should be left alone for now: until the backoff
+     * has passed or the token has expired, the token service would return the same token again
+     */
+    isBackingOff(userContext, now) {
+        const checkedAt = this.expiringChecks.get(userContext.userId);
+        if (checkedAt === undefined) return false;
+
+        const expiration = new Date(userContext.tokenExpiration).getTime();
+        if (now < checkedAt + this.expiringBackoffMs && !(expiration <= now)) {
+            return true;
+        }
+        this.expiringChecks.delete(userContext.userId);
+        return false;
+    }
+
+    async refreshUser(userId) {
+        if (this.stopping) return;
+
+        if (this.jitterMs > 0) {
+            await delay(Math.floor(Math.random() * this.jitterMs));
+            if (this.stopping) return;
+        }
+
+        try {
+            // Drop the cached copy so the token service is asked for a renewed token
+            this.bot.tokenCache.invalidate(userId, this.bot.connections.defaultConnection.connectionName);
+            const result = await this.bot.getTokenForUser(userId, false, { action: 'scheduled-refresh' });
+
+            if (!result.success) {
+                this.expiringChecks.delete(userId);
+                this.stats.unavailable++;
+                log.info('Token refresh found no token', { userId, error: result.error });
+                return;
+            }
+
+            const expiresAt = Date.parse(result.expiration);
+            if (!Number.isNaN(expiresAt) && expiresAt - Date.now() <= this.leadMs) {
+                this.stats.expiring++;
+                this.expiringChecks.set(userId, Date.now());
+                await this.bot.updateTokenStatus(userId, 'expiring', result.expiration);
+            } else {
+                this.expiringChecks.delete(userId);
+                this.stats.refreshed++;
+            }
+        } catch (error) {
+            this.stats.errors++;
+            log.error('Token refresh failed', { userId, error });
+        }
+    }
+
+    /**
+     * List users with their token status, optionally filtered by status
+     * @param {string} status - active | expiring | unavailable | unknown
+     * @param {Object} caller - The REST caller; only users of its tenants are listed
+     */
+    async listTokenStatuses(status, caller) {
+        const userIds = await this.collectUserIds();
+        const statuses = [];
+
+        for (const userId of userIds) {
+            const userContext = await this.bot.getUserContext(userId, caller);
+            if (!userContext) continue;
+            if (status && userContext.tokenStatus !== status) continue;
+
+            statuses.push({
+                userId: userContext.userId,
+                userName: userContext.userName,
+                tenantId: userContext.tenantId,
+                tokenStatus: userContext.tokenStatus,
+                tokenExpiration: userContext.tokenExpiration,
+                lastTokenRetrieved: userContext.lastTokenRetrieved,
+                lastTokenAttempt: userContext.lastTokenAttempt
+            });
+        }
+        return statuses;
+    }
+
+    getStats() {
+        return {
+            running: !!this.timer,
+            intervalSec: this.intervalMs / 1000,
+            leadSec: this.leadMs / 1000,
+            concurrency: this.concurrency,
+            backingOff: this.expiringChecks.size,
+            ...this.stats
+        };
+    }
+}
+
+/**
+ * Run a task for every item with at most `limit` tasks in flight
+ */
+async function runWithConcurrency(items, limit, task) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await task(item);
+        }
+    });
+    await Promise.all(workers);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function envInt(name, fallback) {
+    return parseInt(process.env[name], 10) || fallback;
+}
+
+module.exports = { TokenRefreshScheduler };
@@ -0,0 +1,142 @@
+// tokenRequestTracker.js
+const crypto = require('crypto');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'TokenRequestTracker' });
+
+const STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    EXPIRED: 'expired',
+    FAILED: 'failed'
+};
+
+/**
+ * Token requests waiting for the user to sign in after the bot sent them a sign-in card.
+ *
+ * A request is created when a REST caller asks for a missing token with ?promptIfMissing=true
+ * and completes when the user's next sign-in (OAuthPrompt, magic code or SSO token exchange)
+ * leaves a token in the token service. Requests that are not completed within
+ * TOKEN_REQUEST_TIMEOUT_SECONDS (default 300, the OAuthPrompt timeout) expire, and finished
+ * requests are forgotten an hour later. Requests live in memory, so callers must poll the
+ * instance that created them.
+ */
+class TokenRequestTracker {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeoutMs - How long a request waits for the sign-in
+     * @param {number} options.retentionMs - How long finished requests can still be polled
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs ||
+            (parseInt(process.env.TOKEN_REQUEST_TIMEOUT_SECONDS, 10) || 300) * 1000;
+        this.retentionMs = options.retentionMs || 60 * 60 * 1000;
+        this.requests = new Map();
+    }
+
+    /**
+     * Track a new request, or return the caller's pending request for the same user and connection
+     * so repeated calls do not send the user one card each
+     * @param {Object} request - { userId, connection, callerId, correlationId }
+     * @returns {{request: Object, created: boolean}}
+     */
+    create({ userId, connection, callerId, correlationId }) {
+        this.prune();
+
+        const existing = this.pendingFor(userId).find(request =>
+            request.connection === connection && request.callerId === callerId
+        );
+        if (existing) {
+            return { request: existing, created: false };
+        }
+
+        const now = Date.now();
+        const request = {
+            id: crypto.randomUUID(),
+            userId: userId,
+            connection: connection,
+            callerId: callerId,
+            correlationId: correlationId || null,
+            status: STATUS.PENDING,
+            message: null,
+            createdAt: new Date(now),
+            expiresAt: new Date(now + this.timeoutMs),
+            completedAt: null
+        };
+        this.requests.set(request.id, request);
+        return { request, created: true };
+    }
+
+    /**
+     * @returns {Object|null} The request with an up to date status, or null if unknown or forgotten
+     */
+    get(id) {
+        const request = this.requests.get(id);
+        if (!request) return null;
+
+        this.expireIfDue(request, Date.now());
+        return request;
+    }
+
+    /**
+     * Requests still waiting for a user's sign-in
+     */
+    pendingFor(userId) {
+        const now = Date.now();
+        return Array.from(this.requests.values()).filter(request => {
+            this.expireIfDue(request, now);
+            return request.userId === userId && request.status === STATUS.PENDING;
+        });
+    }
+
+    complete(id) {
+        this.finish(id, STATUS.COMPLETED, 'The user signed in');
+    }
+
+    fail(id, message) {
+        this.finish(id, STATUS.FAILED, message);
+    }
+
+    finish(id, status, message) {
+        const request = this.requests.get(id);
+        if (!request || request.status !== STATUS.PENDING) return;
+
+        request.status = status;
+        request.message = message;
+        request.completedAt = new Date();
+        log.info('Token request finished', { requestId: id, userId: request.userId, status, callerId: request.callerId });
+    }
+
+    expireIfDue(request, now) {
+        if (request.status === STATUS.PENDING && request.expiresAt.getTime() <= now) {
+            request.status = STATUS.EXPIRED;
+            request.message = 'The user did not sign in in time';
+            request.completedAt = new Date(now);
+        }
+    }
+
+    /**
+     * Forget requests that finished (or expired) longer than the retention period ago
+     */
+    prune() {
+        const now = Date.now();
+        for (const [id, request] of this.requests) {
+            this.expireIfDue(request, now);
+            if (request.completedAt && now - request.completedAt.getTime() > this.retentionMs) {
+                this.requests.delete(id);
+            }
+        }
+    }
+
+    stats() {
+        const stats = { pending: 0, completed: 0, expired: 0, failed: 0 };
+        const now = Date.now();
+        for (const request of this.requests.values()) {
+            this.expireIfDue(request, now);
+            stats[request.status]++;
+        }
+        return stats;
+    }
+}
+
+module.exports = { TokenRequestTracker, TOKEN_REQUEST_STATUS: STATUS };
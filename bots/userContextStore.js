@@ -0,0 +1,148 @@
+// userContextStore.js
+const { createContextStore } = require('../storage');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'UserContextStore' });
+
+/**
+ * Write-through store for user contexts.
+ * Keeps the in-memory Map as a cache in front of a context store backend:
+ * writes go to both, reads fall back to the backend on a cache miss.
+ * If the backend cannot be reached at startup the bot keeps running on the cache alone.
+ */
+class UserContextStore {
+    /**
+     * Creates an instance of UserContextStore.
+     * @param {ContextStoreBackend} storage - The storage backend (see storage/index.js).
+     */
+    constructor(storage = createContextStore()) {
+        this.storage = storage;
+        this.cache = new Map();
+        this.persistenceEnabled = false;
+        this.lastError = null;
+    }
+
+    /**
+     * Connect the persistent storage backend
+     */
+    async initialize() {
+        try {
+            await this.storage.initialize();
+            this.persistenceEnabled = true;
+            this.lastError = null;
+        } catch (error) {
+            this.persistenceEnabled = false;
+            this.lastError = error.message;
+            log.error('Context persistence unavailable, using in-memory cache only', { backend: this.storage.name, error: error.message });
+        }
+    }
+
+    /**
+     * Get a user context from the cache, loading it from persistent storage on a miss
+     * @param {string} userId - The user ID
+     * @returns {Promise<Object|null>} The user context or null if not found
+     */
+    async get(userId) {
+        if (this.cache.has(userId)) {
+            return this.cache.get(userId);
+        }
+
+        if (!this.persistenceEnabled) return null;
+
+        const stored = await this.storage.getUserContext(userId);
+        if (!stored) return null;
+
+        const { _id, ...userContext } = stored;
+        this.cache.set(userId, userContext);
+        log.debug('Context loaded from persistent storage', { userId });
+        return userContext;
+    }
+
+    /**
+     * Store a full user context in the cache and persistent storage
+     * @param {string} userId - The user ID
+     * @param {Object} userContext - The user context, including its conversationReference
+     */
+    async set(userId, userContext) {
+        this.cache.set(userId, userContext);
+
+        if (!this.persistenceEnabled) return;
+
+        const { userId: _userId, conversationReference, ...additionalData } = userContext;
+        await this.storage.storeUserContext(userId, conversationReference, additionalData);
+    }
+
+    /**
+     * Merge fields into an existing user context
+     * @param {string} userId - The user ID
+     * @param {Object} updateData - Data to update
+     * @returns {Promise<boolean>} True if the context exists
+     */
+    async update(userId, updateData) {
+        const userContext = await this.get(userId);
+        if (!userContext) return false;
+
+        Object.assign(userContext, updateData);
+
+        if (this.persistenceEnabled) {
+            await this.storage.updateUserContext(userId, updateData);
+        }
+        return true;
+    }
+
+    /**
+     * Find user contexts by a directory identifier, ignoring case
+     * @param {string} field - aadObjectId | userPrincipalName | email
+     * @param {string} value - The identifier to look up
+     * @returns {Promise<Object[]>} Matching user contexts
+     */
+    async findBy(field, value) {
+        if (!this.persistenceEnabled) {
+            const key = String(value).toLowerCase();
+            return Array.from(this.cache.values())
+                .filter(userContext => typeof userContext[field] === 'string' && userContext[field].toLowerCase() === key);
+        }
+
+        const stored = await this.storage.findUserContexts(field, value);
+        return stored.map(({ _id, ...userContext }) => this.cache.get(userContext.userId) || userContext);
+    }
+
+    /**
+     * Remove a user context from the cache and persistent storage
+     * @param {string} userId - The user ID
+     * @returns {Promise<boolean>} True if a context was removed
+     */
+    async remove(userId) {
+        const removed = this.cache.delete(userId);
+        if (!this.persistenceEnabled) return removed;
+
+        return (await this.storage.removeUserContext(userId)) || removed;
+    }
+
+    /**
+     * Health of the cache and the persistent storage
+     */
+    async healthCheck() {
+        const connected = this.persistenceEnabled ? await this.storage.healthCheck() : false;
+        return {
+            backend: this.storage.name,
+            durable: this.storage.durable,
+            available: this.persistenceEnabled,
+            connected: connected,
+            cachedContexts: this.cache.size,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Close the persistent storage backend
+     */
+    async close() {
+        if (this.persistenceEnabled) {
+            await this.storage.close();
+            this.persistenceEnabled = false;
+        }
+    }
+}
+
+module.exports = { UserContextStore };
@@ -3,6 +3,7 @@
 
 const { ActivityTypes } = require('botbuilder');
 const { ComponentDialog } = require('botbuilder-dialogs');
+const { BOT_EVENTS, activityUser } = require('../events/botEvents');
 
 /**
  * LogoutDialog class extends ComponentDialog to handle user logout.
@@ -11,11 +12,15 @@ class LogoutDialog extends ComponentDialog {
     /**
      * Creates an instance of LogoutDialog.
      * @param {string} id - The dialog ID.
-     * @param {string} connectionName - The connection name for the OAuth provider.
+     * @param {OAuthConnections} connections - The OAuth connections the user can sign out of.
+     * @param {TokenCache} tokenCache - Optional. Cached tokens are invalidated when the user signs out.
+     * @param {BotEvents} events - Optional. Sign-ins and sign-outs are published here.
      */
-    constructor(id, connectionName) {
+    constructor(id, connections, tokenCache, events) {
         super(id);
-        this.connectionName = connectionName;
+        this.connections = connections;
+        this.tokenCache = tokenCache || null;
+        this.events = events || null;
     }
 
     /**
@@ -46,19 +51,39 @@ class LogoutDialog extends ComponentDialog {
     }
 
     /**
-     * Interrupts the dialog to handle the 'logout' command.
+     * Interrupts the dialog to handle the 'logout' command ('logout <connection>' signs out of one connection).
      * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
      */
     async interrupt(innerDc) {
         if (innerDc.context.activity.type === ActivityTypes.Message) {
-            const text = innerDc.context.activity.text.toLowerCase();
-            if (text === 'logout') {
+            const text = (innerDc.context.activity.text || '').toLowerCase().trim();
+            const match = /^logout(?:\s+(\S+))?$/.exec(text);
+            if (match) {
+                let connections = this.connections.list();
+                if (match[1]) {
+                    const connection = this.connections.get(match[1]);
+                    if (!connection) {
+                        await innerDc.context.sendActivity(`Unknown connection "${match[1]}".`);
+                        return await innerDc.cancelAllDialogs();
+                    }
+                    connections = [connection];
+                }
+
                 const userTokenClient = innerDc.context.turnState.get(innerDc.context.adapter.UserTokenClientKey);
 
                 const { activity } = innerDc.context;
-                await userTokenClient.signOutUser(activity.from.id, this.connectionName, activity.channelId);
+                for (const connection of connections) {
+                    await userTokenClient.signOutUser(activity.from.id, connection.connectionName, activity.channelId);
+                    this.tokenCache?.invalidate(activity.from.id, connection.connectionName);
+                }
+                this.events?.publish(BOT_EVENTS.USER_SIGNED_OUT, {
+                    ...activityUser(activity),
+                    connections: connections.map(connection => connection.name)
+                });
 
-                await innerDc.context.sendActivity('You have been signed out.');
+                await innerDc.context.sendActivity(match[1]
+                    ? `You have been signed out of ${connections[0].title}.`
+                    : 'You have been signed out.');
                 return await innerDc.cancelAllDialogs();
             }
         }
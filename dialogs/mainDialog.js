@@ -2,39 +2,69 @@
 // Licensed under the MIT License.
 
 const { ConfirmPrompt, DialogSet, DialogTurnStatus, OAuthPrompt, WaterfallDialog } = require('botbuilder-dialogs');
+const { ActivityTypes } = require('botbuilder');
 const { LogoutDialog } = require('./logoutDialog');
+const { SendMailDialog, SEND_MAIL_DIALOG } = require('./sendMailDialog');
+const { ScheduleMeetingDialog, SCHEDULE_MEETING_DIALOG } = require('./scheduleMeetingDialog');
+const { OAuthConnections } = require('../auth/oauthConnections');
 const { SimpleGraphClient } = require('../simpleGraphClient');
-const { MessageFactory, CardFactory } = require('botbuilder-core');
+const { signInSummaryTemplate, toActivity } = require('../bots/cardTemplates');
+const { MessageFactory } = require('botbuilder-core');
+const { logger } = require('../logging/logger');
+const { getTurnCorrelationId } = require('../logging/correlation');
+const { BOT_EVENTS, activityUser } = require('../events/botEvents');
+
+const log = logger.child({ component: 'MainDialog' });
 
 const CONFIRM_PROMPT = 'ConfirmPrompt';
 const MAIN_DIALOG = 'MainDialog';
 const MAIN_WATERFALL_DIALOG = 'MainWaterfallDialog';
+const SIGN_IN_WATERFALL_DIALOG = 'SignInWaterfallDialog';
 const OAUTH_PROMPT = 'OAuthPrompt';
 
+/**
+ * Dialog id of the OAuthPrompt for a connection
+ */
+function oauthPromptId(connection) {
+    return `${OAUTH_PROMPT}:${connection.name}`;
+}
+
 /**
  * MainDialog class extends LogoutDialog to handle the main dialog flow.
  */
 class MainDialog extends LogoutDialog {
     /**
      * Creates an instance of MainDialog.
-     * @param {string} connectionName - The connection name for the OAuth provider.
+     * @param {Object} options - Optional services.
+     * @param {TokenCache} options.tokenCache - Token cache to invalidate on logout.
+     * @param {OAuthConnections} options.connections - The OAuth connections users can sign in to.
+     * @param {BotEvents} options.events - Sign-ins and sign-outs are published here.
      */
-    constructor() {
-        super(MAIN_DIALOG, process.env.connectionName);
-
-        this.addDialog(new OAuthPrompt(OAUTH_PROMPT, {
-            connectionName: process.env.connectionName,
-            text: 'Please Sign In',
-            title: 'Sign In',
-            timeout: 300000
-        }));
+    constructor(options = {}) {
+        const connections = options.connections || OAuthConnections.fromEnv();
+        super(MAIN_DIALOG, connections, options.tokenCache, options.events);
+
+        for (const connection of connections.list()) {
+            this.addDialog(new OAuthPrompt(oauthPromptId(connection), {
+                connectionName: connection.connectionName,
+                text: `Please Sign In to ${connection.title}`,
+                title: 'Sign In',
+                timeout: 300000
+            }));
+        }
         this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
+        this.addDialog(new SendMailDialog(connections));
+        this.addDialog(new ScheduleMeetingDialog(connections));
         this.addDialog(new WaterfallDialog(MAIN_WATERFALL_DIALOG, [
             this.promptStep.bind(this),
             this.loginStep.bind(this),
             this.ensureOAuth.bind(this),
             this.displayToken.bind(this)
         ]));
+        this.addDialog(new WaterfallDialog(SIGN_IN_WATERFALL_DIALOG, [
+            this.signInPromptStep.bind(this),
+            this.signInResultStep.bind(this)
+        ]));
 
         this.initialDialogId = MAIN_WATERFALL_DIALOG;
     }
@@ -55,12 +85,46 @@ class MainDialog extends LogoutDialog {
         }
     }
 
+    /**
+     * Handles 'sign in <connection>', 'send mail' and the meeting commands ('schedule meeting',
+     * 'reschedule meeting <subject>', 'cancel meeting <subject>') before the logout command and the main flow.
+     * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
+     */
+    async interrupt(innerDc) {
+        const { activity } = innerDc.context;
+        if (activity.type === ActivityTypes.Message) {
+            const match = /^sign in\s+(\S+)$/.exec((activity.text || '').toLowerCase().trim());
+            if (match) {
+                const connection = this.connections.get(match[1]);
+                await innerDc.cancelAllDialogs();
+                if (!connection) {
+                    const available = this.connections.list().map(c => c.name).join(', ');
+                    await innerDc.context.sendActivity(`Unknown connection "${match[1]}". Available connections: ${available}`);
+                    return await innerDc.endDialog();
+                }
+                return await innerDc.beginDialog(SIGN_IN_WATERFALL_DIALOG, { connection: connection.name });
+            }
+            if ((activity.text || '').toLowerCase().trim() === 'send mail') {
+                await innerDc.cancelAllDialogs();
+                return await innerDc.beginDialog(SEND_MAIL_DIALOG);
+            }
+            const meeting = /^(?:(schedule) meeting|(reschedule|cancel) meeting\s+(.+))$/i.exec((activity.text || '').trim());
+            if (meeting) {
+                const action = (meeting[1] || meeting[2]).toLowerCase();
+                await innerDc.cancelAllDialogs();
+                return await innerDc.beginDialog(SCHEDULE_MEETING_DIALOG, { action, subject: meeting[3] });
+            }
+        }
+
+        return await super.interrupt(innerDc);
+    }
+
     /**
      * Prompts the user to sign in.
      * @param {WaterfallStepContext} stepContext - The waterfall step context.
      */
     async promptStep(stepContext) {
-        return await stepContext.beginDialog(OAUTH_PROMPT);
+        return await stepContext.beginDialog(oauthPromptId(this.connections.defaultConnection));
     }
 
     /**
@@ -73,95 +137,17 @@ class MainDialog extends LogoutDialog {
             await stepContext.context.sendActivity('Login was not successful, please try again.');
             return await stepContext.endDialog();
         } else {
-            const client = new SimpleGraphClient(tokenResponse.token);
+            this.publishSignIn(stepContext.context, this.connections.defaultConnection);
+            const client = new SimpleGraphClient(tokenResponse.token, { correlationId: getTurnCorrelationId(stepContext.context) });
             
             try {
-                // Get user information
-                const me = await client.getMe();
-                const title = me ? me.jobTitle : 'Unknown';
-                
-                await stepContext.context.sendActivity(
-                    MessageFactory.text(`Welcome ${me.displayName} (${me.userPrincipalName})!`)
-                );
-
-                // Get calendar events
-                const events = await client.getTodaysEvents();
-                
-                if (events && events.length > 0) {
-                    let eventsText = `📅 **Your calendar for today:**\n\n`;
-                    
-                    events.forEach(event => {
-                        const startTime = new Date(event.start.dateTime).toLocaleTimeString('en-US', {
-                            hour: '2-digit',
-                            minute: '2-digit',
-                            hour12: true
-                        });
-                        const endTime = new Date(event.end.dateTime).toLocaleTimeString('en-US', {
-                            hour: '2-digit',
-                            minute: '2-digit',
-                            hour12: true
-                        });
-                        
-                        eventsText += `• **${event.subject}**\n`;
-                        eventsText += `  ⏰ ${startTime} - ${endTime}\n`;
-                        
-                        if (event.location && event.location.displayName) {
-                            eventsText += `  📍 ${event.location.displayName}\n`;
-                        }
-                        
-                        if (event.organizer && event.organizer.emailAddress) {
-                            eventsText += `  👤 ${event.organizer.emailAddress.name}\n`;
-                        }
-                        
-                        eventsText += '\n';
-                    });
-                    
-                    await stepContext.context.sendActivity(MessageFactory.text(eventsText));
-                } else {
-                    await stepContext.context.sendActivity(
-                        MessageFactory.text('📅 No events scheduled for today. Enjoy your free time!')
-                    );
-                }
-
-                // Get upcoming events (next 10)
-                const upcomingEvents = await client.getCalendarEvents();
-                
-                if (upcomingEvents && upcomingEvents.length > 0) {
-                    let upcomingText = `📆 **Your upcoming events:**\n\n`;
-                    
-                    upcomingEvents.slice(0, 5).forEach(event => {
-                        const eventDate = new Date(event.start.dateTime).toLocaleDateString('en-US', {
-                            weekday: 'short',
-                            month: 'short',
-                            day: 'numeric'
-                        });
-                        const startTime = new Date(event.start.dateTime).toLocaleTimeString('en-US', {
-                            hour: '2-digit',
-                            minute: '2-digit',
-                            hour12: true
-                        });
-                        
-                        upcomingText += `• **${event.subject}**\n`;
-                        upcomingText += `  📅 ${eventDate} at ${startTime}\n\n`;
-                    });
-                    
-                    await stepContext.context.sendActivity(MessageFactory.text(upcomingText));
-                }
-
-                // Try to get and display user photo (optional)
-                try {
-                    const photoBase64 = await client.getPhotoAsync(tokenResponse.token);
-                    const card = CardFactory.thumbnailCard("Your Profile Picture", CardFactory.images([photoBase64]));
-                    await stepContext.context.sendActivity({ attachments: [card] });
-                } catch (photoError) {
-                    console.log('Could not fetch user photo (this is normal if user has no photo):', photoError.message);
-                    // Don't show error to user for missing photo
-                }
-
+                // User information, today's and upcoming events and the photo, in one batch
+                const summary = await client.getSignInSummary();
+                await stepContext.context.sendActivity(toActivity(stepContext.context.activity.channelId, signInSummaryTemplate(summary)));
             } catch (error) {
-                console.error('Error in loginStep:', error);
+                log.error('Error in loginStep', { userId: stepContext.context.activity.from?.id, error });
                 await stepContext.context.sendActivity(
-                    MessageFactory.text(`Welcome! Authentication successful, but there was an issue accessing your calendar: ${error.message}`)
+                    MessageFactory.text(`Welcome! Authentication successful, but your details could not be loaded: ${error.message}`)
                 );
             }
 
@@ -178,11 +164,49 @@ class MainDialog extends LogoutDialog {
 
         const result = stepContext.result;
         if (result) {
-            return await stepContext.beginDialog(OAUTH_PROMPT);
+            return await stepContext.beginDialog(oauthPromptId(this.connections.defaultConnection));
         }
         return await stepContext.endDialog();
     }
 
+    /**
+     * Runs the OAuthPrompt of the connection named by 'sign in <connection>'.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async signInPromptStep(stepContext) {
+        const connection = this.connections.get(stepContext.options.connection);
+        stepContext.values.connection = connection;
+        return await stepContext.beginDialog(oauthPromptId(connection));
+    }
+
+    /**
+     * Reports the outcome of a 'sign in <connection>' prompt.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async signInResultStep(stepContext) {
+        const connection = stepContext.values.connection;
+        const tokenResponse = stepContext.result;
+        if (tokenResponse && tokenResponse.token) {
+            this.publishSignIn(stepContext.context, connection);
+            await stepContext.context.sendActivity(`You are signed in to ${connection.title}.`);
+        } else {
+            await stepContext.context.sendActivity(`Sign in to ${connection.title} was not successful, please try again.`);
+        }
+        return await stepContext.endDialog();
+    }
+
+    /**
+     * Publish a completed sign-in
+     * @param {TurnContext} context - The turn the OAuthPrompt completed in.
+     * @param {Object} connection - The connection signed in to.
+     */
+    publishSignIn(context, connection) {
+        this.events?.publish(BOT_EVENTS.USER_SIGNED_IN, {
+            ...activityUser(context.activity),
+            connection: connection.name
+        });
+    }
+
     /**
      * Displays comprehensive token information to the user.
      * @param {WaterfallStepContext} stepContext - The waterfall step context.
@@ -220,7 +244,7 @@ class MainDialog extends LogoutDialog {
             
             // OAuth endpoints and URLs
             tokenInfo += `**OAuth Configuration:**\n`;
-            tokenInfo += `• **Connection Name:** ${process.env.connectionName}\n`;
+            tokenInfo += `• **Connection Name:** ${this.connections.defaultConnection.connectionName}\n`;
             tokenInfo += `• **Authority:** https://login.microsoftonline.com/${process.env.MicrosoftAppTenantId || 'common'}\n`;
             tokenInfo += `• **Token Endpoint:** https://login.microsoftonline.com/${process.env.MicrosoftAppTenantId || 'common'}/oauth2/v2.0/token\n`;
             tokenInfo += `• **Authorization Endpoint:** https://login.microsoftonline.com/${process.env.MicrosoftAppTenantId || 'common'}/oauth2/v2.0/authorize\n`;
@@ -240,10 +264,11 @@ class MainDialog extends LogoutDialog {
             
             await stepContext.context.sendActivity(MessageFactory.text(tokenInfo));
             
-            // Log additional details for debugging (server-side only)
-            console.log('=== TOKEN RESPONSE DETAILS ===');
-            console.log('Token Response Object:', JSON.stringify(tokenResponse, null, 2));
-            console.log('=====================================');
+            // Log token metadata for debugging (server-side only, token values are redacted)
+            log.debug('Token response details', {
+                userId: stepContext.context.activity.from?.id,
+                tokenResponse: tokenResponse
+            });
         } else {
             await stepContext.context.sendActivity('No token information available.');
         }
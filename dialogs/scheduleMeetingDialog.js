@@ -0,0 +1,515 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { ActivityTypes } = require('botbuilder');
+const {
+    ChoicePrompt,
+    ComponentDialog,
+    ConfirmPrompt,
+    DateTimePrompt,
+    NumberPrompt,
+    OAuthPrompt,
+    TextPrompt,
+    WaterfallDialog
+} = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder-core');
+const { SimpleGraphClient, parseAddresses, validateAddresses } = require('../simpleGraphClient');
+const { createMeetingTimesCard, formatWallTime, MEETING_SLOT_ACTION } = require('../bots/meetingCard');
+const { logger } = require('../logging/logger');
+const { getTurnCorrelationId } = require('../logging/correlation');
+
+const log = logger.child({ component: 'ScheduleMeetingDialog' });
+
+const SCHEDULE_MEETING_DIALOG = 'ScheduleMeetingDialog';
+const SCHEDULE_WATERFALL_DIALOG = 'ScheduleWaterfallDialog';
+const RESCHEDULE_WATERFALL_DIALOG = 'RescheduleWaterfallDialog';
+const CANCEL_WATERFALL_DIALOG = 'CancelMeetingWaterfallDialog';
+const ATTENDEES_PROMPT = 'AttendeesPrompt';
+const TEXT_PROMPT = 'TextPrompt';
+const DURATION_PROMPT = 'DurationPrompt';
+const WINDOW_PROMPT = 'WindowPrompt';
+const SLOT_PROMPT = 'SlotPrompt';
+const EVENT_PROMPT = 'EventPrompt';
+const CONFIRM_PROMPT = 'ConfirmPrompt';
+const OAUTH_PROMPT = 'OAuthPrompt';
+
+// Meeting lengths accepted by the duration prompt, in minutes
+const MIN_DURATION = 15;
+const MAX_DURATION = 480;
+
+/**
+ * ScheduleMeetingDialog books, moves and cancels meetings on the user's calendar.
+ *
+ * Begin it with { action: 'schedule' } to collect attendees, subject, duration and a date window,
+ * offer findMeetingTimes suggestions as an Adaptive Card and create the chosen event, optionally
+ * as a Teams meeting. { action: 'reschedule', subject } and { action: 'cancel', subject } look up the
+ * user's upcoming meetings with that text in the subject; rescheduling offers new times for the same
+ * attendees and length. Times are in the user's Teams time zone (UTC if the client did not send one).
+ * Typing "cancel" at any prompt leaves the calendar untouched.
+ */
+class ScheduleMeetingDialog extends ComponentDialog {
+    /**
+     * Creates an instance of ScheduleMeetingDialog.
+     * @param {OAuthConnections} connections - Calendar requests use the default connection's token.
+     */
+    constructor(connections) {
+        super(SCHEDULE_MEETING_DIALOG);
+        this.connection = connections.defaultConnection;
+
+        this.addDialog(new OAuthPrompt(OAUTH_PROMPT, {
+            connectionName: this.connection.connectionName,
+            text: `Please Sign In to ${this.connection.title} to use your calendar`,
+            title: 'Sign In',
+            timeout: 300000
+        }));
+        this.addDialog(new TextPrompt(ATTENDEES_PROMPT, this.attendeesValidator.bind(this)));
+        this.addDialog(new TextPrompt(TEXT_PROMPT));
+        this.addDialog(new NumberPrompt(DURATION_PROMPT, this.durationValidator.bind(this)));
+        this.addDialog(new DateTimePrompt(WINDOW_PROMPT, this.windowValidator.bind(this)));
+        this.addDialog(new TextPrompt(SLOT_PROMPT, this.slotValidator.bind(this)));
+        this.addDialog(new ChoicePrompt(EVENT_PROMPT));
+        this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
+
+        this.addDialog(new WaterfallDialog(SCHEDULE_WATERFALL_DIALOG, [
+            this.signInStep.bind(this),
+            this.attendeesStep.bind(this),
+            this.subjectStep.bind(this),
+            this.durationStep.bind(this),
+            this.windowStep.bind(this),
+            this.suggestStep.bind(this),
+            this.createStep.bind(this)
+        ]));
+        this.addDialog(new WaterfallDialog(RESCHEDULE_WATERFALL_DIALOG, [
+            this.signInStep.bind(this),
+            this.findEventStep.bind(this),
+            this.rescheduleWindowStep.bind(this),
+            this.suggestStep.bind(this),
+            this.rescheduleStep.bind(this)
+        ]));
+        this.addDialog(new WaterfallDialog(CANCEL_WATERFALL_DIALOG, [
+            this.signInStep.bind(this),
+            this.findEventStep.bind(this),
+            this.confirmCancelStep.bind(this),
+            this.cancelStep.bind(this)
+        ]));
+
+        this.initialDialogId = SCHEDULE_WATERFALL_DIALOG;
+    }
+
+    /**
+     * Starts the waterfall for the requested action.
+     * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
+     * @param {Object} options - { action: 'schedule' | 'reschedule' | 'cancel', subject }
+     */
+    async onBeginDialog(innerDc, options = {}) {
+        switch (options.action) {
+            case 'reschedule':
+                return await innerDc.beginDialog(RESCHEDULE_WATERFALL_DIALOG, options);
+            case 'cancel':
+                return await innerDc.beginDialog(CANCEL_WATERFALL_DIALOG, options);
+            default:
+                return await innerDc.beginDialog(SCHEDULE_WATERFALL_DIALOG, options);
+        }
+    }
+
+    /**
+     * Handles 'cancel' before continuing the active prompt.
+     * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
+     */
+    async onContinueDialog(innerDc) {
+        const { activity } = innerDc.context;
+        if (activity.type === ActivityTypes.Message && (activity.text || '').toLowerCase().trim() === 'cancel') {
+            await innerDc.context.sendActivity('OK, your calendar was not changed.');
+            return await innerDc.cancelAllDialogs();
+        }
+
+        return await super.onContinueDialog(innerDc);
+    }
+
+    /**
+     * Makes sure the user is signed in; the OAuthPrompt returns at once when they already are.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async signInStep(stepContext) {
+        stepContext.values.timeZone = userTimeZone(stepContext.context);
+        return await stepContext.beginDialog(OAUTH_PROMPT);
+    }
+
+    /**
+     * Asks who to invite.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async attendeesStep(stepContext) {
+        if (!stepContext.result?.token) {
+            return await this.endWithSignInFailure(stepContext);
+        }
+        return await stepContext.prompt(ATTENDEES_PROMPT, 'Who should I invite? (separate addresses with commas, or type "cancel")');
+    }
+
+    /**
+     * Asks for the subject.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async subjectStep(stepContext) {
+        stepContext.values.attendees = parseAddresses(stepContext.result);
+        return await stepContext.prompt(TEXT_PROMPT, 'What is the meeting about?');
+    }
+
+    /**
+     * Asks how long the meeting is.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async durationStep(stepContext) {
+        stepContext.values.subject = stepContext.result.trim();
+        return await stepContext.prompt(DURATION_PROMPT, {
+            prompt: 'How long should it be, in minutes?',
+            retryPrompt: `Please enter a number of minutes between ${MIN_DURATION} and ${MAX_DURATION}.`
+        });
+    }
+
+    /**
+     * Asks when the meeting could be.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async windowStep(stepContext) {
+        stepContext.values.duration = stepContext.result;
+        return await this.promptForWindow(stepContext);
+    }
+
+    /**
+     * Finds times when everyone is free and offers them as a card.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async suggestStep(stepContext) {
+        const window = stepContext.result;
+        const { attendees, duration, subject, timeZone } = stepContext.values;
+
+        let result;
+        try {
+            const client = await this.graphClient(stepContext.context);
+            result = await client.findMeetingTimes({
+                attendees,
+                durationMinutes: duration,
+                start: window.start,
+                end: window.end,
+                timeZone
+            });
+        } catch (error) {
+            log.error('Error finding meeting times', { userId: stepContext.context.activity.from?.id, error });
+            await stepContext.context.sendActivity(`I could not look up free times: ${error.message}`);
+            return await stepContext.endDialog();
+        }
+
+        if (result.suggestions.length === 0) {
+            const reason = result.emptySuggestionsReason ? ` (${result.emptySuggestionsReason})` : '';
+            await stepContext.context.sendActivity(`There is no time when everyone is free in that window${reason}. Try a wider window.`);
+            return await stepContext.endDialog();
+        }
+
+        stepContext.values.slots = result.suggestions.map(suggestion => suggestion.meetingTimeSlot);
+        const card = createMeetingTimesCard(result.suggestions, {
+            subject,
+            timeZone,
+            allowOnlineMeeting: !stepContext.values.event
+        });
+        return await stepContext.prompt(SLOT_PROMPT, {
+            prompt: MessageFactory.attachment(card),
+            retryPrompt: 'Choose one of the suggested times, or type "cancel".',
+            validations: { count: result.suggestions.length }
+        });
+    }
+
+    /**
+     * Creates the event at the chosen time.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async createStep(stepContext) {
+        const { slot, online } = stepContext.result;
+        const { attendees, subject } = stepContext.values;
+        const { start, end } = stepContext.values.slots[slot];
+
+        try {
+            const client = await this.graphClient(stepContext.context);
+            const event = await client.createEvent({ subject, start, end, attendees, isOnlineMeeting: online });
+
+            let reply = `📅 "${subject}" is booked for ${formatWallTime(start)}. Invitations were sent to ${attendees.join(', ')}.`;
+            if (event.onlineMeeting?.joinUrl) {
+                reply += `\n\nTeams meeting link: ${event.onlineMeeting.joinUrl}`;
+            }
+            await stepContext.context.sendActivity(reply);
+        } catch (error) {
+            log.error('Error creating event', { userId: stepContext.context.activity.from?.id, error });
+            await stepContext.context.sendActivity(`The meeting could not be created: ${error.message}`);
+        }
+        return await stepContext.endDialog();
+    }
+
+    /**
+     * Looks up the meeting named by 'reschedule meeting <subject>' or 'cancel meeting <subject>',
+     * asking which one when several match.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async findEventStep(stepContext) {
+        if (!stepContext.result?.token) {
+            return await this.endWithSignInFailure(stepContext);
+        }
+
+        const { subject } = stepContext.options;
+        let events;
+        try {
+            const client = await this.graphClient(stepContext.context);
+            events = await client.findUpcomingEventsBySubject(subject, { timeZone: stepContext.values.timeZone });
+        } catch (error) {
+            log.error('Error finding events', { userId: stepContext.context.activity.from?.id, error });
+            await stepContext.context.sendActivity(`I could not search your calendar: ${error.message}`);
+            return await stepContext.endDialog();
+        }
+
+        const organized = events.filter(event => event.isOrganizer);
+        if (organized.length === 0) {
+            await stepContext.context.sendActivity(events.length > 0
+                ? `You are not the organizer of any upcoming meeting matching "${subject}", so you cannot change it.`
+                : `No upcoming meeting matches "${subject}".`);
+            return await stepContext.endDialog();
+        }
+
+        stepContext.values.events = organized.slice(0, 5).map(event => ({
+            id: event.id,
+            subject: event.subject,
+            start: event.start,
+            end: event.end,
+            attendees: (event.attendees || [])
+                .filter(attendee => attendee.type !== 'resource')
+                .map(attendee => attendee.emailAddress.address)
+        }));
+        if (stepContext.values.events.length === 1) {
+            return await stepContext.next({ index: 0 });
+        }
+
+        return await stepContext.prompt(EVENT_PROMPT, {
+            prompt: `Several meetings match "${subject}". Which one?`,
+            choices: stepContext.values.events.map(event => `${event.subject} (${formatWallTime(event.start)})`)
+        });
+    }
+
+    /**
+     * Asks when the chosen meeting should move to.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async rescheduleWindowStep(stepContext) {
+        const event = stepContext.values.events[stepContext.result.index];
+        stepContext.values.event = event;
+        stepContext.values.subject = event.subject;
+        stepContext.values.attendees = event.attendees;
+        stepContext.values.duration = minutesBetween(event.start, event.end);
+
+        await stepContext.context.sendActivity(`"${event.subject}" is on ${formatWallTime(event.start)}.`);
+        return await this.promptForWindow(stepContext);
+    }
+
+    /**
+     * Moves the meeting to the chosen time.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async rescheduleStep(stepContext) {
+        const { event } = stepContext.values;
+        const { start, end } = stepContext.values.slots[stepContext.result.slot];
+
+        try {
+            const client = await this.graphClient(stepContext.context);
+            await client.rescheduleEvent(event.id, start, end);
+            await stepContext.context.sendActivity(`📅 "${event.subject}" moved to ${formatWallTime(start)}. Attendees were sent the new time.`);
+        } catch (error) {
+            log.error('Error rescheduling event', { userId: stepContext.context.activity.from?.id, error });
+            await stepContext.context.sendActivity(`The meeting could not be moved: ${error.message}`);
+        }
+        return await stepContext.endDialog();
+    }
+
+    /**
+     * Asks before cancelling the chosen meeting.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async confirmCancelStep(stepContext) {
+        const event = stepContext.values.events[stepContext.result.index];
+        stepContext.values.event = event;
+        return await stepContext.prompt(CONFIRM_PROMPT,
+            `Cancel "${event.subject}" on ${formatWallTime(event.start)}? Attendees will be told it is cancelled.`);
+    }
+
+    /**
+     * Cancels the meeting.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async cancelStep(stepContext) {
+        const { event } = stepContext.values;
+        if (!stepContext.result) {
+            await stepContext.context.sendActivity(`"${event.subject}" was not cancelled.`);
+            return await stepContext.endDialog();
+        }
+
+        try {
+            const client = await this.graphClient(stepContext.context);
+            await client.cancelEvent(event.id);
+            await stepContext.context.sendActivity(`"${event.subject}" on ${formatWallTime(event.start)} is cancelled.`);
+        } catch (error) {
+            log.error('Error cancelling event', { userId: stepContext.context.activity.from?.id, error });
+            await stepContext.context.sendActivity(`The meeting could not be cancelled: ${error.message}`);
+        }
+        return await stepContext.endDialog();
+    }
+
+    async promptForWindow(stepContext) {
+        return await stepContext.prompt(WINDOW_PROMPT, {
+            prompt: 'When should it be? (e.g. "tomorrow", "next week" or "oct 21 to oct 23")',
+            retryPrompt: 'Please give a day or a range of days that is not over yet, e.g. "tomorrow" or "next week".'
+        });
+    }
+
+    async endWithSignInFailure(stepContext) {
+        await stepContext.context.sendActivity('Sign in was not successful, so your calendar was not changed.');
+        return await stepContext.endDialog();
+    }
+
+    /**
+     * A Graph client with the user's token, which signInStep made sure the token service holds
+     * @param {TurnContext} context - The context object for the turn.
+     */
+    async graphClient(context) {
+        const { activity } = context;
+        const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+        const tokenResponse = await userTokenClient.getUserToken(activity.from.id, this.connection.connectionName, activity.channelId);
+        if (!tokenResponse?.token) {
+            throw new Error('You are no longer signed in');
+        }
+        return new SimpleGraphClient(tokenResponse.token, { correlationId: getTurnCorrelationId(context) });
+    }
+
+    /**
+     * Accepts a comma or semicolon separated list of valid addresses.
+     * @param {PromptValidatorContext} promptContext - The prompt validator context.
+     */
+    async attendeesValidator(promptContext) {
+        if (!promptContext.recognized.succeeded) return false;
+
+        const problem = validateAddresses(promptContext.recognized.value);
+        if (problem) {
+            await promptContext.context.sendActivity(`${problem}. Please enter the addresses again, separated by commas.`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Accepts whole minutes between MIN_DURATION and MAX_DURATION.
+     * @param {PromptValidatorContext} promptContext - The prompt validator context.
+     */
+    async durationValidator(promptContext) {
+        const minutes = promptContext.recognized.value;
+        return promptContext.recognized.succeeded && Number.isInteger(minutes) && minutes >= MIN_DURATION && minutes <= MAX_DURATION;
+    }
+
+    /**
+     * Turns the recognized day or range into a window that has not passed yet; the prompt's result
+     * is that window, { start, end } as wall times in the user's time zone.
+     * @param {PromptValidatorContext} promptContext - The prompt validator context.
+     */
+    async windowValidator(promptContext) {
+        if (!promptContext.recognized.succeeded) return false;
+
+        // Ambiguous input ("monday") resolves to the past and the next occurrence; the last one is the future one
+        const resolutions = promptContext.recognized.value;
+        const window = meetingWindow(resolutions[resolutions.length - 1], userTimeZone(promptContext.context));
+        if (!window) return false;
+
+        promptContext.recognized.value = window;
+        return true;
+    }
+
+    /**
+     * Accepts a choose button of the suggestions card, or the number of a suggestion typed in.
+     * The prompt's result is { slot, online }.
+     * @param {PromptValidatorContext} promptContext - The prompt validator context.
+     */
+    async slotValidator(promptContext) {
+        const { count } = promptContext.options.validations;
+        const { value, text } = promptContext.context.activity;
+
+        let slot = null;
+        let online = true;
+        if (value?.action === MEETING_SLOT_ACTION) {
+            slot = Number(value.slot);
+            online = value.online !== 'false';
+        } else if (/^\d+$/.test((text || '').trim())) {
+            slot = parseInt(text, 10) - 1;
+        }
+        if (!Number.isInteger(slot) || slot < 0 || slot >= count) return false;
+
+        promptContext.recognized.value = { slot, online };
+        return true;
+    }
+}
+
+/**
+ * The user's IANA time zone from the Teams client, or UTC when it is missing or unknown
+ */
+function userTimeZone(context) {
+    const timeZone = context.activity.localTimezone;
+    if (!timeZone) return 'UTC';
+    try {
+        // Throws for unknown zones; the resolved name is the canonical spelling
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return 'UTC';
+    }
+}
+
+/**
+ * The current wall time in a time zone, e.g. 2026-10-20T09:30:00
+ */
+function wallTimeNow(timeZone) {
+    return new Date().toLocaleString('sv-SE', { timeZone }).replace(' ', 'T');
+}
+
+function nextDay(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Window for findMeetingTimes from a DateTimePrompt resolution
+ * @param {Object} resolution - { type, value } for a day or a time, { type, start, end } for a range
+ * @param {string} timeZone - The user's time zone
+ * @returns {Object|null} { start, end } as wall times, starting no earlier than now, or null if the
+ *   resolution has no date or is over
+ */
+function meetingWindow(resolution, timeZone) {
+    const toWallTime = value => (value.length === 10 ? `${value}T00:00:00` : value.replace(' ', 'T'));
+
+    let start;
+    let end;
+    if (resolution.start && resolution.end) {
+        start = toWallTime(resolution.start);
+        end = toWallTime(resolution.end);
+    } else if (/^\d{4}-\d{2}-\d{2}/.test(resolution.value || '')) {
+        // A day, or a time on a day: search from then until the end of that day
+        start = toWallTime(resolution.value);
+        end = `${nextDay(resolution.value.slice(0, 10))}T00:00:00`;
+    } else {
+        return null;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}T/.test(start)) return null;
+
+    const now = wallTimeNow(timeZone);
+    if (start < now) start = now;
+    return end > start ? { start, end } : null;
+}
+
+function minutesBetween(start, end) {
+    const wallTime = ({ dateTime }) => new Date(`${dateTime.slice(0, 19)}Z`).getTime();
+    return Math.round((wallTime(end) - wallTime(start)) / 60000);
+}
+
+module.exports.ScheduleMeetingDialog = ScheduleMeetingDialog;
+module.exports.SCHEDULE_MEETING_DIALOG = SCHEDULE_MEETING_DIALOG;
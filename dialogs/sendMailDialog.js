@@ -0,0 +1,160 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { ActivityTypes } = require('botbuilder');
+const { ComponentDialog, ConfirmPrompt, OAuthPrompt, TextPrompt, WaterfallDialog } = require('botbuilder-dialogs');
+const { SimpleGraphClient, parseAddresses, validateAddresses } = require('../simpleGraphClient');
+const { logger } = require('../logging/logger');
+const { getTurnCorrelationId } = require('../logging/correlation');
+
+const log = logger.child({ component: 'SendMailDialog' });
+
+const SEND_MAIL_DIALOG = 'SendMailDialog';
+const SEND_MAIL_WATERFALL_DIALOG = 'SendMailWaterfallDialog';
+const RECIPIENTS_PROMPT = 'RecipientsPrompt';
+const TEXT_PROMPT = 'TextPrompt';
+const CONFIRM_PROMPT = 'ConfirmPrompt';
+const OAUTH_PROMPT = 'OAuthPrompt';
+
+/**
+ * SendMailDialog walks the user through sending mail: recipients, subject, body, then a confirmation.
+ * The token is only requested once the user has confirmed, through an OAuthPrompt that returns
+ * the signed-in user's token without prompting. Typing "cancel" at any step abandons the mail.
+ */
+class SendMailDialog extends ComponentDialog {
+    /**
+     * Creates an instance of SendMailDialog.
+     * @param {OAuthConnections} connections - Mail is sent with the default connection's token.
+     */
+    constructor(connections) {
+        super(SEND_MAIL_DIALOG);
+
+        this.addDialog(new TextPrompt(RECIPIENTS_PROMPT, this.recipientsValidator.bind(this)));
+        this.addDialog(new TextPrompt(TEXT_PROMPT));
+        this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
+        this.addDialog(new OAuthPrompt(OAUTH_PROMPT, {
+            connectionName: connections.defaultConnection.connectionName,
+            text: `Please Sign In to ${connections.defaultConnection.title} to send mail`,
+            title: 'Sign In',
+            timeout: 300000
+        }));
+        this.addDialog(new WaterfallDialog(SEND_MAIL_WATERFALL_DIALOG, [
+            this.recipientsStep.bind(this),
+            this.subjectStep.bind(this),
+            this.bodyStep.bind(this),
+            this.confirmStep.bind(this),
+            this.signInStep.bind(this),
+            this.sendStep.bind(this)
+        ]));
+
+        this.initialDialogId = SEND_MAIL_WATERFALL_DIALOG;
+    }
+
+    /**
+     * Handles 'cancel' before continuing the active prompt.
+     * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
+     */
+    async onContinueDialog(innerDc) {
+        const { activity } = innerDc.context;
+        if (activity.type === ActivityTypes.Message && (activity.text || '').toLowerCase().trim() === 'cancel') {
+            await innerDc.context.sendActivity('Mail not sent.');
+            return await innerDc.cancelAllDialogs();
+        }
+
+        return await super.onContinueDialog(innerDc);
+    }
+
+    /**
+     * Accepts a comma or semicolon separated list of valid addresses.
+     * @param {PromptValidatorContext} promptContext - The prompt validator context.
+     */
+    async recipientsValidator(promptContext) {
+        if (!promptContext.recognized.succeeded) return false;
+
+        const problem = validateAddresses(promptContext.recognized.value);
+        if (problem) {
+            await promptContext.context.sendActivity(`${problem}. Please enter the addresses again, separated by commas.`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Asks who the mail is for.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async recipientsStep(stepContext) {
+        return await stepContext.prompt(RECIPIENTS_PROMPT, 'Who should the mail go to? (separate addresses with commas, or type "cancel")');
+    }
+
+    /**
+     * Asks for the subject.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async subjectStep(stepContext) {
+        stepContext.values.to = parseAddresses(stepContext.result);
+        return await stepContext.prompt(TEXT_PROMPT, 'What is the subject?');
+    }
+
+    /**
+     * Asks for the body.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async bodyStep(stepContext) {
+        stepContext.values.subject = stepContext.result.trim();
+        return await stepContext.prompt(TEXT_PROMPT, 'What should the mail say?');
+    }
+
+    /**
+     * Shows the mail and asks whether to send it.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async confirmStep(stepContext) {
+        stepContext.values.body = stepContext.result;
+        const { to, subject, body } = stepContext.values;
+
+        let summary = `**To:** ${to.join(', ')}\n\n`;
+        summary += `**Subject:** ${subject}\n\n`;
+        summary += `${body}\n\n`;
+        summary += 'Send this mail?';
+        return await stepContext.prompt(CONFIRM_PROMPT, summary);
+    }
+
+    /**
+     * Gets the user's token once the mail is confirmed.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async signInStep(stepContext) {
+        if (!stepContext.result) {
+            await stepContext.context.sendActivity('Mail not sent.');
+            return await stepContext.endDialog();
+        }
+        return await stepContext.beginDialog(OAUTH_PROMPT);
+    }
+
+    /**
+     * Sends the mail.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context.
+     */
+    async sendStep(stepContext) {
+        const tokenResponse = stepContext.result;
+        if (!tokenResponse || !tokenResponse.token) {
+            await stepContext.context.sendActivity('Sign in was not successful, so the mail was not sent.');
+            return await stepContext.endDialog();
+        }
+
+        const { to, subject, body } = stepContext.values;
+        try {
+            const client = new SimpleGraphClient(tokenResponse.token, { correlationId: getTurnCorrelationId(stepContext.context) });
+            await client.sendMail({ to, subject, body });
+            await stepContext.context.sendActivity(`✉️ Mail sent to ${to.join(', ')}.`);
+        } catch (error) {
+            log.error('Error sending mail', { userId: stepContext.context.activity.from?.id, error });
+            await stepContext.context.sendActivity(`Your mail could not be sent: ${error.message}`);
+        }
+        return await stepContext.endDialog();
+    }
+}
+
+module.exports.SendMailDialog = SendMailDialog;
+module.exports.SEND_MAIL_DIALOG = SEND_MAIL_DIALOG;
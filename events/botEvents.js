@@ -0,0 +1,97 @@
+// botEvents.js
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getCorrelationId } = require('../logging/correlation');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'BotEvents' });
+
+/**
+ * Event types published by the bot
+ */
+const BOT_EVENTS = {
+    // storeUserContext saw a user for the first time
+    USER_REGISTERED: 'user.registered',
+    // The user completed an OAuthPrompt sign-in
+    USER_SIGNED_IN: 'user.signedIn',
+    // The user signed out with the logout command
+    USER_SIGNED_OUT: 'user.signedOut',
+    // The token status stored for one of the user's connections changed
+    TOKEN_STATUS_CHANGED: 'token.statusChanged',
+    // A token was fetched from the token service (cache hits are not reported)
+    TOKEN_ACQUIRED: 'token.acquired',
+    // The token service had no token for the user
+    TOKEN_UNAVAILABLE: 'token.unavailable',
+    // A turn ended in the adapter's onTurnError handler
+    TURN_ERROR: 'turn.error'
+};
+
+/**
+ * In-process bus for user lifecycle events, consumed by the webhook dispatcher and the event stream.
+ *
+ * Every event is an envelope { id, type, timestamp, correlationId, tenantId, data }. `data` describes
+ * the user (userId, userName, tenantId, aadObjectId, channelId) plus event specific fields, and never
+ * carries a token. Listeners run synchronously inside publish(), so they must hand slow work off
+ * (delivery, I/O) instead of awaiting it, and a throwing listener never fails the caller.
+ */
+class BotEvents extends EventEmitter {
+    /**
+     * @param {string} type - One of BOT_EVENTS
+     * @param {Object} data - Event payload
+     * @returns {Object} The published event
+     */
+    publish(type, data = {}) {
+        const event = {
+            id: crypto.randomUUID(),
+            type: type,
+            timestamp: new Date().toISOString(),
+            correlationId: getCorrelationId() || null,
+            tenantId: data.tenantId || null,
+            data: data
+        };
+
+        try {
+            this.emit('event', event);
+        } catch (error) {
+            log.error('Event listener failed', { eventType: type, eventId: event.id, error });
+        }
+        return event;
+    }
+
+    /**
+     * @param {Function} listener - Called with every published event
+     * @returns {Function} Removes the listener
+     */
+    subscribe(listener) {
+        this.on('event', listener);
+        return () => this.off('event', listener);
+    }
+}
+
+/**
+ * The user fields of an event, from the activity of the user's turn
+ */
+function activityUser(activity) {
+    return {
+        userId: activity.from?.id,
+        userName: activity.from?.name || null,
+        aadObjectId: activity.from?.aadObjectId || null,
+        tenantId: activity.channelData?.tenant?.id || activity.conversation?.tenantId || null,
+        channelId: activity.channelId
+    };
+}
+
+/**
+ * The user fields of an event, from a stored user context
+ */
+function contextUser(userContext) {
+    return {
+        userId: userContext.userId,
+        userName: userContext.userName || null,
+        aadObjectId: userContext.aadObjectId || null,
+        tenantId: userContext.tenantId || null,
+        channelId: userContext.channelId
+    };
+}
+
+module.exports = { BotEvents, BOT_EVENTS, activityUser, contextUser };
@@ -0,0 +1,202 @@
+// eventStream.js
+const crypto = require('crypto');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'EventStream' });
+
+/**
+ * Server-Sent Events feed of bot events for dashboards (GET /api/events/stream).
+ *
+ * Every event is numbered and kept in a replay buffer of the last EVENT_STREAM_BUFFER_SIZE
+ * (default 500) events. SSE ids are `<stream id>-<sequence>`; a client reconnecting with
+ * Last-Event-ID gets the buffered events after that one. When the id is from before the
+ * buffer, or from another process (the stream id changes on every restart), events may have
+ * been missed: the client is sent a `stream.reset` event and then the whole buffer.
+ *
+ * Each client sees only the events it may see (see canSee) and matches its own filter.
+ * A comment line is sent every EVENT_STREAM_HEARTBEAT_SECONDS (default 25) so proxies keep idle
+ * connections open. A client that stops reading is disconnected once more than
+ * EVENT_STREAM_MAX_BUFFERED_KB (default 1024) is waiting to be sent to it; it can reconnect with
+ * Last-Event-ID and catch up from the replay buffer.
+ */
+class EventStream {
+    /**
+     * @param {BotEvents} events - The event bus to stream
+     * @param {Object} options
+     * @param {number} options.bufferSize - Events kept for Last-Event-ID replay
+     * @param {number} options.maxClients - Concurrent streams (EVENT_STREAM_MAX_CLIENTS, default 100)
+     * @param {number} options.heartbeatMs - Interval between keep-alive comments
+     * @param {number} options.maxBufferedBytes - Unsent bytes after which a client is disconnected
+     * @param {Function} options.canSee - (caller, event) => boolean, e.g. the caller's tenant check
+     */
+    constructor(events, options = {}) {
+        this.bufferSize = options.bufferSize || parseInt(process.env.EVENT_STREAM_BUFFER_SIZE, 10) || 500;
+        this.maxClients = options.maxClients || parseInt(process.env.EVENT_STREAM_MAX_CLIENTS, 10) || 100;
+        this.heartbeatMs = options.heartbeatMs ||
+            (parseInt(process.env.EVENT_STREAM_HEARTBEAT_SECONDS, 10) || 25) * 1000;
+        this.maxBufferedBytes = options.maxBufferedBytes ||
+            (parseInt(process.env.EVENT_STREAM_MAX_BUFFERED_KB, 10) || 1024) * 1024;
+        this.canSee = options.canSee || (() => true);
+        this.streamId = crypto.randomBytes(4).toString('hex');
+        this.sequence = 0;
+        this.buffer = [];
+        this.clients = new Set();
+        this.heartbeat = null;
+        this.unsubscribe = events.subscribe(event => this.publish(event));
+    }
+
+    publish(event) {
+        const entry = { id: `${this.streamId}-${++this.sequence}`, sequence: this.sequence, event };
+        this.buffer.push(entry);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        for (const client of this.clients) {
+            this.send(client, entry);
+        }
+    }
+
+    /**
+     * Whether another client can connect
+     */
+    hasCapacity() {
+        return this.clients.size < this.maxClients;
+    }
+
+    /**
+     * Stream events to a response until the client disconnects
+     * @param {Object} req - The HTTP request
+     * @param {Object} res - The HTTP response, headers not yet sent
+     * @param {Object} client - { caller, filter: { tenantId, userId, types }, lastEventId }
+     * @returns {Promise<void>} Resolves when the client disconnects
+     */
+    attach(req, res, client) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const connection = { ...client, res };
+        this.replay(connection);
+        // Replay alone can overflow a client that is not reading
+        if (!connection.dropped) {
+            this.clients.add(connection);
+        }
+        this.startHeartbeat();
+        log.info('Event stream client connected', { callerId: client.caller?.id, clients: this.clients.size });
+
+        return new Promise((resolve) => {
+            req.on('close', () => {
+                this.clients.delete(connection);
+                if (this.clients.size === 0) {
+                    this.stopHeartbeat();
+                }
+                log.info('Event stream client disconnected', { callerId: client.caller?.id, clients: this.clients.size });
+                resolve();
+            });
+        });
+    }
+
+    replay(connection) {
+        if (!connection.lastEventId) return;
+
+        const [streamId, sequence] = String(connection.lastEventId).split('-');
+        const after = parseInt(sequence, 10);
+        const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+        const complete = streamId === this.streamId && after >= oldest - 1 && after <= this.sequence;
+
+        if (!complete) {
+            this.write(connection, formatEvent(null, 'stream.reset', {
+                message: 'Events may have been missed; replaying every buffered event',
+                lastEventId: connection.lastEventId
+            }));
+        }
+        for (const entry of this.buffer) {
+            if (!complete || entry.sequence > after) {
+                this.send(connection, entry);
+            }
+        }
+    }
+
+    send(connection, entry) {
+        if (!this.matches(connection, entry.event)) return;
+        this.write(connection, formatEvent(entry.id, entry.event.type, entry.event));
+    }
+
+    /**
+     * Write a frame, or disconnect the client when it has stopped reading and too much is queued for it
+     */
+    write(connection, frame) {
+        if (connection.res.writableLength > this.maxBufferedBytes) {
+            if (!connection.dropped) {
+                connection.dropped = true;
+                this.clients.delete(connection);
+                log.warn('Event stream client is not reading, disconnecting', {
+                    callerId: connection.caller?.id,
+                    bufferedBytes: connection.res.writableLength
+                });
+                connection.res.destroy();
+            }
+            return;
+        }
+        connection.res.write(frame);
+    }
+
+    matches(connection, event) {
+        const { filter = {}, caller } = connection;
+        if (filter.tenantId && event.tenantId !== filter.tenantId) return false;
+        if (filter.userId && event.data?.userId !== filter.userId) return false;
+        if (filter.types && !filter.types.includes(event.type)) return false;
+        return this.canSee(caller, event);
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const connection of this.clients) {
+                this.write(connection, ': keep-alive\n\n');
+            }
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    stats() {
+        return {
+            clients: this.clients.size,
+            maxClients: this.maxClients,
+            buffered: this.buffer.length,
+            bufferSize: this.bufferSize,
+            lastEventId: this.sequence > 0 ? `${this.streamId}-${this.sequence}` : null
+        };
+    }
+
+    /**
+     * End every stream; clients reconnect with Last-Event-ID
+     */
+    close() {
+        this.unsubscribe();
+        this.stopHeartbeat();
+        for (const connection of this.clients) {
+            connection.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+function formatEvent(id, type, data) {
+    let frame = '';
+    if (id) frame += `id: ${id}\n`;
+    frame += `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    return frame;
+}
+
+module.exports = { EventStream };
@@ -1,68 +1,24 @@
-// =============================================================================
-// HTTP/HTTPS REQUEST INTERCEPTION - MUST BE FIRST
-// =============================================================================
-console.log('Setting up HTTP/HTTPS request interception...');
-
-const originalHttpRequest = require('http').request;
-const originalHttpsRequest = require('https').request;
-
-// Intercept HTTP requests
-require('http').request = function(options, callback) {
-    console.log('=== HTTP REQUEST INTERCEPTED ===');
-    console.log('URL:', options.href || `${options.protocol || 'http:'}//${options.host || options.hostname}:${options.port || 80}${options.path}`);
-    console.log('Method:', options.method || 'GET');
-    console.log('Headers:', JSON.stringify(options.headers, null, 2));
-    console.log('================================');
-    
-    const req = originalHttpRequest.call(this, options, callback);
-    
-    // Intercept request body
-    const originalWrite = req.write;
-    req.write = function(chunk) {
-        console.log('=== HTTP REQUEST BODY ===');
-        console.log(chunk.toString());
-        console.log('========================');
-        return originalWrite.call(this, chunk);
-    };
-    
-    return req;
-};
-
-// Intercept HTTPS requests  
-require('https').request = function(options, callback) {
-    console.log('=== HTTPS REQUEST INTERCEPTED ===');
-    console.log('URL:', options.href || `${options.protocol || 'https:'}//${options.host || options.hostname}:${options.port || 443}${options.path}`);
-    console.log('Method:', options.method || 'GET');
-    console.log('Headers:', JSON.stringify(options.headers, null, 2));
-    console.log('==================================');
-    
-    const req = originalHttpsRequest.call(this, options, callback);
-    
-    // Intercept request body
-    const originalWrite = req.write;
-    req.write = function(chunk) {
-        console.log('=== HTTPS REQUEST BODY ===');
-        console.log(chunk.toString());
-        console.log('=========================');
-        return originalWrite.call(this, chunk);
-    };
-    
-    return req;
-};
-
-console.log('HTTP/HTTPS interception setup complete.');
-
-// =============================================================================
-// ORIGINAL CODE STARTS HERE
-// =============================================================================
-
 // Import required packages
 const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 
 // Read botFilePath and botFileSecret from .env file.
 const ENV_FILE = path.join(__dirname, '.env');
 require('dotenv').config({ path: ENV_FILE });
 
+// Structured, redacting logger. Outbound HTTP/HTTPS interception is opt-in via LOG_HTTP_INTERCEPTION=true
+// and must be installed before any client captures http.request.
+const { logger } = require('./logging/logger');
+const { enableHttpInterception } = require('./logging/httpInterception');
+const { correlationMiddleware, correlationTurnMiddleware, CORRELATION_HEADER } = require('./logging/correlation');
+
+const log = logger.child({ component: 'index' });
+
+if (process.env.LOG_HTTP_INTERCEPTION === 'true') {
+    enableHttpInterception(logger.child({ component: 'http' }));
+}
+
 const restify = require('restify');
 
 // Import required bot services.
@@ -72,14 +28,39 @@ const {
     MemoryStorage,
     UserState,
     ConfigurationBotFrameworkAuthentication,
-    TeamsSSOTokenExchangeMiddleware
+    TeamsSSOTokenExchangeMiddleware,
+    ActivityTypes
 } = require('botbuilder');
 
 const { TeamsBot } = require('./bots/teamsBot');
+const { UserContextStore } = require('./bots/userContextStore');
+const { TokenRefreshScheduler } = require('./bots/tokenRefreshScheduler');
+const { TokenRequestTracker, TOKEN_REQUEST_STATUS } = require('./bots/tokenRequestTracker');
+const { CallerAuthenticator, requireScope, hasScope, SCOPES } = require('./auth/callerAuthenticator');
+const { AccessPolicy } = require('./auth/accessPolicy');
+const { GraphProxyPolicy } = require('./auth/graphProxyPolicy');
+const { OboTokenExchange } = require('./auth/oboTokenExchange');
+const { TokenCache } = require('./auth/tokenCache');
+const { OAuthConnections } = require('./auth/oauthConnections');
+const { TenantPolicy } = require('./auth/tenantPolicy');
+const { AuditLog } = require('./audit/auditLog');
+const { RateLimiter } = require('./ratelimit/rateLimiter');
+const { BotEvents, BOT_EVENTS, activityUser } = require('./events/botEvents');
+const { EventStream } = require('./events/eventStream');
+const { WebhookDispatcher } = require('./webhooks/webhookDispatcher');
 const { MainDialog } = require('./dialogs/mainDialog');
+const { registry, metrics } = require('./metrics');
+
+const KNOWN_ACTIVITY_TYPES = new Set(Object.values(ActivityTypes));
 const { env } = require('process');
 
-console.log('Connection name from env:', env.connectionName);
+log.info('Connection name from env', { connectionName: env.connectionName });
+
+// Named OAuth connections, selectable per request with ?connection= (OAUTH_CONNECTIONS_FILE)
+const oauthConnections = OAuthConnections.fromEnv();
+
+// Tenants allowed to use the bot (ALLOWED_TENANT_IDS); REST callers are further confined to their own tenants
+const tenantPolicy = TenantPolicy.fromEnv();
 
 const botFrameworkAuthentication = new ConfigurationBotFrameworkAuthentication(process.env);
 
@@ -87,42 +68,53 @@ const botFrameworkAuthentication = new ConfigurationBotFrameworkAuthentication(p
 const adapter = new CloudAdapter(botFrameworkAuthentication);
 const memoryStorage = new MemoryStorage();
 
-// ENABLE Teams SSO Token Exchange Middleware for silent authentication
-const tokenExchangeMiddleware = new TeamsSSOTokenExchangeMiddleware(memoryStorage, env.connectionName);
+// Record the request's correlation id (or a new one) on every incoming and proactive turn
+adapter.use(correlationTurnMiddleware());
+
+// Drop activities from tenants that are not allowed before any token exchange or bot logic runs
+adapter.use(tenantPolicy.turnMiddleware());
+
+// ENABLE Teams SSO Token Exchange Middleware for silent authentication (default connection only)
+const tokenExchangeMiddleware = new TeamsSSOTokenExchangeMiddleware(memoryStorage, oauthConnections.defaultConnection.connectionName);
 adapter.use(tokenExchangeMiddleware);
 
 // Enhanced SSO debugging middleware
 adapter.use(async (context, next) => {
-    console.log('=== DEBUG: SSO Processing ===');
-    console.log('Activity type:', context.activity.type);
-    console.log('Channel ID:', context.activity.channelId);
-    console.log('User ID:', context.activity.from?.id);
-    console.log('User Name:', context.activity.from?.name);
-    console.log('Activity ID:', context.activity.id);
-    console.log('Conversation ID:', context.activity.conversation?.id);
-    console.log('Service URL:', context.activity.serviceUrl);
-    console.log('Channel Data:', JSON.stringify(context.activity.channelData, null, 2));
+    const activityFields = {
+        activityType: context.activity.type,
+        activityName: context.activity.name,
+        activityId: context.activity.id,
+        channelId: context.activity.channelId,
+        userId: context.activity.from?.id,
+        conversationId: context.activity.conversation?.id,
+        serviceUrl: context.activity.serviceUrl
+    };
+    log.debug('SSO processing started', { ...activityFields, channelData: context.activity.channelData });
     
     try {
         await next();
-        console.log('=== DEBUG: SSO Processing Complete ===');
+        log.debug('SSO processing complete', activityFields);
     } catch (error) {
-        console.log('=== DEBUG: SSO Processing Error ===');
-        console.log('Error type:', error.constructor.name);
-        console.log('Error message:', error.message);
-        console.log('Stack:', error.stack);
+        log.error('SSO processing error', { ...activityFields, error });
         throw error;
     }
 });
 
 // Enhanced error handler
 adapter.onTurnError = async (context, error) => {
-    console.error(`\n [onTurnError] unhandled error: ${ error }`);
-    console.error('Error details:', {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
+    metrics.turnErrors.inc();
+    log.error('[onTurnError] unhandled error', {
+        activityType: context.activity?.type,
+        userId: context.activity?.from?.id,
+        error
     });
+    if (context.activity) {
+        botEvents.publish(BOT_EVENTS.TURN_ERROR, {
+            ...activityUser(context.activity),
+            activityType: context.activity.type,
+            error: error.message
+        });
+    }
     
     await context.sendTraceActivity(
         'OnTurnError Trace',
@@ -139,11 +131,72 @@ adapter.onTurnError = async (context, error) => {
 const conversationState = new ConversationState(memoryStorage);
 const userState = new UserState(memoryStorage);
 
+// Expiry-aware cache of token service responses, shared by the bot and the logout dialog
+const tokenCache = new TokenCache();
+
+registry.counter({
+    name: 'token_cache_hits_total',
+    help: 'Token requests served from the token cache.',
+    collect: () => tokenCache.stats().hits
+});
+registry.counter({
+    name: 'token_cache_misses_total',
+    help: 'Token requests that missed the token cache.',
+    collect: () => tokenCache.stats().misses
+});
+registry.gauge({
+    name: 'token_cache_entries',
+    help: 'Tokens currently cached.',
+    collect: () => tokenCache.stats().entries
+});
+
+// Sign-in, sign-out and token status events, delivered to registered webhooks
+const botEvents = new BotEvents();
+
 // Create the main dialog
-const dialog = new MainDialog();
+const dialog = new MainDialog({ tokenCache, connections: oauthConnections, events: botEvents });
+
+// Write-through store for conversation references (backend chosen by CONTEXT_STORE_BACKEND)
+const userContextStore = new UserContextStore();
+
+// Declarative policy deciding which API caller may obtain which user's token (ACCESS_POLICY_FILE)
+const accessPolicy = AccessPolicy.fromFile();
+
+// Paths and methods the Graph proxy forwards (GRAPH_PROXY_ALLOWLIST_FILE)
+const graphProxyPolicy = GraphProxyPolicy.fromEnv();
+
+// Hash-chained record of every token request (backend chosen by AUDIT_STORE_BACKEND)
+const auditLog = new AuditLog();
+
+// Token bucket limits per caller, per user and globally (RATE_LIMIT_* settings, RATE_LIMIT_STORE_BACKEND)
+const rateLimiter = new RateLimiter();
+
+// REST token requests waiting for the user to sign in (?promptIfMissing=true)
+const tokenRequests = new TokenRequestTracker();
 
 // Create the enhanced bot with adapter for proactive messaging
-const bot = new TeamsBot(conversationState, userState, dialog, adapter);
+const bot = new TeamsBot(conversationState, userState, dialog, adapter, {
+    contextStore: userContextStore,
+    accessPolicy: accessPolicy,
+    oboExchange: OboTokenExchange.fromEnv(),
+    tokenCache: tokenCache,
+    auditLog: auditLog,
+    connections: oauthConnections,
+    tenantPolicy: tenantPolicy,
+    tokenRequests: tokenRequests,
+    events: botEvents
+});
+
+// HMAC-signed webhook delivery with retries and a dead-letter list (backend chosen by WEBHOOK_STORE_BACKEND)
+const webhookDispatcher = new WebhookDispatcher(botEvents, undefined, { tenantPolicy });
+
+// Live SSE feed of the same events with Last-Event-ID replay; callers only see their own tenants
+const eventStream = new EventStream(botEvents, {
+    canSee: (caller, event) => tenantPolicy.canAccess(caller, event.tenantId)
+});
+
+// Re-acquires tokens shortly before they expire (disable with TOKEN_REFRESH_ENABLED=false)
+const tokenRefreshScheduler = new TokenRefreshScheduler(bot);
 
 // Create HTTP server with enhanced configuration
 const server = restify.createServer({
@@ -152,12 +205,27 @@ const server = restify.createServer({
 });
 
 server.use(restify.plugins.bodyParser());
+server.use(restify.plugins.queryParser());
+
+// Accept or generate an x-correlation-id for every request and echo it on the response.
+// Registered after the body parser so the id stays in scope for the route handlers.
+server.use(correlationMiddleware());
+
+// CORS middleware - only origins listed in CORS_ALLOWED_ORIGINS (comma separated) may call the API from a browser
+const corsAllowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
 
-// Enhanced CORS middleware
 server.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    const origin = req.headers.origin;
+    if (origin && corsAllowedOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Vary', 'Origin');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Requested-With, X-Correlation-ID');
+        res.header('Access-Control-Expose-Headers', CORRELATION_HEADER);
+    }
     
     if (req.method === 'OPTIONS') {
         res.send(200);
@@ -167,16 +235,42 @@ server.use((req, res, next) => {
     next();
 });
 
-server.listen(process.env.port || process.env.PORT || 3978, function() {
-    console.log(`\n${ server.name } listening to ${ server.url }`);
-    console.log('\nGet Bot Framework Emulator: https://aka.ms/botframework-emulator');
-    console.log('\nTo talk to your bot, open the emulator select "Open Bot"');
+// Authenticate callers of every /api/* route except /api/messages (API keys or bearer JWTs)
+const callerAuthenticator = new CallerAuthenticator();
+server.use(callerAuthenticator.middleware());
+
+// Connect the context and audit stores before accepting traffic so stored conversation references
+// are available and the first token request is audited
+Promise.all([
+    userContextStore.initialize(),
+    auditLog.initialize(),
+    rateLimiter.initialize(),
+    webhookDispatcher.initialize()
+]).then(() => {
+    if (process.env.TOKEN_REFRESH_ENABLED !== 'false') {
+        tokenRefreshScheduler.start();
+    }
+
+    server.listen(process.env.port || process.env.PORT || 3978, function() {
+        log.info(`${ server.name } listening to ${ server.url }`);
+        log.info('Get Bot Framework Emulator: https://aka.ms/botframework-emulator');
+    });
 });
 
 // =============================================================================
 // ENHANCED API ENDPOINTS - INDUSTRIAL STRENGTH TOKEN RETRIEVAL
 // =============================================================================
 
+/**
+ * HTTP status for a failed bot result: policy denials are 403, bad requests (e.g. an unknown
+ * connection) 400, failures reaching the user's conversation 502, everything else 404
+ */
+function failureStatus(result) {
+    if (result.denied) return 403;
+    if (result.upstreamError) return 502;
+    return result.badRequest ? 400 : 404;
+}
+
 /**
  * Enhanced health check endpoint
  */
@@ -189,14 +283,23 @@ server.get('/health', async (req, res) => {
             ssoEnabled: true,
             timestamp: new Date().toISOString(),
             botHealth: healthInfo,
+            tokenRefresh: tokenRefreshScheduler.getStats(),
+            audit: await auditLog.healthCheck(),
+            rateLimit: await rateLimiter.healthCheck(),
+            webhooks: await webhookDispatcher.healthCheck(),
+            eventStream: eventStream.stats(),
+            graphProxy: graphProxyPolicy.stats(),
+            tenants: tenantPolicy.stats(),
             environment: {
                 nodeVersion: process.version,
                 connectionName: process.env.connectionName,
+                connections: oauthConnections.list().map(connection => connection.name),
+                defaultConnection: oauthConnections.defaultConnection.name,
                 appId: process.env.MicrosoftAppId ? 'configured' : 'missing'
             }
         });
     } catch (error) {
-        console.error('Health check error:', error);
+        log.error('Health check error', error);
         res.send(200, {
             status: 'Bot is running with warnings',
             ssoEnabled: true,
@@ -206,54 +309,272 @@ server.get('/health', async (req, res) => {
     }
 });
 
+/**
+ * Metrics endpoint (Prometheus text format): activities, turn errors, token retrievals by method,
+ * batch sizes, Graph requests by endpoint and status, and token cache statistics
+ * GET /metrics
+ */
+server.get('/metrics', async (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+    res.sendRaw(200, registry.render());
+});
+
 /**
  * Enhanced token retrieval endpoint
- * GET /api/token/:userId
+ * GET /api/token/:userId?connection=<name>&promptIfMissing=true
+ * With promptIfMissing=true a user without a token is sent a sign-in card, and the response is
+ * 202 with a request id to poll at GET /api/token-requests/:id
+ */
+server.get('/api/token/:userId', requireScope(SCOPES.TOKEN_READ), rateLimiter.limit('token'), handleTokenRequest);
+
+/**
+ * Token retrieval by Entra object ID or by UPN (or email), for callers that do not know the Bot Framework user ID
+ * GET /api/users/by-aad/:oid/token?tenantId=<tenant>&connection=<name>&promptIfMissing=true
+ * GET /api/users/by-upn/:upn/token?tenantId=<tenant>&connection=<name>&promptIfMissing=true
+ * 404 when no user matches, 409 with the candidates when several do (tenantId narrows the match)
+ */
+server.get('/api/users/by-aad/:oid/token', requireScope(SCOPES.TOKEN_READ), resolveUserBy('aad'), rateLimiter.limit('token'), handleTokenRequest);
+server.get('/api/users/by-upn/:upn/token', requireScope(SCOPES.TOKEN_READ), resolveUserBy('upn'), rateLimiter.limit('token'), handleTokenRequest);
+
+/**
+ * Poll a token request created with ?promptIfMissing=true
+ * GET /api/token-requests/:id
+ * 202 while the user has not signed in, the token response once they have, 410 once the request
+ * expired and 502 if the sign-in card could not be sent. Only the caller that made the request can poll it.
+ */
+server.get('/api/token-requests/:id', requireScope(SCOPES.TOKEN_READ), rateLimiter.limit('token'), async (req, res) => {
+    const request = tokenRequests.get(req.params.id);
+    if (!request || request.callerId !== req.caller.id) {
+        res.send(404, {
+            success: false,
+            error: 'Token request not found',
+            message: 'The request does not exist, has been forgotten, or was made by another caller',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    try {
+        switch (request.status) {
+            case TOKEN_REQUEST_STATUS.PENDING:
+                res.send(202, tokenRequestBody(req, request));
+                return;
+            case TOKEN_REQUEST_STATUS.EXPIRED:
+                res.send(410, tokenRequestBody(req, request));
+                return;
+            case TOKEN_REQUEST_STATUS.FAILED:
+                res.send(502, tokenRequestBody(req, request));
+                return;
+        }
+
+        const result = await bot.getTokenForUser(request.userId, false, {
+            caller: req.caller,
+            connection: request.connection,
+            correlationId: req.correlationId
+        });
+        sendTokenResult(req, res, request.userId, result);
+    } catch (error) {
+        log.error('Token request poll error', { requestId: request.id, error });
+        res.send(500, {
+            success: false,
+            error: 'Internal server error',
+            message: error.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Response body describing a token request that has not produced a token
+ */
+function tokenRequestBody(req, request) {
+    return {
+        success: false,
+        pending: request.status === TOKEN_REQUEST_STATUS.PENDING,
+        requestId: request.id,
+        status: request.status,
+        userId: request.userId,
+        connection: request.connection,
+        createdAt: request.createdAt.toISOString(),
+        expiresAt: request.expiresAt.toISOString(),
+        completedAt: request.completedAt ? request.completedAt.toISOString() : null,
+        message: request.message || 'A sign-in card was sent to the user; poll this request until they sign in',
+        pollUrl: `/api/token-requests/${request.id}`,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    };
+}
+
+const OBJECT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Route handler resolving :oid or :upn to the stored user, setting req.params.userId for the handlers after it
+ * @param {string} kind - aad | upn
  */
-server.get('/api/token/:userId', async (req, res) => {
+function resolveUserBy(kind) {
+    return (req, res, next) => {
+        const value = kind === 'aad' ? req.params.oid : req.params.upn;
+        if (kind === 'aad' ? !OBJECT_ID.test(value) : !value?.includes('@')) {
+            res.send(400, {
+                success: false,
+                error: kind === 'aad' ? 'Invalid AAD object ID' : 'Invalid UPN',
+                message: kind === 'aad' ? 'Expected a GUID' : 'Expected a user principal name or email address',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+            return next(false);
+        }
+
+        bot.findUser(kind, value, { tenantId: req.query.tenantId, caller: req.caller }).then((result) => {
+            if (result.success) {
+                req.params.userId = result.userId;
+                return next();
+            }
+
+            res.send(result.ambiguous ? 409 : 404, {
+                success: false,
+                error: result.error,
+                message: result.message,
+                candidates: result.candidates,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+            return next(false);
+        }).catch(next);
+    };
+}
+
+async function handleTokenRequest(req, res) {
     const userId = req.params.userId;
-    console.log(`Token request for user: ${userId}`);
+    log.info('Token request', { userId, callerId: req.caller.id });
     
     if (!userId) {
         return res.send(400, { 
             success: false,
-            error: 'User ID is required' 
+            error: 'User ID is required',
+            correlationId: req.correlationId
         });
     }
 
     try {
-        const result = await bot.getTokenForUser(userId);
-        
+        const options = {
+            caller: req.caller,
+            connection: req.query.connection,
+            correlationId: req.correlationId
+        };
+        let result = await bot.getTokenForUser(userId, false, options);
+
+        if (!result.success && result.signInRequired && req.query.promptIfMissing === 'true') {
+            const prompt = await bot.requestSignIn(userId, options);
+            if (prompt.success) {
+                res.send(202, tokenRequestBody(req, prompt.request));
+                return;
+            }
+            result = prompt;
+        }
+
+        sendTokenResult(req, res, userId, result);
+    } catch (error) {
+        log.error('Token retrieval error', { userId, error });
+        res.send(500, {
+            success: false,
+            error: 'Internal server error',
+            message: error.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Send the outcome of a getTokenForUser call
+ */
+function sendTokenResult(req, res, userId, result) {
+    if (result.success) {
+        log.info('Token retrieved', { userId, callerId: req.caller.id, connection: result.connection, cached: !!result.cached });
+        res.send(200, {
+            success: true,
+            userId: userId,
+            token: result.token,
+            expiration: result.expiration,
+            connection: result.connection,
+            connectionName: result.connectionName,
+            channelId: result.channelId,
+            timestamp: new Date().toISOString(),
+            message: 'Token retrieved successfully',
+            cached: !!result.cached,
+            tokenLength: result.token.length,
+            tokenPreview: `${result.token.substring(0, 20)}...${result.token.substring(result.token.length - 10)}`
+        });
+    } else {
+        res.send(failureStatus(result), {
+            success: false,
+            userId: userId,
+            error: result.error,
+            reason: result.reason,
+            ruleId: result.ruleId,
+            message: result.message,
+            details: result.details,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * On-behalf-of token endpoint for a configured downstream resource
+ * GET /api/token/:userId/obo/:resource
+ */
+server.get('/api/token/:userId/obo/:resource', requireScope(SCOPES.TOKEN_READ), rateLimiter.limit('token'), async (req, res) => {
+    const { userId, resource } = req.params;
+    log.info('OBO token request', { userId, resource, callerId: req.caller.id });
+
+    try {
+        const result = await bot.getOboTokenForUser(userId, resource, { caller: req.caller, correlationId: req.correlationId });
+
         if (result.success) {
-            console.log(`Token retrieved for user: ${userId}`);
             res.send(200, {
                 success: true,
                 userId: userId,
+                resource: result.resource,
+                audience: result.audience,
                 token: result.token,
+                tokenType: result.tokenType,
                 expiration: result.expiration,
-                connectionName: result.connectionName,
-                channelId: result.channelId,
+                scopes: result.scopes,
                 timestamp: new Date().toISOString(),
-                message: 'Token retrieved successfully',
-                tokenLength: result.token.length,
-                tokenPreview: `${result.token.substring(0, 20)}...${result.token.substring(result.token.length - 10)}`
+                message: 'On-behalf-of token issued successfully'
             });
         } else {
-            res.send(404, {
+            let status = failureStatus(result);
+            if (result.error === 'OBO exchange failed' || result.error === 'OBO audience mismatch') {
+                status = 502;
+            } else if (result.error === 'OBO not configured') {
+                status = 501;
+            }
+
+            res.send(status, {
                 success: false,
                 userId: userId,
+                resource: resource,
                 error: result.error,
+                reason: result.reason,
                 message: result.message,
-                details: result.details,
+                aadError: result.aadError,
+                consentRequired: result.consentRequired,
+                correlationId: req.correlationId,
                 timestamp: new Date().toISOString()
             });
         }
     } catch (error) {
-        console.error(`Token retrieval error for ${userId}:`, error);
+        log.error('OBO token error', { userId, resource, error });
         res.send(500, {
             success: false,
             error: 'Internal server error',
             message: error.message,
+            correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
     }
@@ -261,17 +582,22 @@ server.get('/api/token/:userId', async (req, res) => {
 
 /**
  * Enhanced token refresh endpoint
- * POST /api/token/:userId/refresh
+ * POST /api/token/:userId/refresh?connection=<name>
  */
-server.post('/api/token/:userId/refresh', async (req, res) => {
+server.post('/api/token/:userId/refresh', requireScope(SCOPES.TOKEN_REFRESH), rateLimiter.limit('refresh'), async (req, res) => {
     const userId = req.params.userId;
     
     try {
-        const result = await bot.getTokenForUser(userId, true); // Force refresh
+        const result = await bot.getTokenForUser(userId, true, { // Force refresh
+            caller: req.caller,
+            connection: req.query.connection,
+            correlationId: req.correlationId
+        });
         
         if (result.success) {
             res.send(200, {
                 success: true,
+                connection: result.connection,
                 token: result.token,
                 expiration: result.expiration,
                 message: 'Token refreshed successfully',
@@ -279,20 +605,24 @@ server.post('/api/token/:userId/refresh', async (req, res) => {
                 tokenLength: result.token.length
             });
         } else {
-            res.send(404, {
+            res.send(failureStatus(result), {
                 success: false,
                 error: result.error,
+                reason: result.reason,
+                ruleId: result.ruleId,
                 message: result.message,
                 details: result.details,
+                correlationId: req.correlationId,
                 timestamp: new Date().toISOString()
             });
         }
     } catch (error) {
-        console.error(`Token refresh error for ${userId}:`, error);
+        log.error('Token refresh error', { userId, error });
         res.send(500, {
             success: false,
             error: 'Token refresh failed',
             message: error.message,
+            correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
     }
@@ -302,53 +632,265 @@ server.post('/api/token/:userId/refresh', async (req, res) => {
  * Enhanced user profile endpoint
  * GET /api/user/:userId/profile
  */
-server.get('/api/user/:userId/profile', async (req, res) => {
+server.get('/api/user/:userId/profile', requireScope(SCOPES.PROFILE_READ), rateLimiter.limit('token'), async (req, res) => {
     const userId = req.params.userId;
     
     try {
-        const result = await bot.getUserProfile(userId);
+        const result = await bot.getUserProfile(userId, { caller: req.caller, correlationId: req.correlationId });
         
         if (result.success) {
             res.send(200, {
                 success: true,
                 profile: result.profile,
+                manager: result.manager,
                 timestamp: new Date().toISOString()
             });
         } else {
-            res.send(404, {
+            res.send(failureStatus(result), {
                 success: false,
                 error: result.error,
+                reason: result.reason,
                 message: result.message,
+                correlationId: req.correlationId,
                 timestamp: new Date().toISOString()
             });
         }
     } catch (error) {
-        console.error(`Profile retrieval error for ${userId}:`, error);
+        log.error('Profile retrieval error', { userId, error });
         res.send(500, {
             success: false,
             error: 'Profile retrieval failed',
             message: error.message,
+            correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
     }
 });
 
+/**
+ * Failure response of the mail endpoints
+ */
+function sendMailFailure(req, res, userId, result) {
+    res.send(failureStatus(result), {
+        success: false,
+        userId: userId,
+        error: result.error,
+        reason: result.reason,
+        message: result.message,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * User's inbox
+ * GET /api/user/:userId/mail?unread=true&top=10
+ * Newest first; unread=true returns unread messages only. top is 1-50, default 10.
+ */
+server.get('/api/user/:userId/mail', requireScope(SCOPES.MAIL_READ), rateLimiter.limit('graph'), async (req, res) => {
+    const userId = req.params.userId;
+    const top = req.query.top ? parseInt(req.query.top, 10) : 10;
+    if (!Number.isInteger(top) || top < 1 || top > 50) {
+        res.send(400, {
+            success: false,
+            error: 'Invalid top',
+            message: 'top must be a number between 1 and 50',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    const result = await bot.getUserMail(userId, { unreadOnly: req.query.unread === 'true', top }, {
+        caller: req.caller,
+        correlationId: req.correlationId
+    });
+    if (!result.success) {
+        sendMailFailure(req, res, userId, result);
+        return;
+    }
+
+    res.send(200, {
+        success: true,
+        userId: userId,
+        messages: result.messages,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * One message with its body
+ * GET /api/user/:userId/mail/:messageId
+ */
+server.get('/api/user/:userId/mail/:messageId', requireScope(SCOPES.MAIL_READ), rateLimiter.limit('graph'), async (req, res) => {
+    const userId = req.params.userId;
+    const result = await bot.getUserMessage(userId, req.params.messageId, { caller: req.caller, correlationId: req.correlationId });
+    if (!result.success) {
+        sendMailFailure(req, res, userId, result);
+        return;
+    }
+
+    res.send(200, {
+        success: true,
+        userId: userId,
+        message: result.message,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Send mail as the user
+ * POST /api/user/:userId/mail
+ * Body: { "to": ["ann@contoso.com"], "cc": [], "subject": "...", "body": "...", "contentType": "Text" | "HTML" }
+ * Graph queues the mail, so 202 means accepted for delivery, not delivered.
+ */
+server.post('/api/user/:userId/mail', requireScope(SCOPES.MAIL_SEND), rateLimiter.limit('graph'), async (req, res) => {
+    const userId = req.params.userId;
+    const { to, cc, subject, body, contentType } = req.body || {};
+    const result = await bot.sendUserMail(userId, { to, cc, subject, body, contentType }, {
+        caller: req.caller,
+        correlationId: req.correlationId
+    });
+    if (!result.success) {
+        sendMailFailure(req, res, userId, result);
+        return;
+    }
+
+    res.send(202, {
+        success: true,
+        userId: userId,
+        message: 'Mail accepted for delivery',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Reply to a message as the user
+ * POST /api/user/:userId/mail/:messageId/reply
+ * Body: { "comment": "...", "replyAll": false }
+ */
+server.post('/api/user/:userId/mail/:messageId/reply', requireScope(SCOPES.MAIL_SEND), rateLimiter.limit('graph'), async (req, res) => {
+    const userId = req.params.userId;
+    const { comment, replyAll } = req.body || {};
+    const result = await bot.replyToUserMail(userId, req.params.messageId, { comment, replyAll }, {
+        caller: req.caller,
+        correlationId: req.correlationId
+    });
+    if (!result.success) {
+        sendMailFailure(req, res, userId, result);
+        return;
+    }
+
+    res.send(202, {
+        success: true,
+        userId: userId,
+        message: 'Reply accepted for delivery',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Headers passed to Graph, and passed back from it; everything else (cookies, auth, hop-by-hop) is dropped
+const GRAPH_PROXY_REQUEST_HEADERS = ['content-type', 'accept', 'consistencylevel', 'prefer', 'if-match', 'if-none-match'];
+const GRAPH_PROXY_RESPONSE_HEADERS = ['content-type', 'content-length', 'etag', 'location', 'retry-after', 'request-id', 'preference-applied'];
+
+/**
+ * Graph proxy: forwards the request to Microsoft Graph with the user's token, so callers get
+ * Graph data without ever holding the token
+ * GET|POST|PATCH|PUT|DELETE /api/user/:userId/graph/<version>/<path>?<query>
+ * e.g. GET /api/user/29:1abc/graph/v1.0/me/events?$top=5
+ * Only paths and methods on the allowlist (GRAPH_PROXY_ALLOWLIST_FILE) are forwarded. Graph's
+ * status code and body are passed through unchanged and streamed, with a few of its headers.
+ */
+async function handleGraphProxy(req, res) {
+    const userId = req.params.userId;
+    const check = graphProxyPolicy.check(req.method, `/${req.params['*'] || ''}`);
+    if (!check.allowed) {
+        res.send(check.badRequest ? 400 : 403, {
+            success: false,
+            error: check.error,
+            message: check.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    const headers = {};
+    for (const name of GRAPH_PROXY_REQUEST_HEADERS) {
+        if (req.headers[name]) headers[name] = req.headers[name];
+    }
+    const query = req.getQuery();
+    let body;
+    if (['POST', 'PATCH', 'PUT'].includes(req.method) && req.body !== undefined) {
+        body = typeof req.body === 'string' || Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body);
+    }
+
+    const result = await bot.proxyGraphRequest(userId, {
+        method: req.method,
+        version: check.version,
+        path: `${check.path}${query ? `?${query}` : ''}`,
+        body: body,
+        headers: headers
+    }, { caller: req.caller, correlationId: req.correlationId });
+
+    if (!result.success) {
+        res.send(failureStatus(result), {
+            success: false,
+            userId: userId,
+            error: result.error,
+            reason: result.reason,
+            message: result.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    const { response } = result;
+    const responseHeaders = {};
+    for (const name of GRAPH_PROXY_RESPONSE_HEADERS) {
+        const value = response.headers.get(name);
+        if (value) responseHeaders[name] = value;
+    }
+    res.writeHead(response.status, responseHeaders);
+
+    if (!response.body) {
+        res.end();
+        return;
+    }
+    try {
+        const source = typeof response.body.pipe === 'function' ? response.body : Readable.fromWeb(response.body);
+        await pipeline(source, res);
+    } catch (error) {
+        // The caller went away, or Graph broke off the response; the status line is already sent
+        log.warn('Graph proxy response aborted', { userId, error: error.message });
+        res.destroy();
+    }
+}
+
+for (const method of ['get', 'post', 'patch', 'put', 'del']) {
+    server[method]('/api/user/:userId/graph/*', requireScope(SCOPES.GRAPH_PROXY), rateLimiter.limit('graph'), handleGraphProxy);
+}
+
 /**
  * Enhanced user context endpoint
  * GET /api/user/:userId/context
  */
-server.get('/api/user/:userId/context', async (req, res) => {
+server.get('/api/user/:userId/context', requireScope(SCOPES.PROFILE_READ), async (req, res) => {
     const userId = req.params.userId;
     
     if (!userId) {
         return res.send(400, {
             success: false,
-            error: 'User ID is required'
+            error: 'User ID is required',
+            correlationId: req.correlationId
         });
     }
 
     try {
-        const userContext = bot.getUserContext(userId);
+        const userContext = await bot.getUserContext(userId, req.caller);
         
         if (userContext) {
             res.send(200, {
@@ -361,46 +903,56 @@ server.get('/api/user/:userId/context', async (req, res) => {
                 success: false,
                 error: 'User context not found',
                 message: 'No context stored for this user ID',
+                correlationId: req.correlationId,
                 timestamp: new Date().toISOString()
             });
         }
     } catch (error) {
-        console.error(`Error fetching context for user ${userId}:`, error);
+        log.error('Error fetching user context', { userId, error });
         res.send(500, {
             success: false,
             error: 'Internal server error',
             message: error.message,
+            correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
     }
 });
 
 /**
- * Enhanced token validation endpoint
- * GET /api/token/:userId/validate
+ * Enhanced token validation endpoint; only tokens of Graph connections are tested with a Graph call
+ * GET /api/token/:userId/validate?connection=<name>
  */
-server.get('/api/token/:userId/validate', async (req, res) => {
+server.get('/api/token/:userId/validate', requireScope(SCOPES.TOKEN_READ), rateLimiter.limit('token'), async (req, res) => {
     const userId = req.params.userId;
     
     try {
-        const validation = await bot.validateUserToken(userId);
+        const validation = await bot.validateUserToken(userId, {
+            caller: req.caller,
+            connection: req.query.connection,
+            correlationId: req.correlationId
+        });
         
-        res.send(validation.valid ? 200 : 404, {
+        res.send(validation.valid ? 200 : failureStatus(validation), {
             success: validation.valid,
             valid: validation.valid,
+            connection: validation.connection,
             reason: validation.reason,
+            policyReason: validation.policyReason,
             message: validation.message,
             tokenLength: validation.tokenLength,
             expiration: validation.expiration,
+            correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error(`Token validation error for ${userId}:`, error);
+        log.error('Token validation error', { userId, error });
         res.send(500, {
             success: false,
             valid: false,
             error: 'Validation failed',
             message: error.message,
+            correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
     }
@@ -410,27 +962,50 @@ server.get('/api/token/:userId/validate', async (req, res) => {
  * Batch token retrieval endpoint (for multiple users)
  * POST /api/tokens/batch
  * Body: { userIds: ["userId1", "userId2", ...] }
+ * Each user counts against the caller and global limits; users over their own limit are
+ * reported as rateLimited in the results instead of failing the whole batch.
  */
-server.post('/api/tokens/batch', async (req, res) => {
+const batchCost = (req) => {
+    const userIds = req.body?.userIds;
+    return Array.isArray(userIds) && userIds.length > 0 && userIds.length <= 50 ? userIds.length : 1;
+};
+
+server.post('/api/tokens/batch', requireScope(SCOPES.TOKEN_READ), rateLimiter.limit('token', { cost: batchCost, scopes: ['caller', 'global'] }), async (req, res) => {
     const { userIds } = req.body;
     
     if (!Array.isArray(userIds) || userIds.length === 0) {
         return res.send(400, {
             success: false,
-            error: 'userIds array is required'
+            error: 'userIds array is required',
+            correlationId: req.correlationId
         });
     }
 
     if (userIds.length > 50) {
         return res.send(400, {
             success: false,
-            error: 'Maximum 50 users per batch request'
+            error: 'Maximum 50 users per batch request',
+            correlationId: req.correlationId
         });
     }
 
+    metrics.batchSize.observe({}, userIds.length);
+
     try {
         const results = await Promise.allSettled(
-            userIds.map(userId => bot.getTokenForUser(userId))
+            userIds.map(async (userId) => {
+                const decision = await rateLimiter.consume('token', { userId, scopes: ['user'] });
+                if (!decision.allowed) {
+                    return {
+                        success: false,
+                        rateLimited: true,
+                        error: 'Too many requests',
+                        message: 'The user rate limit for token requests is exhausted',
+                        retryAfter: decision.retryAfterSec
+                    };
+                }
+                return bot.getTokenForUser(userId, false, { caller: req.caller, action: 'batch', correlationId: req.correlationId });
+            })
         );
 
         const tokenResults = results.map((result, index) => ({
@@ -438,6 +1013,8 @@ server.post('/api/tokens/batch', async (req, res) => {
             success: result.status === 'fulfilled' && result.value.success,
             token: result.status === 'fulfilled' && result.value.success ? result.value.token : null,
             error: result.status === 'fulfilled' ? result.value.error : result.reason?.message,
+            reason: result.status === 'fulfilled' ? result.value.reason : undefined,
+            retryAfter: result.status === 'fulfilled' ? result.value.retryAfter : undefined,
             message: result.status === 'fulfilled' ? result.value.message : 'Request failed'
         }));
 
@@ -453,16 +1030,356 @@ server.post('/api/tokens/batch', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Batch token retrieval error:', error);
+        log.error('Batch token retrieval error', error);
         res.send(500, {
             success: false,
             error: 'Batch operation failed',
             message: error.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Token status listing for all known users
+ * GET /api/tokens/status?status=unavailable
+ */
+server.get('/api/tokens/status', requireScope(SCOPES.ADMIN), async (req, res) => {
+    const status = req.query?.status;
+
+    try {
+        const users = await tokenRefreshScheduler.listTokenStatuses(status, req.caller);
+        res.send(200, {
+            success: true,
+            status: status || 'all',
+            count: users.length,
+            users: users,
+            scheduler: tokenRefreshScheduler.getStats(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        log.error('Token status listing error', error);
+        res.send(500, {
+            success: false,
+            error: 'Token status listing failed',
+            message: error.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Access policy dry-run endpoint
+ * POST /api/policy/evaluate
+ * Body: { callerId, userId, action?, connectionName?, tenantId?, aadObjectId?, policy? }
+ * Evaluates the loaded policy (or the given policy document, YAML string or object) without fetching a token.
+ */
+server.post('/api/policy/evaluate', requireScope(SCOPES.ADMIN), async (req, res) => {
+    const { callerId, userId, action, connectionName, policy } = req.body || {};
+
+    if (!callerId || !userId) {
+        return res.send(400, {
+            success: false,
+            error: 'callerId and userId are required',
+            correlationId: req.correlationId
+        });
+    }
+
+    try {
+        const policyUnderTest = policy ? AccessPolicy.fromDocument(policy) : accessPolicy;
+        const userContext = await bot.getAccessibleContext(userId, req.caller);
+
+        const decision = policyUnderTest.evaluate({
+            caller: { id: callerId },
+            action: action || 'token',
+            userId: userId,
+            tenantId: req.body.tenantId || userContext?.tenantId,
+            aadObjectId: req.body.aadObjectId || userContext?.aadObjectId,
+            connectionName: connectionName || oauthConnections.defaultConnection.connectionName
+        });
+
+        res.send(200, {
+            success: true,
+            dryRun: true,
+            policySource: policyUnderTest.source,
+            userContextFound: !!userContext,
+            decision: decision,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        log.error('Policy evaluation error', error);
+        res.send(400, {
+            success: false,
+            error: 'Policy evaluation failed',
+            message: error.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Audit log query
+ * GET /api/audit?userId=&aadObjectId=&callerId=&action=&outcome=&from=&to=&limit=
+ * from/to are ISO 8601 timestamps; records are returned newest first (limit default 100, max 1000)
+ */
+server.get('/api/audit', requireScope(SCOPES.AUDIT_READ), async (req, res) => {
+    const query = req.query || {};
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    const limit = query.limit ? parseInt(query.limit, 10) : undefined;
+
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime())) || (limit !== undefined && !(limit > 0))) {
+        res.send(400, {
+            success: false,
+            error: 'Invalid query',
+            message: 'from and to must be ISO 8601 timestamps and limit a positive integer',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    try {
+        const records = await auditLog.query({
+            userId: query.userId,
+            aadObjectId: query.aadObjectId,
+            callerId: query.callerId,
+            action: query.action,
+            outcome: query.outcome,
+            // Callers confined to tenants only see records about users of those tenants
+            tenantIds: req.caller.tenants || undefined,
+            from: from,
+            to: to,
+            limit: limit
+        });
+
+        res.send(200, {
+            success: true,
+            count: records.length,
+            records: records,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        log.error('Audit query error', error);
+        res.send(503, {
+            success: false,
+            error: 'Audit query failed',
+            message: error.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Audit chain verification: recomputes every record hash and checks the links between records
+ * GET /api/audit/verify
+ */
+server.get('/api/audit/verify', requireScope(SCOPES.AUDIT_READ), async (req, res) => {
+    try {
+        const verification = await auditLog.verify();
+
+        res.send(verification.valid ? 200 : 409, {
+            success: verification.valid,
+            ...verification,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        log.error('Audit verification error', error);
+        res.send(503, {
+            success: false,
+            error: 'Audit verification failed',
+            message: error.message,
+            correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
     }
 });
 
+/**
+ * Register a webhook for sign-in, sign-out and token status events
+ * POST /api/webhooks { url, events: ['user.signedIn', ...] (default all), description, secret (default generated) }
+ * The response carries the signing secret; it is not returned again
+ */
+server.post('/api/webhooks', requireScope(SCOPES.WEBHOOKS_MANAGE), async (req, res) => {
+    try {
+        const result = await webhookDispatcher.register(req.body || {}, req.caller);
+        if (!result.success) {
+            res.send(400, { ...result, correlationId: req.correlationId, timestamp: new Date().toISOString() });
+            return;
+        }
+
+        res.send(201, {
+            success: true,
+            webhook: result.subscription,
+            message: 'Webhook registered. Store the secret now: it is needed to verify X-Webhook-Signature and is not shown again',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendWebhookError(req, res, 'Webhook registration failed', error);
+    }
+});
+
+/**
+ * List the caller's webhooks (every webhook for admins), without secrets
+ * GET /api/webhooks
+ */
+server.get('/api/webhooks', requireScope(SCOPES.WEBHOOKS_MANAGE), async (req, res) => {
+    const webhooks = webhookDispatcher.list(req.caller, managesAllWebhooks(req.caller));
+    res.send(200, {
+        success: true,
+        count: webhooks.length,
+        webhooks: webhooks,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Deliveries that exhausted their retries or were rejected, newest first
+ * GET /api/webhooks/dead-letters?subscriptionId=&limit=
+ */
+server.get('/api/webhooks/dead-letters', requireScope(SCOPES.WEBHOOKS_MANAGE), async (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && !(limit > 0)) {
+        res.send(400, {
+            success: false,
+            error: 'Invalid query',
+            message: 'limit must be a positive integer',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    try {
+        const deadLetters = await webhookDispatcher.deadLetters(req.caller, managesAllWebhooks(req.caller), {
+            subscriptionId: req.query.subscriptionId,
+            limit: limit
+        });
+        res.send(200, {
+            success: true,
+            count: deadLetters.length,
+            deadLetters: deadLetters,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendWebhookError(req, res, 'Dead letter query failed', error);
+    }
+});
+
+/**
+ * Take a delivery off the dead-letter list and deliver it again, with a fresh set of retries
+ * POST /api/webhooks/dead-letters/:id/redeliver
+ */
+server.post('/api/webhooks/dead-letters/:id/redeliver', requireScope(SCOPES.WEBHOOKS_MANAGE), async (req, res) => {
+    try {
+        const result = await webhookDispatcher.redeliver(req.params.id, req.caller, managesAllWebhooks(req.caller));
+        if (!result.success) {
+            res.send(404, { ...result, correlationId: req.correlationId, timestamp: new Date().toISOString() });
+            return;
+        }
+
+        res.send(202, {
+            success: true,
+            deadLetterId: result.deadLetter.id,
+            subscriptionId: result.deadLetter.subscriptionId,
+            eventId: result.deadLetter.event.id,
+            message: 'Redelivery started',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendWebhookError(req, res, 'Redelivery failed', error);
+    }
+});
+
+/**
+ * Delete one of the caller's webhooks (any webhook for admins)
+ * DELETE /api/webhooks/:id
+ */
+server.del('/api/webhooks/:id', requireScope(SCOPES.WEBHOOKS_MANAGE), async (req, res) => {
+    try {
+        const deleted = await webhookDispatcher.remove(req.params.id, req.caller, managesAllWebhooks(req.caller));
+        if (!deleted) {
+            res.send(404, {
+                success: false,
+                error: 'Webhook not found',
+                message: `No webhook with id ${req.params.id}`,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        res.send(200, {
+            success: true,
+            id: req.params.id,
+            message: 'Webhook deleted',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendWebhookError(req, res, 'Webhook deletion failed', error);
+    }
+});
+
+/**
+ * Admins not confined to tenants manage every caller's webhooks; everyone else only their own
+ */
+function managesAllWebhooks(caller) {
+    return hasScope(caller, SCOPES.ADMIN) && !caller.tenants;
+}
+
+function sendWebhookError(req, res, message, error) {
+    log.error(message, error);
+    res.send(503, {
+        success: false,
+        error: message,
+        message: error.message,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Server-Sent Events feed of user and token events
+ * GET /api/events/stream?tenantId=&userId=&types=user.signedIn,token.acquired
+ * Reconnecting clients send Last-Event-ID to receive the events they missed (see EventStream)
+ */
+server.get('/api/events/stream', requireScope(SCOPES.EVENTS_READ), async (req, res) => {
+    const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : null;
+    const unknownTypes = (types || []).filter(type => !Object.values(BOT_EVENTS).includes(type));
+    if (unknownTypes.length > 0) {
+        res.send(400, {
+            success: false,
+            error: 'Invalid query',
+            message: `Unknown event types: ${unknownTypes.join(', ')}. Expected: ${Object.values(BOT_EVENTS).join(', ')}`,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    if (!eventStream.hasCapacity()) {
+        res.send(503, {
+            success: false,
+            error: 'Too many event streams',
+            message: 'The maximum number of concurrent event streams is reached; retry later',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    await eventStream.attach(req, res, {
+        caller: req.caller,
+        filter: { tenantId: req.query.tenantId, userId: req.query.userId, types },
+        lastEventId: req.headers['last-event-id']
+    });
+});
+
 // =============================================================================
 // BOT MESSAGE HANDLING
 // =============================================================================
@@ -471,25 +1388,29 @@ server.post('/api/tokens/batch', async (req, res) => {
  * Enhanced message handling with better logging
  */
 server.post('/api/messages', async (req, res) => {
-    console.log('=== Incoming Bot Message ===');
-    console.log('Headers:', {
-        'content-type': req.headers['content-type'],
-        'authorization': req.headers['authorization'] ? 'present' : 'missing',
-        'user-agent': req.headers['user-agent']
+    // The body is not authenticated yet, so unknown types share one label value
+    const activityType = KNOWN_ACTIVITY_TYPES.has(req.body?.type) ? req.body.type : 'other';
+    metrics.activities.inc({ type: activityType });
+
+    const messageFields = {
+        activityType: req.body?.type,
+        userId: req.body?.from?.id,
+        conversationId: req.body?.conversation?.id,
+        channelId: req.body?.channelId
+    };
+    log.debug('Incoming bot message', {
+        ...messageFields,
+        contentType: req.headers['content-type'],
+        authorizationPresent: !!req.headers['authorization'],
+        userAgent: req.headers['user-agent']
     });
-    console.log('Body type:', req.body?.type);
-    console.log('From:', req.body?.from?.name, req.body?.from?.id);
-    console.log('Conversation:', req.body?.conversation?.id);
-    console.log('Channel:', req.body?.channelId);
     
     try {
         // Route received request to adapter for processing
-        console.log('=== Starting adapter.process() ===');
         await adapter.process(req, res, (context) => bot.run(context));
-        console.log('=== Message Processed Successfully ===');
+        log.debug('Bot message processed', messageFields);
     } catch (error) {
-        console.error('=== Message Processing Error ===');
-        console.error('Error:', error);
+        log.error('Bot message processing error', { ...messageFields, error });
     }
 });
 
@@ -498,13 +1419,18 @@ server.post('/api/messages', async (req, res) => {
 // =============================================================================
 
 process.on('SIGINT', async () => {
-    console.log('\nShutting down gracefully...');
+    log.info('Shutting down gracefully');
     
     try {
-        // Cleanup resources if needed
-        console.log('Bot shutdown complete');
+        await tokenRefreshScheduler.stop();
+        await userContextStore.close();
+        await auditLog.close();
+        await rateLimiter.close();
+        await webhookDispatcher.close();
+        eventStream.close();
+        log.info('Bot shutdown complete');
     } catch (error) {
-        console.error('Error during shutdown:', error);
+        log.error('Error during shutdown', error);
     }
     
     process.exit(0);
@@ -512,12 +1438,12 @@ process.on('SIGINT', async () => {
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
+    log.error('Uncaught exception', error);
     process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    log.error('Unhandled rejection', { reason });
 });
 
 // Export for testing
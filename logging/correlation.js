@@ -0,0 +1,91 @@
+// correlation.js
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+/**
+ * Correlation ids tie a REST request to the proactive turn it starts and the Graph requests
+ * made on its behalf. The id is taken from (or generated for) the x-correlation-id request
+ * header, held in async-local storage for the rest of the request, picked up by the logger
+ * and the adapter middleware, and sent to Graph as client-request-id.
+ */
+
+const CORRELATION_HEADER = 'x-correlation-id';
+const GRAPH_REQUEST_ID_HEADER = 'client-request-id';
+const CORRELATION_ID_KEY = Symbol('correlationId');
+
+// Caller supplied ids are echoed into headers and logs, so only accept a conservative charset
+const VALID_CORRELATION_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Accept a well-formed caller supplied id, otherwise generate a new one
+ * @param {string} value - Incoming header value
+ * @returns {string} The correlation id
+ */
+function resolveCorrelationId(value) {
+    if (typeof value === 'string' && VALID_CORRELATION_ID.test(value)) {
+        return value;
+    }
+    return crypto.randomUUID();
+}
+
+/**
+ * The correlation id of the current request or turn, if any
+ */
+function getCorrelationId() {
+    return storage.getStore()?.correlationId;
+}
+
+/**
+ * Run fn (and everything it awaits) with the given correlation id
+ */
+function runWithCorrelationId(correlationId, fn) {
+    return storage.run({ correlationId }, fn);
+}
+
+/**
+ * Restify middleware: resolve the request's correlation id, echo it on the response
+ * and run the remaining handlers with it.
+ */
+function correlationMiddleware() {
+    return (req, res, next) => {
+        const correlationId = resolveCorrelationId(req.headers[CORRELATION_HEADER]);
+        req.correlationId = correlationId;
+        res.setHeader(CORRELATION_HEADER, correlationId);
+        runWithCorrelationId(correlationId, () => next());
+    };
+}
+
+/**
+ * Adapter middleware: record the correlation id on the turn state of incoming and proactive
+ * turns so dialogs can pass it on, and keep it in scope for the rest of the turn.
+ */
+function correlationTurnMiddleware() {
+    return async (context, next) => {
+        const correlationId = context.turnState.get(CORRELATION_ID_KEY) ||
+            getCorrelationId() ||
+            crypto.randomUUID();
+        context.turnState.set(CORRELATION_ID_KEY, correlationId);
+        await runWithCorrelationId(correlationId, next);
+    };
+}
+
+/**
+ * The correlation id recorded on a turn by correlationTurnMiddleware
+ * @param {TurnContext} context - The turn context
+ */
+function getTurnCorrelationId(context) {
+    return context?.turnState?.get(CORRELATION_ID_KEY) || getCorrelationId();
+}
+
+module.exports = {
+    CORRELATION_HEADER,
+    GRAPH_REQUEST_ID_HEADER,
+    resolveCorrelationId,
+    getCorrelationId,
+    runWithCorrelationId,
+    correlationMiddleware,
+    correlationTurnMiddleware,
+    getTurnCorrelationId
+};
@@ -0,0 +1,110 @@
+// httpInterception.js
+const http = require('http');
+const https = require('https');
+const { redact, redactString } = require('./redact');
+
+const MAX_BODY_LOG_LENGTH = 4096;
+
+let installed = null;
+
+/**
+ * Log every outbound HTTP/HTTPS request (URL, method, headers and body) through the given logger
+ * at info level, with tokens and secrets redacted. Controlled by LOG_HTTP_INTERCEPTION=true.
+ * @param {Logger} log - The logger to write to
+ */
+function enableHttpInterception(log) {
+    if (installed) return;
+
+    installed = {
+        httpRequest: http.request,
+        httpsRequest: https.request
+    };
+
+    http.request = wrapRequest(installed.httpRequest, 'http:', log);
+    https.request = wrapRequest(installed.httpsRequest, 'https:', log);
+    log.info('HTTP/HTTPS request interception enabled');
+}
+
+/**
+ * Restore the original request functions
+ */
+function disableHttpInterception() {
+    if (!installed) return;
+
+    http.request = installed.httpRequest;
+    https.request = installed.httpsRequest;
+    installed = null;
+}
+
+function wrapRequest(originalRequest, defaultProtocol, log) {
+    return function(...args) {
+        const req = originalRequest.apply(this, args);
+
+        try {
+            const options = describeRequest(args, defaultProtocol);
+            log.info('Outbound HTTP request', {
+                url: redactString(options.url),
+                method: options.method,
+                headers: redact(options.headers || {})
+            });
+
+            const logBody = (chunk) => log.info('Outbound HTTP request body', {
+                url: redactString(options.url),
+                body: describeBody(chunk)
+            });
+
+            const originalWrite = req.write;
+            req.write = function(chunk, ...rest) {
+                logBody(chunk);
+                return originalWrite.call(this, chunk, ...rest);
+            };
+
+            // end(chunk) does not go through write()
+            const originalEnd = req.end;
+            req.end = function(chunk, ...rest) {
+                if (chunk && typeof chunk !== 'function') logBody(chunk);
+                return originalEnd.call(this, chunk, ...rest);
+            };
+        } catch (error) {
+            // Never let logging break the request itself
+        }
+
+        return req;
+    };
+}
+
+function describeRequest(args, defaultProtocol) {
+    let options = {};
+    let url = null;
+
+    for (const arg of args) {
+        if (typeof arg === 'string') url = arg;
+        else if (arg instanceof URL) url = arg.href;
+        else if (arg && typeof arg === 'object') options = arg;
+    }
+
+    if (!url) {
+        const protocol = options.protocol || defaultProtocol;
+        const host = options.hostname || options.host || 'localhost';
+        const port = options.port ? `:${options.port}` : '';
+        url = options.href || `${protocol}//${host}${port}${options.path || '/'}`;
+    }
+
+    return { url, method: options.method || 'GET', headers: options.headers };
+}
+
+function describeBody(chunk) {
+    if (!chunk) return chunk;
+
+    const text = Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+    try {
+        return redact(JSON.parse(text));
+    } catch (error) {
+        const scrubbed = redactString(text);
+        return scrubbed.length > MAX_BODY_LOG_LENGTH
+            ? `${scrubbed.substring(0, MAX_BODY_LOG_LENGTH)}...[${scrubbed.length - MAX_BODY_LOG_LENGTH} more chars]`
+            : scrubbed;
+    }
+}
+
+module.exports = { enableHttpInterception, disableHttpInterception };
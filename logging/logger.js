@@ -0,0 +1,97 @@
+// logger.js
+const { redact, redactString } = require('./redact');
+const { getCorrelationId } = require('./correlation');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Structured JSON logger. Every entry is one line of JSON on stdout (stderr for errors):
+ *   {"timestamp":"...","level":"info","component":"TeamsBot","msg":"...", ...fields}
+ *
+ * Messages and fields are passed through redact() so bearer tokens, JWTs, client secrets
+ * and token/refreshToken fields never reach the log aggregator. Entries written while a
+ * request or turn is in flight carry its correlationId.
+ * LOG_LEVEL (debug | info | warn | error | silent) sets the minimum level, default info.
+ */
+class Logger {
+    /**
+     * @param {Object} bindings - Fields added to every entry (e.g. { component: 'TeamsBot' })
+     * @param {Object} options
+     * @param {string} options.level - Minimum level to emit
+     * @param {Function} options.write - Sink for serialized entries, defaults to stdout/stderr
+     */
+    constructor(bindings = {}, options = {}) {
+        this.bindings = bindings;
+        this.options = options;
+    }
+
+    /**
+     * Create a logger that adds the given fields to every entry
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings }, this.options);
+    }
+
+    get level() {
+        return this.options.level || process.env.LOG_LEVEL || 'info';
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= (LEVELS[this.level] ?? LEVELS.info);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+    /**
+     * @param {string} level - debug | info | warn | error
+     * @param {string} msg - Human readable message
+     * @param {Object|Error} fields - Structured fields; an Error is logged under `error`
+     */
+    log(level, msg, fields) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const correlationId = getCorrelationId();
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: level,
+            ...(correlationId ? { correlationId } : {}),
+            ...redact(this.bindings),
+            msg: redactString(String(msg)),
+            ...redact(extra || {})
+        };
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (error) {
+            line = JSON.stringify({ timestamp: entry.timestamp, level, msg: entry.msg, serializationError: error.message });
+        }
+
+        if (this.options.write) {
+            this.options.write(line, level);
+        } else if (level === 'error' || level === 'warn') {
+            process.stderr.write(line + '\n');
+        } else {
+            process.stdout.write(line + '\n');
+        }
+    }
+}
+
+const logger = new Logger();
+
+module.exports = { Logger, logger, LEVELS };
@@ -0,0 +1,84 @@
+// redact.js
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are always secrets, wherever they appear
+const SECRET_KEYS = new Set([
+    'token',
+    'refreshtoken',
+    'accesstoken',
+    'access_token',
+    'refresh_token',
+    'id_token',
+    'assertion',
+    'client_secret',
+    'clientsecret',
+    'microsoftapppassword',
+    'password',
+    'authorization',
+    'x-api-key',
+    'apikey',
+    'secret',
+    'cookie',
+    'set-cookie'
+]);
+
+const BEARER_PATTERN = /\b(Bearer|ApiKey)\s+[A-Za-z0-9\-._~+/]+=*/gi;
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const FORM_SECRET_PATTERN = /\b(client_secret|assertion|access_token|refresh_token|id_token|password)=[^&\s]*/gi;
+
+const MAX_DEPTH = 8;
+
+/**
+ * Remove bearer tokens, JWTs and secret form fields from a string
+ * @param {string} text
+ * @returns {string}
+ */
+function redactString(text) {
+    return text
+        .replace(BEARER_PATTERN, (match, scheme) => `${scheme} ${REDACTED}`)
+        .replace(JWT_PATTERN, REDACTED)
+        .replace(FORM_SECRET_PATTERN, (match, field) => `${field}=${REDACTED}`);
+}
+
+/**
+ * Deep-copy a value with secrets removed: values of secret-named fields are replaced,
+ * strings are scrubbed of bearer tokens and JWTs, Errors become plain objects.
+ * @param {*} value - Anything that is about to be logged
+ * @returns {*} A redacted copy safe to serialize
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message || ''),
+            code: value.code,
+            statusCode: value.statusCode,
+            stack: value.stack ? redactString(value.stack) : undefined
+        };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (SECRET_KEYS.has(key.toLowerCase()) && item !== null && item !== undefined && item !== '') {
+            copy[key] = REDACTED;
+        } else {
+            copy[key] = redact(item, depth + 1, seen);
+        }
+    }
+    return copy;
+}
+
+module.exports = { redact, redactString, REDACTED };
@@ -0,0 +1,135 @@
+// metrics/index.js
+const { Registry } = require('./registry');
+
+/**
+ * Process-wide metrics registry served by GET /metrics
+ */
+const registry = new Registry();
+
+const metrics = {
+    activities: registry.counter({
+        name: 'bot_activities_total',
+        help: 'Activities received on /api/messages, by activity type.',
+        labelNames: ['type']
+    }),
+    rejectedActivities: registry.counter({
+        name: 'bot_activities_rejected_total',
+        help: 'Activities dropped before reaching the bot, by reason.',
+        labelNames: ['reason']
+    }),
+    turnErrors: registry.counter({
+        name: 'bot_turn_errors_total',
+        help: 'Turns that ended in the adapter onTurnError handler.'
+    }),
+    tokenRetrievals: registry.counter({
+        name: 'token_retrievals_total',
+        help: 'getTokenForUser calls by retrieval method (cache, adapter, userTokenClient, connectorClient, none) and outcome.',
+        labelNames: ['method', 'outcome']
+    }),
+    tokenRetrievalDuration: registry.histogram({
+        name: 'token_retrieval_duration_seconds',
+        help: 'getTokenForUser latency by retrieval method.',
+        labelNames: ['method'],
+        buckets: [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    }),
+    batchSize: registry.histogram({
+        name: 'token_batch_size',
+        help: 'Users requested per /api/tokens/batch call.',
+        buckets: [1, 2, 5, 10, 20, 30, 40, 50]
+    }),
+    rateLimited: registry.counter({
+        name: 'rate_limited_requests_total',
+        help: 'Requests rejected by a rate limit, by request kind and bucket scope.',
+        labelNames: ['kind', 'scope']
+    }),
+    webhookDeliveries: registry.counter({
+        name: 'webhook_deliveries_total',
+        help: 'Webhook delivery attempts by event type and outcome (delivered, retried, dead-lettered).',
+        labelNames: ['event', 'outcome']
+    }),
+    graphRequests: registry.counter({
+        name: 'graph_requests_total',
+        help: 'Microsoft Graph HTTP requests by endpoint and status code.',
+        labelNames: ['endpoint', 'status']
+    }),
+    graphRequestDuration: registry.histogram({
+        name: 'graph_request_duration_seconds',
+        help: 'Microsoft Graph HTTP request latency by endpoint.',
+        labelNames: ['endpoint']
+    }),
+    graphThrottled: registry.counter({
+        name: 'graph_throttled_responses_total',
+        help: 'Microsoft Graph 429, 503 and 504 responses by endpoint, status and outcome (retried, exhausted).',
+        labelNames: ['endpoint', 'status', 'outcome']
+    }),
+    graphRetryDelay: registry.histogram({
+        name: 'graph_retry_delay_seconds',
+        help: 'Time waited before retrying a throttled Microsoft Graph request, by endpoint.',
+        labelNames: ['endpoint'],
+        buckets: [0.5, 1, 2, 5, 10, 30, 60, 120]
+    })
+};
+
+/**
+ * Record the outcome of a getTokenForUser call
+ * @param {Object} result - The getTokenForUser result
+ * @param {number} durationMs - Elapsed time
+ */
+function recordTokenRetrieval(result, durationMs) {
+    const method = result.cached ? 'cache' : result.method || 'none';
+    let outcome = 'failure';
+    if (result.success) outcome = 'success';
+    else if (result.denied) outcome = 'denied';
+
+    metrics.tokenRetrievals.inc({ method, outcome });
+    metrics.tokenRetrievalDuration.observe({ method }, durationMs / 1000);
+}
+
+/**
+ * Record a Graph HTTP request
+ * @param {string} endpoint - Normalized endpoint, see graphEndpoint()
+ * @param {number|string} status - HTTP status code, or 'error' when no response was received
+ * @param {number} durationMs - Elapsed time
+ */
+function recordGraphRequest(endpoint, status, durationMs) {
+    metrics.graphRequests.inc({ endpoint, status });
+    metrics.graphRequestDuration.observe({ endpoint }, durationMs / 1000);
+}
+
+/**
+ * Record a throttled Graph response
+ * @param {string} endpoint - Normalized endpoint, see graphEndpoint()
+ * @param {number} status - 429, 503 or 504
+ * @param {string} outcome - retried, or exhausted when the response was returned to the caller
+ * @param {number} delayMs - Wait before the retry
+ */
+function recordGraphThrottle(endpoint, status, outcome, delayMs) {
+    metrics.graphThrottled.inc({ endpoint, status, outcome });
+    if (outcome === 'retried') {
+        metrics.graphRetryDelay.observe({ endpoint }, delayMs / 1000);
+    }
+}
+
+// Path segments that identify a single object; collapsed to keep label cardinality bounded
+const ID_SEGMENT = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[^/]*@[^/]*|[A-Za-z0-9_=-]{40,})$/i;
+
+/**
+ * Reduce a Graph URL to a low-cardinality endpoint label, e.g.
+ * https://graph.microsoft.com/v1.0/users/2f1c...@contoso.com/events?$top=10 -> /users/{id}/events
+ */
+function graphEndpoint(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (error) {
+        pathname = String(url).split('?')[0];
+    }
+
+    return pathname
+        .replace(/^\/(v1\.0|beta)(?=\/|$)/, '')
+        .split('/')
+        .map(segment => (ID_SEGMENT.test(decodeURIComponent(segment)) ? '{id}' : segment))
+        .join('/') || '/';
+}
+
+module.exports = { registry, metrics, recordTokenRetrieval, recordGraphRequest, recordGraphThrottle, graphEndpoint };
@@ -0,0 +1,163 @@
+// registry.js
+
+/**
+ * Minimal in-process metrics registry rendering the Prometheus text exposition format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/), so /metrics can be scraped
+ * without a client library or any external service.
+ */
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`[Registry]: Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Render every registered metric in Prometheus text format
+     * @returns {string}
+     */
+    render() {
+        return Array.from(this.metrics.values())
+            .map(metric => metric.render())
+            .join('');
+    }
+}
+
+class Metric {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Metric name
+     * @param {string} options.help - HELP text
+     * @param {string[]} options.labelNames - Label names, in output order
+     * @param {Function} options.collect - Optional; returns the current value when rendering (e.g. from a stats object)
+     */
+    constructor(type, options) {
+        if (!options?.name || !options.help) {
+            throw new Error('[Metric]: name and help are required');
+        }
+        this.type = type;
+        this.name = options.name;
+        this.help = options.help;
+        this.labelNames = options.labelNames || [];
+        this.collect = options.collect;
+        this.series = new Map();
+    }
+
+    seriesFor(labels = {}) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: values, value: this.initialValue() });
+        }
+        return this.series.get(key);
+    }
+
+    initialValue() {
+        return 0;
+    }
+
+    render() {
+        if (this.collect) {
+            this.seriesFor().value = Number(this.collect()) || 0;
+        } else if (this.labelNames.length === 0) {
+            // Unlabelled metrics are exported as 0 before their first update
+            this.seriesFor();
+        }
+
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(this.labelNames, series.labels)} ${series.value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels, value = 1) {
+        this.seriesFor(labels).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+}
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - As for Metric, plus
+     * @param {number[]} options.buckets - Upper bounds, ascending (+Inf is implied)
+     */
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = options.buckets || DEFAULT_BUCKETS;
+    }
+
+    initialValue() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const histogram = this.seriesFor(labels).value;
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) histogram.counts[index]++;
+        });
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    renderSeries(series) {
+        const { counts, sum, count } = series.value;
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels([...this.labelNames, 'le'], [...series.labels, String(bound)])} ${counts[index]}`);
+        lines.push(`${this.name}_bucket${formatLabels([...this.labelNames, 'le'], [...series.labels, '+Inf'])} ${count}`);
+        lines.push(`${this.name}_sum${formatLabels(this.labelNames, series.labels)} ${sum}`);
+        lines.push(`${this.name}_count${formatLabels(this.labelNames, series.labels)} ${count}`);
+        return lines;
+    }
+}
+
+function formatLabels(names, values) {
+    if (names.length === 0) return '';
+    const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function escapeLabelValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram };
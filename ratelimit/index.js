@@ -0,0 +1,31 @@
+// index.js - rate limit bucket store selection
+const { MemoryBucketStore } = require('./memoryBucketStore');
+const { MongoBucketStore } = require('./mongoBucketStore');
+
+const BACKENDS = {
+    memory: () => new MemoryBucketStore(),
+    mongodb: () => new MongoBucketStore()
+};
+
+/**
+ * Create the bucket store named by RATE_LIMIT_STORE_BACKEND (memory | mongodb).
+ * Defaults to the context store backend; the file backend has no shared bucket store, so it uses memory.
+ * @param {string} backendName - Overrides the environment variable
+ */
+function createBucketStore(backendName = process.env.RATE_LIMIT_STORE_BACKEND) {
+    let name = (backendName ||
+        process.env.CONTEXT_STORE_BACKEND ||
+        (process.env.MONGODB_CONNECTION_STRING ? 'mongodb' : 'memory')).toLowerCase();
+    if (!backendName && name === 'file') {
+        name = 'memory';
+    }
+
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return factory();
+}
+
+module.exports = { createBucketStore, MemoryBucketStore, MongoBucketStore };
@@ -0,0 +1,62 @@
+// memoryBucketStore.js
+
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * In-process token bucket store. Limits only hold within one instance;
+ * use the mongodb store when several instances serve the API.
+ */
+class MemoryBucketStore {
+    constructor() {
+        this.name = 'memory';
+        this.shared = false;
+        this.buckets = new Map();
+    }
+
+    async initialize() {}
+
+    /**
+     * Refill the bucket for the elapsed time, then take `cost` tokens if that many are available
+     * @param {string} key - Bucket key
+     * @param {number} cost - Tokens to take
+     * @param {Object} limit - { capacity, refillPerSec }
+     * @returns {Promise<Object>} { allowed, tokens } where tokens is the level after the attempt
+     */
+    async take(key, cost, limit) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+
+        const elapsedSec = (now - bucket.updatedAt) / 1000;
+        const tokens = Math.min(limit.capacity, bucket.tokens + elapsedSec * limit.refillPerSec);
+        const allowed = tokens >= cost;
+
+        this.buckets.set(key, { tokens: allowed ? tokens - cost : tokens, updatedAt: now, limit });
+        if (this.buckets.size > PRUNE_THRESHOLD) {
+            this.prune(now);
+        }
+
+        return { allowed, tokens: allowed ? tokens - cost : tokens };
+    }
+
+    /**
+     * Drop buckets that have refilled completely; they behave exactly like missing ones
+     */
+    prune(now) {
+        for (const [key, bucket] of this.buckets) {
+            const fullAt = bucket.updatedAt + ((bucket.limit.capacity - bucket.tokens) / bucket.limit.refillPerSec) * 1000;
+            if (fullAt <= now) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    async close() {
+        this.buckets.clear();
+    }
+}
+
+module.exports = { MemoryBucketStore };
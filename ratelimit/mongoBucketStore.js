@@ -0,0 +1,115 @@
+// mongoBucketStore.js
+const { MongoClient } = require('mongodb');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'MongoBucketStore' });
+
+/**
+ * MongoDB token bucket store shared by every instance.
+ * Refill and take happen in one pipeline update, so concurrent requests from different
+ * instances can never spend the same token. Buckets expire (TTL index) once they would be full.
+ */
+class MongoBucketStore {
+    constructor() {
+        this.name = 'mongodb';
+        this.shared = true;
+        this.client = null;
+        this.db = null;
+        this.collection = null;
+        this.isConnected = false;
+    }
+
+    async initialize() {
+        try {
+            const connectionString = process.env.MONGODB_CONNECTION_STRING || 'mongodb://localhost:27017';
+            const dbName = process.env.MONGODB_DB_NAME || 'teamsbot';
+            const collectionName = process.env.MONGODB_RATE_LIMIT_COLLECTION_NAME || 'rate_limits';
+
+            const serverSelectionTimeoutMS = parseInt(process.env.MONGODB_TIMEOUT_MS, 10) || 5000;
+
+            this.client = new MongoClient(connectionString, { serverSelectionTimeoutMS });
+            await this.client.connect();
+
+            this.db = this.client.db(dbName);
+            this.collection = this.db.collection(collectionName);
+
+            await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+            this.isConnected = true;
+            log.info('MongoDB rate limit store connected', { dbName, collectionName });
+        } catch (error) {
+            log.error('MongoDB rate limit store connection failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @see MemoryBucketStore#take
+     */
+    async take(key, cost, limit) {
+        if (!this.isConnected) {
+            throw new Error('MongoDB not connected');
+        }
+
+        const now = new Date();
+        const refillMs = Math.ceil((limit.capacity / limit.refillPerSec) * 1000);
+
+        const refilled = {
+            $min: [
+                limit.capacity,
+                {
+                    $add: [
+                        { $ifNull: ['$tokens', limit.capacity] },
+                        {
+                            $multiply: [
+                                { $divide: [{ $subtract: [now, { $ifNull: ['$updatedAt', now] }] }, 1000] },
+                                limit.refillPerSec
+                            ]
+                        }
+                    ]
+                }
+            ]
+        };
+
+        const bucket = await this.collection.findOneAndUpdate(
+            { _id: key },
+            [
+                { $set: { refilled: refilled } },
+                {
+                    $set: {
+                        allowed: { $gte: ['$refilled', cost] },
+                        tokens: {
+                            $cond: [{ $gte: ['$refilled', cost] }, { $subtract: ['$refilled', cost] }, '$refilled']
+                        },
+                        updatedAt: now,
+                        expiresAt: new Date(now.getTime() + refillMs)
+                    }
+                },
+                { $unset: 'refilled' }
+            ],
+            { upsert: true, returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        return { allowed: bucket.allowed, tokens: bucket.tokens };
+    }
+
+    async healthCheck() {
+        try {
+            if (!this.isConnected) return false;
+            await this.db.admin().ping();
+            return true;
+        } catch (error) {
+            log.error('MongoDB rate limit store health check failed', error);
+            return false;
+        }
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.close();
+            this.isConnected = false;
+        }
+    }
+}
+
+module.exports = { MongoBucketStore };
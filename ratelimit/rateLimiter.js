@@ -0,0 +1,210 @@
+// rateLimiter.js
+const { createBucketStore, MemoryBucketStore } = require('./index');
+const { metrics } = require('../metrics');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'RateLimiter' });
+
+const SCOPES = ['caller', 'user', 'global'];
+
+// Refresh signs the user out of the token service on every call, so it gets much tighter limits
+const DEFAULT_LIMITS = {
+    token: { caller: '120/min', user: '30/min', global: '600/min' },
+    refresh: { caller: '10/min', user: '3/min', global: '60/min' },
+    graph: { caller: '300/min', user: '60/min', global: '1200/min' }
+};
+
+const WINDOW_SECONDS = { s: 1, sec: 1, m: 60, min: 60, h: 3600, hour: 3600 };
+
+/**
+ * Token bucket rate limiting for the token endpoints.
+ *
+ * Every request of a kind (token, refresh, or graph for the Graph proxy and mail routes) draws from
+ * three buckets: one per API caller, one per target user and one shared by everyone. A limit of
+ * "30/min" is a bucket of 30 tokens refilled at 30 per minute, so short bursts up to the bucket
+ * size are allowed.
+ * Limits are configured with RATE_LIMIT_<KIND>_<SCOPE>, e.g. RATE_LIMIT_REFRESH_USER=3/min,
+ * and "off" disables one. RATE_LIMIT_ENABLED=false disables rate limiting entirely.
+ *
+ * Buckets live in the bucket store (RATE_LIMIT_STORE_BACKEND) so limits hold across instances
+ * when it is shared. If the store fails requests are let through rather than rejected.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} store - Bucket store (see ratelimit/index.js)
+     * @param {Object} limits - { [kind]: { caller, user, global } } with "count/window" strings
+     */
+    constructor(store = createBucketStore(), limits = RateLimiter.limitsFromEnv()) {
+        this.store = store;
+        this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+        this.limits = {};
+        for (const [kind, scopes] of Object.entries(limits)) {
+            this.limits[kind] = {};
+            for (const scope of SCOPES) {
+                this.limits[kind][scope] = parseLimit(scopes[scope]);
+            }
+        }
+    }
+
+    static limitsFromEnv() {
+        const limits = {};
+        for (const [kind, scopes] of Object.entries(DEFAULT_LIMITS)) {
+            limits[kind] = {};
+            for (const scope of SCOPES) {
+                limits[kind][scope] = process.env[`RATE_LIMIT_${kind.toUpperCase()}_${scope.toUpperCase()}`] || scopes[scope];
+            }
+        }
+        return limits;
+    }
+
+    /**
+     * Connect the bucket store, falling back to per-instance buckets if it is unavailable
+     */
+    async initialize() {
+        if (!this.enabled) {
+            log.warn('Rate limiting disabled (RATE_LIMIT_ENABLED=false)');
+            return;
+        }
+
+        try {
+            await this.store.initialize();
+        } catch (error) {
+            log.error('Rate limit store unavailable, limits apply per instance only', { backend: this.store.name, error: error.message });
+            this.store = new MemoryBucketStore();
+        }
+    }
+
+    /**
+     * Take `cost` tokens from each applicable bucket, stopping at the first one that is empty
+     * @param {string} kind - token | refresh | graph
+     * @param {Object} request
+     * @param {string} request.callerId - The API caller
+     * @param {string} request.userId - The target user
+     * @param {number} request.cost - Tokens to take, e.g. the number of users in a batch
+     * @param {string[]} request.scopes - Buckets to draw from, default caller, user and global
+     * @returns {Promise<Object>} { allowed, scope, limit, remaining, resetSec, retryAfterSec }
+     *   describing the rejecting bucket, or the one closest to empty when allowed
+     */
+    async consume(kind, { callerId, userId, cost = 1, scopes = SCOPES }) {
+        if (!this.enabled) return { allowed: true };
+
+        const ids = { caller: callerId, user: userId, global: 'all' };
+        let tightest = null;
+
+        for (const scope of scopes) {
+            const limit = this.limits[kind]?.[scope];
+            if (!limit || !ids[scope]) continue;
+
+            // A request larger than the whole bucket drains it rather than being rejected forever
+            const take = Math.min(cost, limit.capacity);
+            let bucket;
+            try {
+                bucket = await this.store.take(`${kind}:${scope}:${ids[scope]}`, take, limit);
+            } catch (error) {
+                log.warn('Rate limit check failed, allowing request', { kind, scope, error });
+                continue;
+            }
+
+            const decision = {
+                allowed: bucket.allowed,
+                scope: scope,
+                limit: limit.capacity,
+                remaining: Math.max(0, Math.floor(bucket.tokens)),
+                resetSec: Math.ceil((limit.capacity - bucket.tokens) / limit.refillPerSec),
+                retryAfterSec: bucket.allowed ? 0 : Math.ceil((take - bucket.tokens) / limit.refillPerSec)
+            };
+
+            if (!bucket.allowed) {
+                metrics.rateLimited.inc({ kind, scope });
+                log.info('Rate limit exceeded', { kind, scope, callerId, userId, cost, retryAfterSec: decision.retryAfterSec });
+                return decision;
+            }
+            if (!tightest || decision.remaining < tightest.remaining) {
+                tightest = decision;
+            }
+        }
+
+        return tightest || { allowed: true };
+    }
+
+    /**
+     * Route handler enforcing the limits for a kind of request.
+     * Usage: server.post('/api/...', requireScope(...), rateLimiter.limit('refresh'), handler)
+     * @param {string} kind - token | refresh | graph
+     * @param {Object} options
+     * @param {Function} options.cost - (req) => tokens to take, default 1
+     * @param {string[]} options.scopes - Buckets to draw from, default caller, user and global
+     */
+    limit(kind, options = {}) {
+        return (req, res, next) => {
+            this.consume(kind, {
+                callerId: req.caller?.id,
+                userId: req.params?.userId,
+                cost: options.cost ? options.cost(req) : 1,
+                scopes: options.scopes
+            }).then((decision) => {
+                setRateLimitHeaders(res, decision);
+                if (decision.allowed) {
+                    return next();
+                }
+
+                res.send(429, {
+                    success: false,
+                    error: 'Too many requests',
+                    message: `The ${decision.scope} rate limit for ${kind} requests is exhausted`,
+                    scope: decision.scope,
+                    retryAfter: decision.retryAfterSec,
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+                return next(false);
+            }).catch(next);
+        };
+    }
+
+    async healthCheck() {
+        return {
+            enabled: this.enabled,
+            backend: this.store.name,
+            shared: this.store.shared,
+            connected: this.enabled ? await this.store.healthCheck() : false
+        };
+    }
+
+    async close() {
+        await this.store.close();
+    }
+}
+
+/**
+ * Set RateLimit-Limit/Remaining/Reset (and Retry-After when rejected) from a decision
+ */
+function setRateLimitHeaders(res, decision) {
+    if (decision.limit === undefined) return;
+
+    res.header('RateLimit-Limit', String(decision.limit));
+    res.header('RateLimit-Remaining', String(decision.remaining));
+    res.header('RateLimit-Reset', String(decision.resetSec));
+    if (!decision.allowed) {
+        res.header('Retry-After', String(decision.retryAfterSec));
+    }
+}
+
+/**
+ * Parse "count/window" (e.g. 30/min, 5/10s, 1000/h) into a bucket size and refill rate
+ * @returns {Object|null} { capacity, refillPerSec }, or null for "off"
+ */
+function parseLimit(spec) {
+    if (!spec || spec === 'off') return null;
+
+    const match = /^\s*(\d+)\s*\/\s*(\d*)\s*(s|sec|m|min|h|hour)\s*$/.exec(spec);
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`[RateLimiter]: Invalid rate limit "${spec}", expected e.g. 30/min, 5/10s or off`);
+    }
+
+    const capacity = Number(match[1]);
+    const windowSec = (Number(match[2]) || 1) * WINDOW_SECONDS[match[3]];
+    return { capacity, refillPerSec: capacity / windowSec };
+}
+
+module.exports = { RateLimiter, setRateLimitHeaders, parseLimit };
@@ -1,8 +1,37 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
-const { Client } = require('@microsoft/microsoft-graph-client');
-const fetch = require('node-fetch');
+const { Client, CustomAuthenticationProvider, GraphError, MiddlewareFactory, ResponseType, RetryHandler } = require('@microsoft/microsoft-graph-client');
+const { logger } = require('./logging/logger');
+const { getCorrelationId, GRAPH_REQUEST_ID_HEADER } = require('./logging/correlation');
+const { recordGraphRequest, recordGraphThrottle, graphEndpoint } = require('./metrics');
+
+const log = logger.child({ component: 'SimpleGraphClient' });
+
+const DEFAULT_GRAPH_BASE_URL = 'https://graph.microsoft.com';
+
+const EVENT_SUMMARY_FIELDS = 'subject,start,end,organizer,location';
+
+const MESSAGE_SUMMARY_FIELDS = 'id,subject,from,receivedDateTime,isRead,importance,hasAttachments,bodyPreview,webLink';
+
+// Throttling and transient unavailability; Graph sends Retry-After with most of these
+const RETRY_STATUSES = [429, 503, 504];
+
+// Items a paging iterator yields when the caller sets no maxItems (GRAPH_PAGE_MAX_ITEMS)
+const DEFAULT_PAGE_MAX_ITEMS = parseInt(process.env.GRAPH_PAGE_MAX_ITEMS, 10) || 500;
+
+// Graph's limit on the requests in one JSON batch
+const MAX_BATCH_REQUESTS = 20;
+
+// Deliberately loose: Exchange does the real validation, this only catches typos before sending
+const EMAIL_ADDRESS = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+/**
+ * Graph root URL without a version; GRAPH_BASE_URL points the bot at a local stand-in
+ */
+function graphBaseUrl() {
+    return (process.env.GRAPH_BASE_URL || DEFAULT_GRAPH_BASE_URL).replace(/\/+$/, '');
+}
 
 /**
  * This class is a wrapper for the Microsoft Graph API.
@@ -12,20 +41,159 @@ class SimpleGraphClient {
     /**
      * Creates an instance of SimpleGraphClient.
      * @param {string} token - The token issued to the user.
+     * @param {Object} options
+     * @param {string} options.correlationId - Sent as client-request-id on every Graph request,
+     *   defaults to the correlation id of the current request or turn.
      */
-    constructor(token) {
+    constructor(token, options = {}) {
         if (!token || !token.trim()) {
             throw new Error('SimpleGraphClient: Invalid token received.');
         }
 
         this._token = token;
+        this.correlationId = options.correlationId || getCorrelationId();
 
         // Get an Authenticated Microsoft Graph client using the token issued to the user.
-        this.graphClient = Client.init({
-            authProvider: (done) => {
-                done(null, this._token); // First parameter takes an error if you can't get an access token.
-            }
+        // The default middleware chain is kept, with the SDK's retry handler swapped for GraphRetryHandler;
+        // metrics are recorded just before each HTTP call goes out.
+        const authProvider = new CustomAuthenticationProvider((done) => {
+            done(null, this._token); // First parameter takes an error if you can't get an access token.
         });
+        const middleware = MiddlewareFactory.getDefaultMiddlewareChain(authProvider);
+        middleware.splice(middleware.findIndex(handler => handler instanceof RetryHandler), 1, new GraphRetryHandler());
+        const baseUrl = graphBaseUrl();
+        if (baseUrl !== DEFAULT_GRAPH_BASE_URL) {
+            middleware.splice(middleware.length - 1, 0, new BaseUrlAuthenticationHandler(baseUrl, () => this._token, this.correlationId));
+        }
+        middleware.splice(middleware.length - 1, 0, new GraphMetricsHandler());
+        this.graphClient = Client.initWithMiddleware({ middleware, baseUrl });
+    }
+
+    /**
+     * Start a Graph request tagged with the correlation id
+     * @param {string} path - Graph API path, e.g. /me
+     */
+    request(path) {
+        const request = this.graphClient.api(path);
+        return this.correlationId ? request.header(GRAPH_REQUEST_ID_HEADER, this.correlationId) : request;
+    }
+
+    /**
+     * Send a request through unchanged and return Graph's response whatever its status, for the Graph proxy
+     * @param {string} method - GET | POST | PATCH | PUT | DELETE
+     * @param {string} path - Path with query string, without the version, e.g. /me/events?$top=5
+     * @param {Object} options
+     * @param {string} options.version - Graph API version, default v1.0
+     * @param {Object|string|Buffer} options.body - Request body for POST, PATCH and PUT
+     * @param {Object} options.headers - Extra request headers
+     * @returns {Promise<Response>} The raw fetch response; its body has not been read
+     */
+    async forward(method, path, options = {}) {
+        const request = this.request(path).version(options.version || 'v1.0').responseType(ResponseType.RAW);
+        for (const [name, value] of Object.entries(options.headers || {})) {
+            request.header(name, value);
+        }
+
+        switch (method) {
+            case 'GET':
+                return await request.get();
+            case 'POST':
+                return await request.post(options.body);
+            case 'PATCH':
+                return await request.patch(options.body);
+            case 'PUT':
+                return await request.put(options.body);
+            case 'DELETE':
+                return await request.delete();
+            default:
+                throw new Error(`SimpleGraphClient: Unsupported method ${method}`);
+        }
+    }
+
+    /**
+     * Start a JSON batch, to send up to 20 requests in one round trip
+     * @param {Object} options
+     * @param {string} options.version - Graph API version of the batch and all its requests, default v1.0
+     * @returns {GraphBatch} An empty batch
+     */
+    batch(options = {}) {
+        return new GraphBatch(this, options.version);
+    }
+
+    /**
+     * Collects what the bot shows right after sign-in with one batch instead of four round trips.
+     * Only a failure of /me fails the whole call; the other parts are null when Graph could not return them.
+     * @returns {Promise<Object>} { me, todaysEvents, upcomingEvents (next 10), photo (data URI) }
+     */
+    async getSignInSummary() {
+        const batch = this.batch();
+        const me = batch.get('/me');
+        const today = batch.get(graphUrl('/me/events', {
+            $select: EVENT_SUMMARY_FIELDS,
+            $filter: todaysEventsFilter(),
+            $orderby: 'start/dateTime',
+            $top: pageSize({})
+        }));
+        const upcoming = batch.get(graphUrl('/me/events', { $select: EVENT_SUMMARY_FIELDS, $orderby: 'start/dateTime', $top: 10 }));
+        const photo = batch.get('/me/photos/240x240/$value');
+
+        let results;
+        try {
+            results = await batch.send();
+        } catch (error) {
+            log.error('Error sending sign-in batch', error);
+            throw error;
+        }
+        if (results.get(me).error) {
+            log.error('Error getting user information', results.get(me).error);
+            throw results.get(me).error;
+        }
+
+        const summary = { me: results.get(me).body, todaysEvents: null, upcomingEvents: null, photo: null };
+        if (results.get(today).error) {
+            log.warn('Error fetching today\'s events', results.get(today).error);
+        } else {
+            // Only today's events can run past the first page
+            summary.todaysEvents = await collect(this.paginateFrom(results.get(today).body));
+        }
+        if (results.get(upcoming).error) {
+            log.warn('Error fetching calendar events', results.get(upcoming).error);
+        } else {
+            summary.upcomingEvents = results.get(upcoming).body.value;
+        }
+        if (results.get(photo).error) {
+            log.debug('No user photo', { status: results.get(photo).status });
+        } else {
+            // Graph base64 encodes binary bodies of batch responses
+            const contentType = results.get(photo).headers['Content-Type'] || 'image/jpeg';
+            summary.photo = `data:${contentType};base64,${results.get(photo).body}`;
+        }
+        return summary;
+    }
+
+    /**
+     * Gets the user's profile together with their manager, in one batch.
+     * @returns {Promise<Object>} { me, manager }; manager is null for users without one.
+     */
+    async getMeWithManager() {
+        const batch = this.batch();
+        const me = batch.get('/me');
+        const manager = batch.get(graphUrl('/me/manager', { $select: 'id,displayName,mail,userPrincipalName,jobTitle' }));
+
+        try {
+            const results = await batch.send();
+            if (results.get(me).error) throw results.get(me).error;
+
+            // 404 when no manager is set in the directory
+            const managerResult = results.get(manager);
+            if (managerResult.error && managerResult.status !== 404) {
+                log.warn('Error getting manager', managerResult.error);
+            }
+            return { me: results.get(me).body, manager: managerResult.error ? null : managerResult.body };
+        } catch (error) {
+            log.error('Error getting user information', error);
+            throw error;
+        }
     }
 
     /**
@@ -34,85 +202,388 @@ class SimpleGraphClient {
      */
     async getMe() {
         try {
-            const res = await this.graphClient.api('/me').get();
+            const res = await this.request('/me').get();
             return res;
         } catch (error) {
-            console.error('Error getting user information:', error);
+            log.error('Error getting user information', error);
             throw error;
         }
     }
 
     /**
      * Gets the user's photo.
-     * @param {string} token - The token issued to the user.
+     * @param {string} token - The token issued to the user (the client was created with it).
      * @returns {Promise<string>} The user's photo as a base64 encoded string.
      */
     async getPhotoAsync(token) {
-        const graphPhotoEndpoint = 'https://graph.microsoft.com/v1.0/me/photos/240x240/$value';
-        const graphRequestParams = {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'image/png',
-                'Authorization': `Bearer ${token}`
-            }
-        };
-
         try {
-            const response = await fetch(graphPhotoEndpoint, graphRequestParams);
-            if (!response.ok) {
-                console.error('Error fetching photo:', response);
-                throw new Error('Error fetching photo');
-            }
-
-            const imageBuffer = await response.arrayBuffer();
+            // Through the middleware chain like every other call, so throttled photo requests are retried and counted
+            const imageBuffer = await this.request('/me/photos/240x240/$value').responseType(ResponseType.ARRAYBUFFER).get();
             const imageUri = `data:image/png;base64,${Buffer.from(imageBuffer).toString('base64')}`;
             return imageUri;
         } catch (error) {
-            console.error('Error fetching photo:', error);
+            log.warn('Error fetching photo', error);
             throw error;
         }
     }
 
+    /**
+     * Iterates over every item of a Graph collection, fetching the next page from @odata.nextLink
+     * only when the previous one is used up.
+     * @param {GraphRequest} request - Request for the first page.
+     * @param {Object} options
+     * @param {number} options.maxItems - Stop after this many items (default GRAPH_PAGE_MAX_ITEMS, 500).
+     * @param {Object} options.headers - Headers the first request carries that later pages need too, e.g. Prefer.
+     * @returns {AsyncGenerator<Object>} The items.
+     */
+    async * paginate(request, options = {}) {
+        yield * this.paginateFrom(await request.get(), options);
+    }
+
+    /**
+     * Like paginate, starting from a first page already fetched, e.g. as part of a batch
+     * @param {Object} response - The first page, { value, '@odata.nextLink' }.
+     * @param {Object} options - { maxItems, headers }, see paginate.
+     * @returns {AsyncGenerator<Object>} The items.
+     */
+    async * paginateFrom(response, options = {}) {
+        const maxItems = options.maxItems ?? DEFAULT_PAGE_MAX_ITEMS;
+        let yielded = 0;
+
+        while (yielded < maxItems) {
+            for (const item of response.value || []) {
+                yield item;
+                if (++yielded >= maxItems) break;
+            }
+
+            const nextLink = response['@odata.nextLink'];
+            if (!nextLink) return;
+            if (yielded >= maxItems) {
+                log.debug('Graph paging stopped at maxItems', { maxItems, endpoint: graphEndpoint(nextLink) });
+                return;
+            }
+            response = await this.nextPageRequest(nextLink, options.headers).get();
+        }
+    }
+
+    /**
+     * Request for an @odata.nextLink, which is an absolute URL with the paging state in its query string
+     */
+    nextPageRequest(nextLink, headers = {}) {
+        const url = new URL(nextLink);
+        if (url.origin !== new URL(graphBaseUrl()).origin) {
+            throw new Error(`SimpleGraphClient: Refusing to follow @odata.nextLink to ${url.origin}`);
+        }
+
+        const [, version, ...segments] = url.pathname.split('/');
+        const request = this.request(`/${segments.join('/')}${url.search}`).version(version);
+        for (const [name, value] of Object.entries(headers)) {
+            request.header(name, value);
+        }
+        return request;
+    }
+
     /**
      * Gets the user's upcoming calendar events.
-     * @returns {Promise<Array>} The user's calendar events.
+     * @returns {Promise<Array>} The user's next 10 calendar events.
      */
     async getCalendarEvents() {
         try {
-            const response = await this.graphClient
-                .api('/me/events')
-                .select('subject,start,end,organizer,location')
-                .orderby('start/dateTime')
-                .top(10)
-                .get();
-            
-            return response.value;
+            return await collect(this.iterateCalendarEvents({ maxItems: 10 }));
         } catch (error) {
-            console.error('Error fetching calendar events:', error);
+            log.error('Error fetching calendar events', error);
             throw error;
         }
     }
 
+    /**
+     * Iterates over the user's calendar events by start time, across pages.
+     * @param {Object} options - { maxItems }, see paginate.
+     * @returns {AsyncGenerator<Object>} The events.
+     */
+    iterateCalendarEvents(options = {}) {
+        const request = this.request('/me/events')
+            .select(EVENT_SUMMARY_FIELDS)
+            .orderby('start/dateTime')
+            .top(pageSize(options));
+        return this.paginate(request, options);
+    }
+
     /**
      * Gets the user's calendar events for today.
      * @returns {Promise<Array>} Today's calendar events.
      */
     async getTodaysEvents() {
         try {
-            const today = new Date();
-            const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate()).toISOString();
-            const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).toISOString();
+            return await collect(this.iterateTodaysEvents());
+        } catch (error) {
+            log.error('Error fetching today\'s events', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Iterates over the user's calendar events for today, across pages.
+     * @param {Object} options - { maxItems }, see paginate.
+     * @returns {AsyncGenerator<Object>} The events.
+     */
+    iterateTodaysEvents(options = {}) {
+        const request = this.request('/me/events')
+            .select(EVENT_SUMMARY_FIELDS)
+            .filter(todaysEventsFilter())
+            .orderby('start/dateTime')
+            .top(pageSize(options));
+        return this.paginate(request, options);
+    }
+
+    /**
+     * Suggests meeting times when the user and the attendees are free, within the user's working hours.
+     * @param {Object} request
+     * @param {string[]} request.attendees - Attendee addresses; all of them must be free.
+     * @param {number} request.durationMinutes - Meeting length.
+     * @param {string} request.start - Start of the window, local wall time in timeZone (e.g. 2026-10-20T00:00:00).
+     * @param {string} request.end - End of the window, in the same form.
+     * @param {string} request.timeZone - Time zone of the window and of the returned suggestions.
+     * @param {number} request.maxCandidates - Optional. Maximum number of suggestions, default 5.
+     * @returns {Promise<Object>} { suggestions, emptySuggestionsReason }; each suggestion has
+     *   meetingTimeSlot.start and .end as { dateTime, timeZone }.
+     */
+    async findMeetingTimes(request) {
+        try {
+            const response = await this.request('/me/findMeetingTimes')
+                .header('Prefer', `outlook.timezone="${request.timeZone}"`)
+                .post({
+                    attendees: parseAddresses(request.attendees).map(address => ({ type: 'required', emailAddress: { address } })),
+                    timeConstraint: {
+                        activityDomain: 'work',
+                        timeSlots: [{
+                            start: { dateTime: request.start, timeZone: request.timeZone },
+                            end: { dateTime: request.end, timeZone: request.timeZone }
+                        }]
+                    },
+                    meetingDuration: `PT${request.durationMinutes}M`,
+                    maxCandidates: request.maxCandidates || 5,
+                    isOrganizerOptional: false,
+                    returnSuggestionReasons: true,
+                    minimumAttendeePercentage: 100
+                });
+
+            return {
+                suggestions: response.meetingTimeSuggestions || [],
+                emptySuggestionsReason: response.emptySuggestionsReason || null
+            };
+        } catch (error) {
+            log.error('Error finding meeting times', error);
+            throw error;
+        }
+    }
 
-            const response = await this.graphClient
-                .api('/me/events')
-                .select('subject,start,end,organizer,location')
-                .filter(`start/dateTime ge '${startOfDay}' and start/dateTime lt '${endOfDay}'`)
+    /**
+     * Creates an event on the user's calendar and invites the attendees.
+     * @param {Object} event
+     * @param {string} event.subject - The event subject.
+     * @param {Object} event.start - { dateTime, timeZone }, e.g. a findMeetingTimes suggestion's start.
+     * @param {Object} event.end - { dateTime, timeZone }.
+     * @param {string[]} event.attendees - Attendee addresses.
+     * @param {boolean} event.isOnlineMeeting - Add a Teams meeting link.
+     * @returns {Promise<Object>} The created event.
+     */
+    async createEvent(event) {
+        try {
+            const body = {
+                subject: event.subject,
+                start: event.start,
+                end: event.end,
+                attendees: parseAddresses(event.attendees).map(address => ({ type: 'required', emailAddress: { address } }))
+            };
+            if (event.isOnlineMeeting) {
+                body.isOnlineMeeting = true;
+                body.onlineMeetingProvider = 'teamsForBusiness';
+            }
+
+            return await this.request('/me/events').post(body);
+        } catch (error) {
+            log.error('Error creating event', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the user's upcoming events whose subject contains the given text (case-insensitive).
+     * @param {string} subject - Text to look for in the subject.
+     * @param {Object} options
+     * @param {number} options.days - How far ahead to look, default 30 days.
+     * @param {string} options.timeZone - Time zone of the returned start and end times, default UTC.
+     * @returns {Promise<Array>} Matching events that are not cancelled, soonest first, from the first
+     *   GRAPH_PAGE_MAX_ITEMS events of the period.
+     */
+    async findUpcomingEventsBySubject(subject, options = {}) {
+        try {
+            const now = new Date();
+            const until = new Date(now.getTime() + (options.days || 30) * 24 * 60 * 60 * 1000);
+            const headers = { Prefer: `outlook.timezone="${options.timeZone || 'UTC'}"` };
+            // calendarView expands recurring meetings into their occurrences; the subject is matched here
+            // because Graph cannot filter events with a case-insensitive contains
+            const request = this.request('/me/calendarView')
+                .headers(headers)
+                .query({ startDateTime: now.toISOString(), endDateTime: until.toISOString() })
+                .select('id,subject,start,end,attendees,isOrganizer,isCancelled,isOnlineMeeting')
                 .orderby('start/dateTime')
+                .top(100);
+
+            const text = subject.toLowerCase();
+            const matches = [];
+            for await (const event of this.paginate(request, { headers })) {
+                if (!event.isCancelled && (event.subject || '').toLowerCase().includes(text)) {
+                    matches.push(event);
+                }
+            }
+            return matches;
+        } catch (error) {
+            log.error('Error finding events by subject', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Moves an event the user organizes; attendees get an updated invitation.
+     * @param {string} eventId - The Graph event ID.
+     * @param {Object} start - { dateTime, timeZone }.
+     * @param {Object} end - { dateTime, timeZone }.
+     * @returns {Promise<Object>} The updated event.
+     */
+    async rescheduleEvent(eventId, start, end) {
+        try {
+            return await this.request(`/me/events/${encodeURIComponent(eventId)}`).patch({ start, end });
+        } catch (error) {
+            log.error('Error rescheduling event', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancels an event the user organizes and notifies the attendees.
+     * @param {string} eventId - The Graph event ID.
+     * @param {string} comment - Optional. Message sent to the attendees.
+     */
+    async cancelEvent(eventId, comment = '') {
+        try {
+            await this.request(`/me/events/${encodeURIComponent(eventId)}/cancel`).post({ comment });
+        } catch (error) {
+            log.error('Error cancelling event', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the user's unread inbox messages, newest first.
+     * @param {number} top - Maximum number of messages.
+     * @returns {Promise<Array>} The unread messages.
+     */
+    async getUnreadMessages(top = 10) {
+        try {
+            return await collect(this.iterateUnreadMessages({ maxItems: top }));
+        } catch (error) {
+            log.error('Error fetching unread messages', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Iterates over the user's unread inbox messages, newest first, across pages.
+     * @param {Object} options - { maxItems }, see paginate.
+     * @returns {AsyncGenerator<Object>} The messages.
+     */
+    iterateUnreadMessages(options = {}) {
+        // Graph rejects $orderby together with this $filter; messages come newest first by default
+        const request = this.request('/me/mailFolders/inbox/messages')
+            .select(MESSAGE_SUMMARY_FIELDS)
+            .filter('isRead eq false')
+            .top(pageSize(options));
+        return this.paginate(request, options);
+    }
+
+    /**
+     * Gets the user's most recent inbox messages, read or not.
+     * @param {number} top - Maximum number of messages.
+     * @returns {Promise<Array>} The recent messages.
+     */
+    async getRecentMessages(top = 10) {
+        try {
+            return await collect(this.iterateRecentMessages({ maxItems: top }));
+        } catch (error) {
+            log.error('Error fetching recent messages', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Iterates over the user's inbox messages, newest first, across pages.
+     * @param {Object} options - { maxItems }, see paginate.
+     * @returns {AsyncGenerator<Object>} The messages.
+     */
+    iterateRecentMessages(options = {}) {
+        const request = this.request('/me/mailFolders/inbox/messages')
+            .select(MESSAGE_SUMMARY_FIELDS)
+            .orderby('receivedDateTime desc')
+            .top(pageSize(options));
+        return this.paginate(request, options);
+    }
+
+    /**
+     * Gets one message with its body.
+     * @param {string} messageId - The Graph message ID.
+     * @returns {Promise<Object>} The message.
+     */
+    async getMessage(messageId) {
+        try {
+            return await this.request(`/me/messages/${encodeURIComponent(messageId)}`)
+                .select(`${MESSAGE_SUMMARY_FIELDS},toRecipients,ccRecipients,body`)
                 .get();
-            
-            return response.value;
         } catch (error) {
-            console.error('Error fetching today\'s events:', error);
+            log.error('Error fetching message', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sends mail as the user; a copy is saved to their Sent Items.
+     * @param {Object} mail
+     * @param {string|string[]} mail.to - Recipient addresses, see parseAddresses.
+     * @param {string|string[]} mail.cc - Optional. Cc addresses.
+     * @param {string} mail.subject - The subject line.
+     * @param {string} mail.body - The message body.
+     * @param {string} mail.contentType - Optional. Text (default) or HTML.
+     */
+    async sendMail(mail) {
+        try {
+            await this.request('/me/sendMail').post({
+                message: {
+                    subject: mail.subject,
+                    body: { contentType: mail.contentType || 'Text', content: mail.body },
+                    toRecipients: recipients(parseAddresses(mail.to)),
+                    ccRecipients: recipients(parseAddresses(mail.cc))
+                },
+                saveToSentItems: true
+            });
+        } catch (error) {
+            log.error('Error sending mail', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replies to a message as the user.
+     * @param {string} messageId - The Graph message ID.
+     * @param {string} comment - The reply text, placed above the quoted message.
+     * @param {boolean} replyAll - Reply to every recipient instead of just the sender.
+     */
+    async replyToMessage(messageId, comment, replyAll = false) {
+        try {
+            const action = replyAll ? 'replyAll' : 'reply';
+            await this.request(`/me/messages/${encodeURIComponent(messageId)}/${action}`).post({ comment });
+        } catch (error) {
+            log.error('Error replying to message', error);
             throw error;
         }
     }
@@ -126,7 +597,7 @@ class SimpleGraphClient {
             await this.getMe();
             return true;
         } catch (error) {
-            console.error('Token validation failed:', error);
+            log.warn('Token validation failed', error);
             return false;
         }
     }
@@ -139,14 +610,333 @@ class SimpleGraphClient {
         return {
             tokenLength: this._token ? this._token.length : 0,
             tokenPreview: this._token ? this._token.substring(0, 20) + '...' : 'No token',
-            endpoints: {
-                graph: 'https://graph.microsoft.com/v1.0',
-                authority: `https://login.microsoftonline.com/${process.env.MicrosoftAppTenantId || 'common'}`,
-                tokenEndpoint: `https://login.microsoftonline.com/${process.env.MicrosoftAppTenantId || 'common'}/oauth2/v2.0/token`,
-                authEndpoint: `https://login.microsoftonline.com/${process.env.MicrosoftAppTenantId || 'common'}/oauth2/v2.0/authorize`
-            }
+            endpoints: SimpleGraphClient.getEndpoints()
         };
     }
+
+    /**
+     * Gets the Graph and Entra endpoints the bot talks to.
+     * AAD_TOKEN_ENDPOINT overrides the token endpoint (e.g. to point at a local stand-in).
+     * @param {string} tenantId - Tenant to use instead of MicrosoftAppTenantId (e.g. the user's tenant for a multi-tenant app).
+     * @returns {Object} Endpoint URLs.
+     */
+    static getEndpoints(tenantId = process.env.MicrosoftAppTenantId || 'common') {
+        const authority = `https://login.microsoftonline.com/${tenantId}`;
+        return {
+            graph: `${graphBaseUrl()}/v1.0`,
+            authority: authority,
+            tokenEndpoint: process.env.AAD_TOKEN_ENDPOINT || `${authority}/oauth2/v2.0/token`,
+            authEndpoint: `${authority}/oauth2/v2.0/authorize`
+        };
+    }
+}
+
+/**
+ * Page size ($top) for a paged list: no more than the caller wants, and at most 100 per page
+ */
+function pageSize(options) {
+    return Math.min(options.maxItems ?? DEFAULT_PAGE_MAX_ITEMS, 100);
+}
+
+/**
+ * $filter for events starting today, in the server's time zone
+ */
+function todaysEventsFilter() {
+    const today = new Date();
+    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate()).toISOString();
+    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).toISOString();
+    return `start/dateTime ge '${startOfDay}' and start/dateTime lt '${endOfDay}'`;
+}
+
+/**
+ * Relative URL with OData query options, for requests that do not go through GraphRequest, e.g. batch items
+ */
+function graphUrl(path, query) {
+    const params = Object.entries(query).map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+    return `${path}?${params.join('&')}`;
+}
+
+/**
+ * Gather the items of a paging iterator into an array
+ */
+async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Split a comma or semicolon separated list (or an array) into trimmed addresses
+ * @param {string|string[]} value - e.g. "ann@contoso.com; bob@contoso.com"
+ * @returns {string[]} The addresses, possibly empty
+ */
+function parseAddresses(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Check a list of recipients or attendees
+ * @param {string|string[]} value - Addresses, see parseAddresses
+ * @returns {string|null} What is wrong with them, or null if they look deliverable
+ */
+function validateAddresses(value) {
+    const addresses = parseAddresses(value);
+    if (addresses.length === 0) return 'At least one email address is required';
+    const invalid = addresses.filter(address => !EMAIL_ADDRESS.test(address));
+    if (invalid.length > 0) return `Invalid email address: ${invalid.join(', ')}`;
+    if (addresses.length > 100) return 'At most 100 email addresses are allowed';
+    return null;
+}
+
+/**
+ * Check mail before sending it with sendMail
+ * @param {Object} mail - { to, cc, subject, body, contentType }
+ * @returns {string|null} What is wrong with it, or null if it can be sent
+ */
+function validateMail(mail) {
+    const to = parseAddresses(mail?.to);
+    if (to.length === 0) return 'At least one recipient (to) is required';
+    const invalid = validateAddresses([...to, ...parseAddresses(mail.cc)]);
+    if (invalid) return invalid;
+    if (typeof mail.subject !== 'string' || !mail.subject.trim()) return 'A subject is required';
+    if (typeof mail.body !== 'string') return 'A body is required';
+    if (mail.contentType && !['text', 'html'].includes(String(mail.contentType).toLowerCase())) {
+        return 'contentType must be Text or HTML';
+    }
+    return null;
+}
+
+/**
+ * Graph recipient objects for a list of addresses
+ */
+function recipients(addresses = []) {
+    return addresses.map(address => ({ emailAddress: { address } }));
+}
+
+/**
+ * Graph requests queued up and sent together as one JSON batch (POST /$batch), see SimpleGraphClient.batch().
+ * Graph may run the requests in any order unless one lists others in dependsOn, and answers each separately:
+ * a failed request does not fail the batch, and a request whose dependency failed gets 424 Failed Dependency.
+ * Throttled requests inside a batch come back as 429 results; only the batch call itself is retried.
+ */
+class GraphBatch {
+    constructor(client, version = 'v1.0') {
+        this.client = client;
+        this.version = version;
+        this.requests = [];
+    }
+
+    /**
+     * Queue a request
+     * @param {string} method - GET | POST | PATCH | PUT | DELETE
+     * @param {string} url - Path with query string, without the version, e.g. /me/events?$top=5
+     * @param {Object} options
+     * @param {Object} options.body - JSON request body
+     * @param {Object} options.headers - Extra request headers
+     * @param {string[]} options.dependsOn - Ids of queued requests that have to succeed before this one runs
+     * @returns {string} The request's id, to look up its result
+     */
+    add(method, url, options = {}) {
+        if (this.requests.length >= MAX_BATCH_REQUESTS) {
+            throw new Error(`SimpleGraphClient: A batch holds at most ${MAX_BATCH_REQUESTS} requests`);
+        }
+        const dependsOn = options.dependsOn || [];
+        const unknown = dependsOn.find(id => !this.requests.some(request => request.id === id));
+        if (unknown) {
+            throw new Error(`SimpleGraphClient: Batch request depends on unknown request ${unknown}`);
+        }
+
+        const request = { id: String(this.requests.length + 1), method, url };
+        if (dependsOn.length > 0) {
+            request.dependsOn = dependsOn;
+        }
+        if (options.body !== undefined) {
+            request.body = options.body;
+            request.headers = { 'Content-Type': 'application/json', ...options.headers };
+        } else if (options.headers) {
+            request.headers = options.headers;
+        }
+        this.requests.push(request);
+        return request.id;
+    }
+
+    /**
+     * Queue a GET request
+     * @param {string} url - Path with query string, without the version
+     * @param {Object} options - { headers, dependsOn }, see add
+     * @returns {string} The request's id
+     */
+    get(url, options = {}) {
+        return this.add('GET', url, options);
+    }
+
+    /**
+     * Send the queued requests. Throws only when the batch call itself fails.
+     * @returns {Promise<Map>} Result of each request by id: { status, headers, body, error }, where error
+     *   is a GraphError for statuses of 400 and above
+     */
+    async send() {
+        const results = new Map();
+        if (this.requests.length === 0) {
+            return results;
+        }
+
+        const response = await this.client.request('/$batch').version(this.version).post({ requests: this.requests });
+        for (const item of response.responses || []) {
+            results.set(item.id, batchResult(item));
+        }
+
+        const failed = [...results.values()].filter(result => result.error).length;
+        log.debug('Graph batch sent', { requests: this.requests.length, failed });
+        return results;
+    }
+}
+
+/**
+ * Result of one request in a batch response
+ */
+function batchResult(item) {
+    const result = { status: item.status, headers: item.headers || {}, body: item.body };
+    if (item.status >= 400) {
+        const error = new GraphError(item.status, item.body?.error?.message || `Graph returned ${item.status}`);
+        error.code = item.body?.error?.code || null;
+        result.error = error;
+    }
+    return result;
+}
+
+/**
+ * Graph client middleware authenticating requests to an overridden GRAPH_BASE_URL.
+ * The SDK only sends the token and client-request-id to Graph's own hosts (and to custom hosts
+ * over https), so a local stand-in would get neither; this adds them back for URLs under the base URL.
+ */
+class BaseUrlAuthenticationHandler {
+    constructor(baseUrl, getToken, correlationId) {
+        this.baseUrl = baseUrl;
+        this.getToken = getToken;
+        this.correlationId = correlationId;
+    }
+
+    setNext(next) {
+        this.nextMiddleware = next;
+    }
+
+    async execute(context) {
+        const url = typeof context.request === 'string' ? context.request : context.request.url;
+        if (url.startsWith(`${this.baseUrl}/`)) {
+            context.options.headers = { ...context.options.headers, Authorization: `Bearer ${this.getToken()}` };
+            if (this.correlationId) {
+                context.options.headers[GRAPH_REQUEST_ID_HEADER] = this.correlationId;
+            }
+        }
+        await this.nextMiddleware.execute(context);
+    }
+}
+
+/**
+ * Graph client middleware retrying throttled (429) and unavailable (503, 504) responses.
+ *
+ * The wait is Graph's Retry-After when it sends one, otherwise exponential backoff from
+ * GRAPH_RETRY_BASE_MS (default 1000): between half and all of base*2^(retry-1), capped at
+ * GRAPH_RETRY_MAX_DELAY_MS (default 30000). A request is retried at most GRAPH_MAX_RETRIES times
+ * (default 3) and never past GRAPH_RETRY_BUDGET_MS (default 60000) after it was first sent: when
+ * the next wait would overrun the budget the throttled response is returned as is. Requests with
+ * a streamed body cannot be replayed and are not retried.
+ */
+class GraphRetryHandler {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? envInt('GRAPH_MAX_RETRIES', 3);
+        this.baseDelayMs = options.baseDelayMs ?? envInt('GRAPH_RETRY_BASE_MS', 1000);
+        this.maxDelayMs = options.maxDelayMs ?? envInt('GRAPH_RETRY_MAX_DELAY_MS', 30000);
+        this.budgetMs = options.budgetMs ?? envInt('GRAPH_RETRY_BUDGET_MS', 60000);
+    }
+
+    setNext(next) {
+        this.nextMiddleware = next;
+    }
+
+    async execute(context) {
+        const url = typeof context.request === 'string' ? context.request : context.request.url;
+        const startedAt = Date.now();
+
+        for (let retry = 1; ; retry++) {
+            await this.nextMiddleware.execute(context);
+
+            const status = context.response?.status;
+            if (!RETRY_STATUSES.includes(status)) return;
+
+            const endpoint = graphEndpoint(url);
+            const delayMs = this.retryDelay(context.response, retry);
+            const remainingMs = this.budgetMs - (Date.now() - startedAt);
+            if (retry > this.maxRetries || delayMs > remainingMs || !isReplayable(context.options.body)) {
+                recordGraphThrottle(endpoint, status, 'exhausted');
+                log.warn('Graph request throttled, giving up', { endpoint, status, retries: retry - 1, retryAfterMs: delayMs });
+                return;
+            }
+
+            recordGraphThrottle(endpoint, status, 'retried', delayMs);
+            log.warn('Graph request throttled, retrying', { endpoint, status, retry, delayMs });
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            context.options.headers = { ...context.options.headers, 'Retry-Attempt': String(retry) };
+        }
+    }
+
+    /**
+     * Milliseconds to wait before a retry: Retry-After (seconds or an HTTP date) or jittered backoff
+     */
+    retryDelay(response, retry) {
+        const retryAfter = response.headers?.get('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (Number.isFinite(delayMs)) return Math.max(delayMs, 0);
+        }
+
+        const exponential = Math.min(this.baseDelayMs * 2 ** (retry - 1), this.maxDelayMs);
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+}
+
+/**
+ * Whether a request body can be sent again: streams are consumed by the first attempt
+ */
+function isReplayable(body) {
+    return body === undefined || body === null || typeof body === 'string' || Buffer.isBuffer(body) ||
+        body instanceof ArrayBuffer || ArrayBuffer.isView(body) || body instanceof URLSearchParams;
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Graph client middleware counting requests by endpoint and status code.
+ * Sits after the retry handler, so every attempt is counted with its own status.
+ */
+class GraphMetricsHandler {
+    setNext(next) {
+        this.nextMiddleware = next;
+    }
+
+    async execute(context) {
+        const url = typeof context.request === 'string' ? context.request : context.request.url;
+        const startedAt = Date.now();
+        try {
+            await this.nextMiddleware.execute(context);
+            recordGraphRequest(graphEndpoint(url), context.response?.status ?? 'error', Date.now() - startedAt);
+        } catch (error) {
+            recordGraphRequest(graphEndpoint(url), 'error', Date.now() - startedAt);
+            throw error;
+        }
+    }
 }
 
-module.exports.SimpleGraphClient = SimpleGraphClient;
\ No newline at end of file
+module.exports.SimpleGraphClient = SimpleGraphClient;
+module.exports.graphBaseUrl = graphBaseUrl;
+module.exports.parseAddresses = parseAddresses;
+module.exports.validateAddresses = validateAddresses;
+module.exports.validateMail = validateMail;
\ No newline at end of file
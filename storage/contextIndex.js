@@ -0,0 +1,67 @@
+// contextIndex.js
+
+/**
+ * Directory identifiers user contexts can be looked up by besides the Bot Framework user ID
+ */
+const INDEXED_FIELDS = ['aadObjectId', 'userPrincipalName', 'email'];
+
+/**
+ * Secondary indexes over user contexts for the backends that keep contexts in a Map.
+ * Values are matched case-insensitively (UPNs and emails are, and object ids are GUIDs).
+ * A value can map to several users, e.g. one person reaching the bot on two channels.
+ */
+class ContextIndex {
+    constructor() {
+        this.indexes = new Map(INDEXED_FIELDS.map(field => [field, new Map()]));
+    }
+
+    /**
+     * Index a context (call remove() first with its previous version)
+     */
+    add(context) {
+        for (const [field, index] of this.indexes) {
+            const key = indexKey(context?.[field]);
+            if (!key) continue;
+
+            if (!index.has(key)) {
+                index.set(key, new Set());
+            }
+            index.get(key).add(context.userId);
+        }
+    }
+
+    remove(context) {
+        for (const [field, index] of this.indexes) {
+            const key = indexKey(context?.[field]);
+            const userIds = key && index.get(key);
+            if (!userIds) continue;
+
+            userIds.delete(context.userId);
+            if (userIds.size === 0) {
+                index.delete(key);
+            }
+        }
+    }
+
+    /**
+     * @param {string} field - One of INDEXED_FIELDS
+     * @param {string} value - The identifier to look up
+     * @returns {string[]} User IDs whose context has that value
+     */
+    find(field, value) {
+        const key = indexKey(value);
+        return Array.from((key && this.indexes.get(field)?.get(key)) || []);
+    }
+
+    clear() {
+        for (const index of this.indexes.values()) {
+            index.clear();
+        }
+    }
+}
+
+function indexKey(value) {
+    return typeof value === 'string' && value ? value.toLowerCase() : null;
+}
+
+module.exports = { ContextIndex, INDEXED_FIELDS };
@@ -0,0 +1,102 @@
+// contextStoreBackend.js
+
+/**
+ * Interface for user context storage backends.
+ * Backends persist one document per userId holding the conversation reference and
+ * whatever additional data the bot records about the user (token status, timestamps, ...).
+ * Implementations must override every method below.
+ */
+class ContextStoreBackend {
+    /**
+     * @param {string} name - Backend name reported by health checks
+     * @param {boolean} durable - Whether stored contexts survive a process restart
+     */
+    constructor(name, durable) {
+        this.name = name;
+        this.durable = durable;
+    }
+
+    /**
+     * Prepare the backend for use (open connections, load files, ...)
+     */
+    async initialize() {
+        throw new Error(`${this.name}: initialize() not implemented`);
+    }
+
+    /**
+     * Store user context (conversation reference and other data).
+     * createdAt is set on first insert and never overwritten.
+     * @param {string} userId - The user ID
+     * @param {Object} conversationReference - The conversation reference
+     * @param {Object} additionalData - Any additional context data
+     * @returns {Promise<boolean>} True if the context was stored
+     */
+    async storeUserContext(userId, conversationReference, additionalData = {}) {
+        throw new Error(`${this.name}: storeUserContext() not implemented`);
+    }
+
+    /**
+     * Retrieve user context by user ID
+     * @param {string} userId - The user ID
+     * @returns {Promise<Object|null>} The user context or null if not found
+     */
+    async getUserContext(userId) {
+        throw new Error(`${this.name}: getUserContext() not implemented`);
+    }
+
+    /**
+     * Update user context
+     * @param {string} userId - The user ID
+     * @param {Object} updateData - Data to update
+     * @returns {Promise<boolean>} True if the context exists
+     */
+    async updateUserContext(userId, updateData) {
+        throw new Error(`${this.name}: updateUserContext() not implemented`);
+    }
+
+    /**
+     * Remove user context
+     * @param {string} userId - The user ID
+     * @returns {Promise<boolean>} True if a context was removed
+     */
+    async removeUserContext(userId) {
+        throw new Error(`${this.name}: removeUserContext() not implemented`);
+    }
+
+    /**
+     * Find user contexts by a directory identifier, ignoring case
+     * @param {string} field - aadObjectId | userPrincipalName | email
+     * @param {string} value - The identifier to look up
+     * @param {number} limit - Maximum number of contexts to return
+     * @returns {Promise<Object[]>} Matching user contexts
+     */
+    async findUserContexts(field, value, limit = 10) {
+        throw new Error(`${this.name}: findUserContexts() not implemented`);
+    }
+
+    /**
+     * Get all users with stored contexts (for admin purposes)
+     * @param {number} limit - Maximum number of records to return
+     * @returns {Promise<Array<{userId: string, lastUpdated: Date, createdAt: Date}>>}
+     */
+    async getAllUserContexts(limit = 100) {
+        throw new Error(`${this.name}: getAllUserContexts() not implemented`);
+    }
+
+    /**
+     * Health check
+     * @returns {Promise<boolean>} True if the backend is usable
+     */
+    async healthCheck() {
+        throw new Error(`${this.name}: healthCheck() not implemented`);
+    }
+
+    /**
+     * Release any resources held by the backend
+     */
+    async close() {
+        throw new Error(`${this.name}: close() not implemented`);
+    }
+}
+
+module.exports = { ContextStoreBackend };
@@ -0,0 +1,275 @@
+// fileContextStore.js
+const fs = require('fs');
+const path = require('path');
+const { ContextStoreBackend } = require('./contextStoreBackend');
+const { ContextIndex } = require('./contextIndex');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'FileContextStore' });
+
+const SNAPSHOT_FILE = 'contexts.json';
+const LOG_FILE = 'contexts.log';
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * File-backed context store backend with no external dependencies.
+ *
+ * State lives in a JSON snapshot plus an append-only log of JSON lines. Every write appends
+ * the full resulting document (or a removal) to the log, so replaying the log over the
+ * snapshot is idempotent. Once the log grows past the compaction threshold a new snapshot is
+ * written to a temporary file, fsynced and renamed over the old one, then the log is truncated.
+ * A torn last line left behind by a crash is skipped on load.
+ */
+class FileContextStore extends ContextStoreBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory holding the snapshot and log files
+     * @param {number} options.compactThreshold - Log entries after which the log is compacted
+     */
+    constructor(options = {}) {
+        super('file', true);
+        this.directory = options.directory ||
+            process.env.CONTEXT_STORE_DIR ||
+            path.join(__dirname, '..', '.data');
+        this.compactThreshold = options.compactThreshold ||
+            parseInt(process.env.CONTEXT_STORE_COMPACT_THRESHOLD, 10) || 500;
+        this.snapshotPath = path.join(this.directory, SNAPSHOT_FILE);
+        this.logPath = path.join(this.directory, LOG_FILE);
+        this.contexts = new Map();
+        this.index = new ContextIndex();
+        this.logEntries = 0;
+        this.writeQueue = Promise.resolve();
+        this.isReady = false;
+    }
+
+    /**
+     * Load the snapshot and replay the append log
+     */
+    async initialize() {
+        try {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+
+            const snapshot = await this.readFileIfExists(this.snapshotPath);
+            if (snapshot) {
+                for (const context of JSON.parse(snapshot)) {
+                    this.applyEntry({ op: 'set', userId: context.userId, context });
+                }
+            }
+
+            const logText = await this.readFileIfExists(this.logPath);
+            if (logText) {
+                for (const line of logText.split('\n')) {
+                    if (!line.trim()) continue;
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch (parseError) {
+                        log.warn('Skipping unreadable context log entry', { logPath: this.logPath });
+                        continue;
+                    }
+                    this.applyEntry(entry);
+                    this.logEntries++;
+                }
+            }
+
+            this.isReady = true;
+            log.info('File context store loaded', { contexts: this.contexts.size, directory: this.directory });
+        } catch (error) {
+            log.error('File context store initialization failed', error);
+            throw error;
+        }
+    }
+
+    async storeUserContext(userId, conversationReference, additionalData = {}) {
+        if (!this.isReady) {
+            throw new Error('File context store not initialized');
+        }
+
+        try {
+            await this.write(() => {
+                const now = new Date();
+                const existing = this.contexts.get(userId);
+                const context = {
+                    ...existing,
+                    userId,
+                    conversationReference,
+                    ...additionalData,
+                    lastUpdated: now,
+                    createdAt: existing ? existing.createdAt : now
+                };
+                return { op: 'set', userId, context };
+            });
+            return true;
+        } catch (error) {
+            log.error('Failed to store context', { userId, error });
+            return false;
+        }
+    }
+
+    async getUserContext(userId) {
+        if (!this.isReady) {
+            throw new Error('File context store not initialized');
+        }
+
+        const context = this.contexts.get(userId);
+        return context ? { ...context } : null;
+    }
+
+    async updateUserContext(userId, updateData) {
+        if (!this.isReady) {
+            throw new Error('File context store not initialized');
+        }
+
+        try {
+            return await this.write(() => {
+                const existing = this.contexts.get(userId);
+                if (!existing) return null;
+
+                const context = { ...existing, ...updateData, lastUpdated: new Date() };
+                return { op: 'set', userId, context };
+            });
+        } catch (error) {
+            log.error('Failed to update context', { userId, error });
+            return false;
+        }
+    }
+
+    async removeUserContext(userId) {
+        if (!this.isReady) {
+            throw new Error('File context store not initialized');
+        }
+
+        try {
+            return await this.write(() => (this.contexts.has(userId) ? { op: 'remove', userId } : null));
+        } catch (error) {
+            log.error('Failed to remove context', { userId, error });
+            return false;
+        }
+    }
+
+    async findUserContexts(field, value, limit = 10) {
+        if (!this.isReady) {
+            throw new Error('File context store not initialized');
+        }
+
+        return this.index.find(field, value)
+            .slice(0, limit)
+            .map(userId => ({ ...this.contexts.get(userId) }));
+    }
+
+    async getAllUserContexts(limit = 100) {
+        if (!this.isReady) {
+            throw new Error('File context store not initialized');
+        }
+
+        return Array.from(this.contexts.values())
+            .slice(0, limit)
+            .map(({ userId, lastUpdated, createdAt }) => ({ userId, lastUpdated, createdAt }));
+    }
+
+    async healthCheck() {
+        if (!this.isReady) return false;
+        try {
+            await fs.promises.access(this.directory, fs.constants.W_OK);
+            return true;
+        } catch (error) {
+            log.error('File context store health check failed', error);
+            return false;
+        }
+    }
+
+    async close() {
+        if (!this.isReady) return;
+
+        await this.writeQueue;
+        if (this.logEntries > 0) {
+            await this.enqueue(() => this.compact());
+        }
+        this.isReady = false;
+        log.info('File context store closed');
+    }
+
+    /**
+     * Append an entry to the log, then apply it in memory.
+     * Writes are serialized so log order always matches in-memory order. The entry is built by
+     * `makeEntry` once the previous write has been applied, so a merge never starts from a stale copy.
+     * @param {Function} makeEntry - Returns the entry to write, or null to write nothing
+     * @returns {Promise<boolean>} Whether an entry was written
+     */
+    async write(makeEntry) {
+        return await this.enqueue(async () => {
+            const entry = makeEntry();
+            if (!entry) return false;
+
+            await fs.promises.appendFile(this.logPath, JSON.stringify(entry) + '\n', 'utf8');
+            this.applyEntry(entry);
+            this.logEntries++;
+
+            if (this.logEntries >= this.compactThreshold) {
+                await this.compact();
+            }
+            return true;
+        });
+    }
+
+    enqueue(task) {
+        const result = this.writeQueue.then(task);
+        // Keep the queue alive after a failed write; the caller still sees the error
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    applyEntry(entry) {
+        this.index.remove(this.contexts.get(entry.userId));
+        if (entry.op === 'set') {
+            const context = reviveDates(entry.context);
+            this.contexts.set(entry.userId, context);
+            this.index.add(context);
+        } else if (entry.op === 'remove') {
+            this.contexts.delete(entry.userId);
+        }
+    }
+
+    /**
+     * Atomically replace the snapshot with the current state and truncate the log
+     */
+    async compact() {
+        const tempPath = `${this.snapshotPath}.${process.pid}.tmp`;
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(Array.from(this.contexts.values())), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.promises.rename(tempPath, this.snapshotPath);
+        await fs.promises.truncate(this.logPath, 0);
+        this.logEntries = 0;
+    }
+
+    async readFileIfExists(filePath) {
+        try {
+            return await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * JSON has no Date type; turn top-level ISO timestamps back into Dates so the
+ * file backend returns the same shapes as the MongoDB backend.
+ */
+function reviveDates(context) {
+    const revived = { ...context };
+    for (const [key, value] of Object.entries(revived)) {
+        if (typeof value === 'string' && ISO_DATE.test(value)) {
+            revived[key] = new Date(value);
+        }
+    }
+    return revived;
+}
+
+module.exports = { FileContextStore };
@@ -0,0 +1,36 @@
+// index.js - context store backend selection
+const { ContextStoreBackend } = require('./contextStoreBackend');
+const { MemoryContextStore } = require('./memoryContextStore');
+const { FileContextStore } = require('./fileContextStore');
+const { MongoContextStore } = require('./mongoContextStore');
+
+const BACKENDS = {
+    memory: () => new MemoryContextStore(),
+    file: () => new FileContextStore(),
+    mongodb: () => new MongoContextStore()
+};
+
+/**
+ * Create the context store backend named by CONTEXT_STORE_BACKEND (memory | file | mongodb).
+ * Defaults to mongodb when MONGODB_CONNECTION_STRING is set, otherwise to the file backend.
+ * @param {string} backendName - Overrides the environment variable
+ * @returns {ContextStoreBackend}
+ */
+function createContextStore(backendName = process.env.CONTEXT_STORE_BACKEND) {
+    const name = (backendName || (process.env.MONGODB_CONNECTION_STRING ? 'mongodb' : 'file')).toLowerCase();
+    const factory = BACKENDS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown context store backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return factory();
+}
+
+module.exports = {
+    createContextStore,
+    ContextStoreBackend,
+    MemoryContextStore,
+    FileContextStore,
+    MongoContextStore
+};
@@ -0,0 +1,84 @@
+// memoryContextStore.js
+const { ContextStoreBackend } = require('./contextStoreBackend');
+const { ContextIndex } = require('./contextIndex');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'MemoryContextStore' });
+
+/**
+ * In-memory context store backend.
+ * Nothing survives a restart; intended for tests and throwaway local runs.
+ */
+class MemoryContextStore extends ContextStoreBackend {
+    constructor() {
+        super('memory', false);
+        this.contexts = new Map();
+        this.index = new ContextIndex();
+    }
+
+    async initialize() {
+        log.info('In-memory context store ready');
+    }
+
+    async storeUserContext(userId, conversationReference, additionalData = {}) {
+        const now = new Date();
+        const existing = this.contexts.get(userId);
+
+        this.put(existing, {
+            ...existing,
+            userId,
+            conversationReference,
+            ...additionalData,
+            lastUpdated: now,
+            createdAt: existing ? existing.createdAt : now
+        });
+        return true;
+    }
+
+    async getUserContext(userId) {
+        const context = this.contexts.get(userId);
+        return context ? { ...context } : null;
+    }
+
+    async updateUserContext(userId, updateData) {
+        const existing = this.contexts.get(userId);
+        if (!existing) return false;
+
+        this.put(existing, { ...existing, ...updateData, lastUpdated: new Date() });
+        return true;
+    }
+
+    async removeUserContext(userId) {
+        this.index.remove(this.contexts.get(userId));
+        return this.contexts.delete(userId);
+    }
+
+    async findUserContexts(field, value, limit = 10) {
+        return this.index.find(field, value)
+            .slice(0, limit)
+            .map(userId => ({ ...this.contexts.get(userId) }));
+    }
+
+    async getAllUserContexts(limit = 100) {
+        return Array.from(this.contexts.values())
+            .slice(0, limit)
+            .map(({ userId, lastUpdated, createdAt }) => ({ userId, lastUpdated, createdAt }));
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    async close() {
+        this.contexts.clear();
+        this.index.clear();
+    }
+
+    put(existing, context) {
+        this.index.remove(existing);
+        this.contexts.set(context.userId, context);
+        this.index.add(context);
+    }
+}
+
+module.exports = { MemoryContextStore };
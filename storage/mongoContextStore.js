@@ -1,8 +1,19 @@
-// contextStorage.js
+// mongoContextStore.js
 const { MongoClient } = require('mongodb');
+const { ContextStoreBackend } = require('./contextStoreBackend');
+const { INDEXED_FIELDS } = require('./contextIndex');
+const { logger } = require('../logging/logger');
 
-class ContextStorage {
+const log = logger.child({ component: 'MongoContextStore' });
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+/**
+ * MongoDB context store backend
+ */
+class MongoContextStore extends ContextStoreBackend {
     constructor() {
+        super('mongodb', true);
         this.client = null;
         this.db = null;
         this.collection = null;
@@ -18,7 +29,9 @@ class ContextStorage {
             const dbName = process.env.MONGODB_DB_NAME || 'teamsbot';
             const collectionName = process.env.MONGODB_COLLECTION_NAME || 'user_contexts';
 
-            this.client = new MongoClient(connectionString);
+            const serverSelectionTimeoutMS = parseInt(process.env.MONGODB_TIMEOUT_MS, 10) || 5000;
+
+            this.client = new MongoClient(connectionString, { serverSelectionTimeoutMS });
             await this.client.connect();
             
             this.db = this.client.db(dbName);
@@ -26,11 +39,15 @@ class ContextStorage {
             
             // Create index on userId for better performance
             await this.collection.createIndex({ userId: 1 }, { unique: true });
+            // Secondary lookups by directory identifier, case-insensitive to match the other backends
+            for (const field of INDEXED_FIELDS) {
+                await this.collection.createIndex({ [field]: 1 }, { collation: CASE_INSENSITIVE });
+            }
             
             this.isConnected = true;
-            console.log('✅ MongoDB connected successfully');
+            log.info('MongoDB connected successfully', { dbName, collectionName });
         } catch (error) {
-            console.error('❌ MongoDB connection failed:', error);
+            log.error('MongoDB connection failed', error);
             throw error;
         }
     }
@@ -70,10 +87,10 @@ class ContextStorage {
                 await this.collection.insertOne(contextData);
             }
 
-            console.log(`✅ Context stored for user: ${userId}`);
+            log.debug('Context stored', { userId });
             return true;
         } catch (error) {
-            console.error(`❌ Failed to store context for user ${userId}:`, error);
+            log.error('Failed to store context', { userId, error });
             return false;
         }
     }
@@ -92,7 +109,7 @@ class ContextStorage {
             const context = await this.collection.findOne({ userId });
             return context;
         } catch (error) {
-            console.error(`❌ Failed to retrieve context for user ${userId}:`, error);
+            log.error('Failed to retrieve context', { userId, error });
             return null;
         }
     }
@@ -120,7 +137,7 @@ class ContextStorage {
 
             return result.matchedCount > 0;
         } catch (error) {
-            console.error(`❌ Failed to update context for user ${userId}:`, error);
+            log.error('Failed to update context', { userId, error });
             return false;
         }
     }
@@ -138,11 +155,31 @@ class ContextStorage {
             const result = await this.collection.deleteOne({ userId });
             return result.deletedCount > 0;
         } catch (error) {
-            console.error(`❌ Failed to remove context for user ${userId}:`, error);
+            log.error('Failed to remove context', { userId, error });
             return false;
         }
     }
 
+    /**
+     * Find user contexts by a directory identifier, ignoring case
+     * @param {string} field - aadObjectId | userPrincipalName | email
+     * @param {string} value - The identifier to look up
+     * @param {number} limit - Maximum number of contexts to return
+     */
+    async findUserContexts(field, value, limit = 10) {
+        if (!this.isConnected) {
+            throw new Error('MongoDB not connected');
+        }
+        if (!INDEXED_FIELDS.includes(field)) {
+            throw new Error(`Field "${field}" is not indexed`);
+        }
+
+        return await this.collection
+            .find({ [field]: String(value) }, { collation: CASE_INSENSITIVE })
+            .limit(limit)
+            .toArray();
+    }
+
     /**
      * Get all users with stored contexts (for admin purposes)
      * @param {number} limit - Maximum number of records to return
@@ -160,7 +197,7 @@ class ContextStorage {
             
             return contexts;
         } catch (error) {
-            console.error('❌ Failed to retrieve all contexts:', error);
+            log.error('Failed to retrieve all contexts', error);
             return [];
         }
     }
@@ -172,7 +209,7 @@ class ContextStorage {
         if (this.client) {
             await this.client.close();
             this.isConnected = false;
-            console.log('📴 MongoDB connection closed');
+            log.info('MongoDB connection closed');
         }
     }
 
@@ -185,10 +222,10 @@ class ContextStorage {
             await this.db.admin().ping();
             return true;
         } catch (error) {
-            console.error('❌ MongoDB health check failed:', error);
+            log.error('MongoDB health check failed', error);
             return false;
         }
     }
 }
 
-module.exports = { ContextStorage };
\ No newline at end of file
+module.exports = { MongoContextStore };
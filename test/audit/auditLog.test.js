@@ -0,0 +1,133 @@
+// auditLog.test.js
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { AuditLog, GENESIS_HASH } = require('../../audit/auditLog');
+const { FileAuditStore } = require('../../audit/fileAuditStore');
+const { MemoryAuditStore } = require('../../audit/memoryAuditStore');
+
+const CALLER = { id: 'reporting-service', type: 'apiKey' };
+
+describe('AuditLog', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+        filePath = path.join(directory, 'audit.log');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('chains every record to the one before it', async () => {
+        const auditLog = await open();
+        const first = await auditLog.record(tokenEvent('user-1'));
+        const second = await auditLog.record(tokenEvent('user-2'));
+
+        assert.equal(first.sequence, 1);
+        assert.equal(first.previousHash, GENESIS_HASH);
+        assert.equal(second.previousHash, first.hash);
+        assert.deepEqual(await auditLog.verify(), { valid: true, records: 2, headSequence: 2, headHash: second.hash });
+    });
+
+    it('answers queries newest first from the file', async () => {
+        const auditLog = await open();
+        await record(auditLog, ['user-1', 'user-2', 'user-1', 'user-3']);
+
+        const forUser = await auditLog.query({ userId: 'user-1' });
+        assert.deepEqual(forUser.map(entry => entry.sequence), [3, 1]);
+        assert.deepEqual((await auditLog.query({ limit: 2 })).map(entry => entry.sequence), [4, 3]);
+    });
+
+    it('detects a record edited in the file', async () => {
+        const auditLog = await open();
+        await record(auditLog, ['user-1', 'user-2', 'user-3']);
+        rewrite(lines => { lines[1] = lines[1].replace('"user-2"', '"user-9"'); });
+
+        assert.deepEqual(await auditLog.verify(), { valid: false, records: 2, brokenAt: 2, problem: 'Record hash does not match its contents' });
+        assert.equal((await auditLog.query({ userId: 'user-9' })).length, 1);
+    });
+
+    it('detects deleted, reordered and unreadable records', async () => {
+        const auditLog = await open();
+        await record(auditLog, ['user-1', 'user-2', 'user-3']);
+        const original = fs.readFileSync(filePath, 'utf8');
+
+        rewrite(lines => { lines.splice(1, 1); });
+        assert.equal((await auditLog.verify()).problem, 'Expected sequence 2, found 3');
+
+        fs.writeFileSync(filePath, original);
+        rewrite(lines => { [lines[0], lines[1]] = [lines[1], lines[0]]; });
+        assert.equal((await auditLog.verify()).brokenAt, 1);
+
+        fs.writeFileSync(filePath, original);
+        rewrite(lines => { lines[2] = '{"sequence":3,'; });
+        assert.equal((await auditLog.verify()).problem, 'Record is not valid JSON');
+    });
+
+    it('detects records cut off the end', async () => {
+        const auditLog = await open();
+        await record(auditLog, ['user-1', 'user-2', 'user-3']);
+        rewrite(lines => { lines.pop(); });
+
+        const result = await auditLog.verify();
+        assert.equal(result.valid, false);
+        assert.equal(result.problem, 'Chain ends at sequence 2 but 3 records were written');
+    });
+
+    it('does not accept a chain recomputed without the HMAC key', async () => {
+        const keyed = await open({ hmacKey: 'audit-key' });
+        await record(keyed, ['user-1', 'user-2']);
+        assert.equal((await keyed.verify()).valid, true);
+        await keyed.close();
+
+        const unkeyed = await open();
+        assert.equal((await unkeyed.verify()).problem, 'Record hash does not match its contents');
+    });
+
+    it('cuts off a torn last record on load and continues the chain', async () => {
+        const auditLog = await open();
+        await record(auditLog, ['user-1', 'user-2']);
+        await auditLog.close();
+        fs.appendFileSync(filePath, '{"sequence":3,"timest');
+
+        const reopened = await open();
+        const third = await reopened.record(tokenEvent('user-3'));
+        assert.equal(third.sequence, 3);
+        assert.equal((await reopened.verify()).valid, true);
+    });
+
+    it('verifies the memory backend the same way', async () => {
+        const auditLog = new AuditLog(new MemoryAuditStore());
+        await auditLog.initialize();
+        await record(auditLog, ['user-1', 'user-2']);
+        assert.equal((await auditLog.verify()).valid, true);
+    });
+
+    async function open(options = {}) {
+        const auditLog = new AuditLog(new FileAuditStore({ directory }), options);
+        await auditLog.initialize();
+        assert.equal(auditLog.available, true);
+        return auditLog;
+    }
+
+    function rewrite(change) {
+        const lines = fs.readFileSync(filePath, 'utf8').trimEnd().split('\n');
+        change(lines);
+        fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    }
+});
+
+async function record(auditLog, userIds) {
+    for (const userId of userIds) {
+        await auditLog.record(tokenEvent(userId));
+    }
+}
+
+function tokenEvent(userId) {
+    return { action: 'token', outcome: 'issued', caller: CALLER, userId, tenantId: 'tenant-1', connectionName: 'graph' };
+}
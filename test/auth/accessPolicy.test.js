@@ -0,0 +1,99 @@
+// accessPolicy.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { AccessPolicy, REASONS } = require('../../auth/accessPolicy');
+
+const REPORTING = { id: 'reporting-service' };
+
+describe('AccessPolicy', () => {
+    const policy = new AccessPolicy({
+        defaultEffect: 'deny',
+        rules: [
+            { id: 'reporting-reads', effect: 'allow', callers: ['reporting-service'], actions: ['token', 'profile'], tenantIds: ['contoso-*'] },
+            { id: 'ops-anything', effect: 'allow', callers: ['ops'] },
+            { id: 'never-the-ceo', effect: 'deny', callers: ['*'], aadObjectIds: ['ceo-object-id'] }
+        ]
+    });
+
+    it('denies every request when no policy is configured', () => {
+        const result = new AccessPolicy(null).evaluate({ caller: REPORTING, action: 'token' });
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, REASONS.NO_POLICY_CONFIGURED);
+    });
+
+    it('fails closed without ACCESS_POLICY_FILE unless ACCESS_POLICY_DEFAULT=allow', (t) => {
+        const saved = { ...process.env };
+        t.after(() => { process.env = saved; });
+        delete process.env.ACCESS_POLICY_FILE;
+
+        delete process.env.ACCESS_POLICY_DEFAULT;
+        assert.equal(AccessPolicy.fromFile().evaluate({ caller: REPORTING, action: 'token' }).allowed, false);
+
+        process.env.ACCESS_POLICY_DEFAULT = 'allow';
+        assert.equal(AccessPolicy.fromFile().evaluate({ caller: REPORTING, action: 'token' }).allowed, true);
+
+        process.env.ACCESS_POLICY_DEFAULT = 'yes';
+        assert.throws(() => AccessPolicy.fromFile(), /Invalid ACCESS_POLICY_DEFAULT "yes"/);
+    });
+
+    it('allows requests matching an allow rule, with case-insensitive wildcards', () => {
+        const result = policy.evaluate({ caller: REPORTING, action: 'Token', tenantId: 'CONTOSO-emea' });
+        assert.deepEqual(result, {
+            allowed: true,
+            reason: REASONS.ALLOWED_BY_RULE,
+            ruleId: 'reporting-reads',
+            message: 'Allowed by rule "reporting-reads"'
+        });
+    });
+
+    it('lets a matching deny rule win over allow rules', () => {
+        const result = policy.evaluate({ caller: { id: 'ops' }, action: 'token', aadObjectId: 'ceo-object-id' });
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, REASONS.DENIED_BY_RULE);
+        assert.equal(result.ruleId, 'never-the-ceo');
+    });
+
+    it('applies the default effect when no rule matches', () => {
+        const result = policy.evaluate({ caller: REPORTING, action: 'send-mail', tenantId: 'contoso-emea' });
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, REASONS.NO_MATCHING_RULE);
+        assert.equal(result.ruleId, null);
+
+        const permissive = new AccessPolicy({ defaultEffect: 'allow', rules: [] });
+        assert.equal(permissive.evaluate({ caller: REPORTING, action: 'token' }).allowed, true);
+    });
+
+    it('does not match a rule field when the request lacks that fact', () => {
+        const result = policy.evaluate({ caller: REPORTING, action: 'token' });
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, REASONS.NO_MATCHING_RULE);
+    });
+
+    it('uses the first matching allow rule', () => {
+        const ordered = new AccessPolicy({
+            rules: [
+                { id: 'first', effect: 'allow', actions: ['token'] },
+                { id: 'second', effect: 'allow', callers: ['*'] }
+            ]
+        });
+        assert.equal(ordered.evaluate({ caller: REPORTING, action: 'token' }).ruleId, 'first');
+        assert.equal(ordered.evaluate({ caller: REPORTING, action: 'profile' }).ruleId, 'second');
+    });
+
+    it('parses YAML policy documents', () => {
+        const parsed = AccessPolicy.fromDocument([
+            'defaultEffect: allow',
+            'rules:',
+            '  - id: no-mail',
+            '    effect: deny',
+            '    actions: [mail, send-mail]'
+        ].join('\n'));
+        assert.equal(parsed.evaluate({ caller: REPORTING, action: 'mail' }).allowed, false);
+        assert.equal(parsed.evaluate({ caller: REPORTING, action: 'token' }).allowed, true);
+    });
+
+    it('refuses invalid effects', () => {
+        assert.throws(() => new AccessPolicy({ rules: [{ id: 'typo', effect: 'alow' }] }), /Rule "typo" has invalid effect "alow"/);
+        assert.throws(() => new AccessPolicy({ defaultEffect: 'maybe' }), /Invalid defaultEffect "maybe"/);
+    });
+});
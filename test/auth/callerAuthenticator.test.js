@@ -0,0 +1,160 @@
+// callerAuthenticator.test.js
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, after } = require('node:test');
+const { CallerAuthenticator, hasScope, SCOPES } = require('../../auth/callerAuthenticator');
+const { JwtVerifier } = require('../../auth/jwtVerifier');
+
+const API_KEYS = [
+    { id: 'reporting-service', key: 'plain-secret', scopes: [SCOPES.TOKEN_READ], tenants: ['tenant-1'] },
+    { id: 'ops', keySha256: crypto.createHash('sha256').update('hashed-secret').digest('hex'), scopes: [SCOPES.ADMIN] }
+];
+
+describe('CallerAuthenticator', () => {
+    const authenticator = new CallerAuthenticator({ apiKeys: API_KEYS });
+
+    it('accepts an API key sent as X-API-Key', async () => {
+        const result = await authenticator.authenticate(request({ 'x-api-key': 'plain-secret' }));
+        assert.equal(result.success, true);
+        assert.equal(result.caller.id, 'reporting-service');
+        assert.deepEqual(result.caller.scopes, [SCOPES.TOKEN_READ]);
+        assert.deepEqual(result.caller.tenants, ['tenant-1']);
+    });
+
+    it('accepts an API key configured by its SHA-256 digest and sent as Authorization: ApiKey', async () => {
+        const result = await authenticator.authenticate(request({ authorization: 'ApiKey hashed-secret' }));
+        assert.equal(result.success, true);
+        assert.equal(result.caller.id, 'ops');
+    });
+
+    it('rejects unknown API keys', async () => {
+        const result = await authenticator.authenticate(request({ 'x-api-key': 'plain-secret-' }));
+        assert.deepEqual(result, { success: false, error: 'Unauthorized', message: 'Invalid API key' });
+    });
+
+    it('rejects requests without credentials', async () => {
+        const result = await authenticator.authenticate(request({}));
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Missing credentials');
+    });
+
+    it('rejects bearer tokens when no JWT verifier is configured', async () => {
+        const result = await authenticator.authenticate(request({ authorization: 'Bearer abc.def.ghi' }));
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Bearer tokens are not accepted by this server');
+    });
+
+    it('builds the caller from verified bearer token claims', async () => {
+        const jwtVerifier = { verify: async () => ({ azp: 'client-app', tid: 'tenant-2', scp: 'token:read profile:read', roles: ['mail:read'] }) };
+        const result = await new CallerAuthenticator({ apiKeys: [], jwtVerifier }).authenticate(request({ authorization: 'Bearer abc.def.ghi' }));
+        assert.equal(result.success, true);
+        assert.equal(result.caller.id, 'client-app');
+        assert.deepEqual(result.caller.scopes, ['token:read', 'profile:read', 'mail:read']);
+        assert.deepEqual(result.caller.tenants, ['tenant-2']);
+    });
+
+    it('reports why a bearer token was rejected', async () => {
+        const jwtVerifier = { verify: async () => { throw new Error('Token expired'); } };
+        const result = await new CallerAuthenticator({ apiKeys: [], jwtVerifier }).authenticate(request({ authorization: 'Bearer abc.def.ghi' }));
+        assert.deepEqual(result, { success: false, error: 'Unauthorized', message: 'Token expired' });
+    });
+
+    it('refuses keySha256 values that are not SHA-256 digests', () => {
+        assert.throws(() => new CallerAuthenticator({ apiKeys: [{ id: 'bad', keySha256: 'abcd' }] }), /is not a hex SHA-256 digest/);
+        assert.throws(() => new CallerAuthenticator({ apiKeys: [{ id: 'no-key' }] }), /needs an id and a key or keySha256/);
+    });
+});
+
+describe('CallerAuthenticator bearer tokens', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+    const jwksPath = path.join(directory, 'jwks.json');
+    fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }] }));
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('answers 401 to a validly signed token issued for another app', async () => {
+        const jwtVerifier = new JwtVerifier({ jwksUri: jwksPath, tenants: ['tenant-1'], audiences: ['api://teams-sso-bot'] });
+        const middleware = new CallerAuthenticator({ apiKeys: [], jwtVerifier }).middleware();
+        const token = sign({ aud: 'api://someone-elses-app', tid: 'tenant-1', azp: 'client-app', roles: [SCOPES.ADMIN] });
+
+        const response = await run(middleware, { authorization: `Bearer ${token}` });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.message, 'Token audience not accepted');
+        assert.equal(response.caller, undefined);
+    });
+
+    it('lets a token for this app through', async () => {
+        const jwtVerifier = new JwtVerifier({ jwksUri: jwksPath, tenants: ['tenant-1'], audiences: ['api://teams-sso-bot'] });
+        const middleware = new CallerAuthenticator({ apiKeys: [], jwtVerifier }).middleware();
+        const token = sign({ aud: 'api://teams-sso-bot', tid: 'tenant-1', azp: 'client-app', scp: SCOPES.TOKEN_READ });
+
+        const response = await run(middleware, { authorization: `Bearer ${token}` });
+        assert.equal(response.status, undefined);
+        assert.equal(response.caller.id, 'client-app');
+    });
+
+    it('refuses AUTH_JWKS_URI without an audience and an issuer or tenant allowlist', (t) => {
+        const saved = { ...process.env };
+        t.after(() => { process.env = saved; });
+
+        process.env.AUTH_JWKS_URI = jwksPath;
+        delete process.env.AUTH_JWT_ISSUERS;
+        delete process.env.AUTH_JWT_TENANTS;
+        delete process.env.AUTH_JWT_AUDIENCES;
+        assert.throws(() => new CallerAuthenticator({ apiKeys: [] }), /audience is required/);
+
+        process.env.AUTH_JWT_AUDIENCES = 'api://teams-sso-bot';
+        assert.throws(() => new CallerAuthenticator({ apiKeys: [] }), /issuers or tenants are required/);
+
+        process.env.AUTH_JWT_TENANTS = 'tenant-1';
+        assert.ok(new CallerAuthenticator({ apiKeys: [] }).jwtVerifier);
+    });
+
+    function sign(claims) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = Buffer.from(JSON.stringify({ alg: 'RS256', kid: 'key-1' })).toString('base64url');
+        const payload = Buffer.from(JSON.stringify({ iat: now, exp: now + 3600, ...claims })).toString('base64url');
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+        return `${header}.${payload}.${signature.toString('base64url')}`;
+    }
+});
+
+describe('hasScope', () => {
+    it('grants configured scopes only', () => {
+        const caller = { scopes: [SCOPES.TOKEN_READ] };
+        assert.equal(hasScope(caller, SCOPES.TOKEN_READ), true);
+        assert.equal(hasScope(caller, SCOPES.MAIL_SEND), false);
+        assert.equal(hasScope(null, SCOPES.TOKEN_READ), false);
+    });
+
+    it('lets admin callers use every scope', () => {
+        assert.equal(hasScope({ scopes: [SCOPES.ADMIN] }, SCOPES.WEBHOOKS_MANAGE), true);
+    });
+});
+
+function request(headers) {
+    return { headers };
+}
+
+// Run the restify middleware against a fake request and collect what it sent
+function run(middleware, headers) {
+    const req = { method: 'GET', headers, path: () => '/api/token' };
+    const response = {};
+    const res = {
+        header: () => {},
+        send: (status, body) => Object.assign(response, { status, body })
+    };
+    return new Promise((resolve, reject) => {
+        middleware(req, res, (error) => {
+            if (error) return reject(error);
+            response.caller = req.caller;
+            resolve(response);
+        });
+    });
+}
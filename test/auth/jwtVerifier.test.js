@@ -0,0 +1,125 @@
+// jwtVerifier.test.js
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const { JwtVerifier } = require('../../auth/jwtVerifier');
+
+const ISSUER = 'https://login.example.com/tenant/v2.0';
+const AUDIENCE = 'api://teams-sso-bot';
+
+describe('JwtVerifier', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    let directory;
+    let verifier;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+        const jwksPath = path.join(directory, 'jwks.json');
+        fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' }] }));
+        verifier = new JwtVerifier({ jwksUri: jwksPath, issuers: [ISSUER], audiences: [AUDIENCE], clockToleranceSec: 60 });
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('returns the claims of a valid token', async () => {
+        const claims = await verifier.verify(sign({}));
+        assert.equal(claims.azp, 'client-app');
+        assert.equal(claims.tid, 'tenant-1');
+    });
+
+    it('accepts a token whose aud list contains an accepted audience', async () => {
+        await verifier.verify(sign({ aud: ['api://other', AUDIENCE] }));
+    });
+
+    it('rejects a token signed with another key', async () => {
+        await assert.rejects(verifier.verify(sign({}, { key: otherKey })), /Invalid token signature/);
+    });
+
+    it('rejects a token whose payload was changed after signing', async () => {
+        const [header, , signature] = sign({}).split('.');
+        const payload = encode(claimsWith({ scp: 'admin' }));
+        await assert.rejects(verifier.verify(`${header}.${payload}.${signature}`), /Invalid token signature/);
+    });
+
+    it('rejects unsigned and HMAC tokens', async () => {
+        const payload = encode(claimsWith({}));
+        await assert.rejects(verifier.verify(`${encode({ alg: 'none', kid: 'key-1' })}.${payload}.`), /Unsupported token algorithm: none/);
+        await assert.rejects(verifier.verify(`${encode({ alg: 'HS256', kid: 'key-1' })}.${payload}.c2ln`), /Unsupported token algorithm: HS256/);
+    });
+
+    it('rejects a token with an unknown kid', async () => {
+        await assert.rejects(verifier.verify(sign({}, { kid: 'key-2' })), /No signing key found for kid: key-2/);
+    });
+
+    it('rejects expired tokens beyond the clock tolerance', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        await assert.rejects(verifier.verify(sign({ exp: now - 61 })), /Token expired/);
+        await verifier.verify(sign({ exp: now - 30 }));
+    });
+
+    it('rejects tokens without exp', async () => {
+        await assert.rejects(verifier.verify(sign({ exp: undefined })), /Token has no expiry/);
+    });
+
+    it('rejects tokens that are not valid yet', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        await assert.rejects(verifier.verify(sign({ nbf: now + 120 })), /Token not yet valid/);
+        await verifier.verify(sign({ nbf: now + 30 }));
+    });
+
+    it('rejects untrusted issuers and other audiences', async () => {
+        await assert.rejects(verifier.verify(sign({ iss: 'https://evil.example.com' })), /Untrusted token issuer/);
+        await assert.rejects(verifier.verify(sign({ aud: 'api://other' })), /Token audience not accepted/);
+    });
+
+    it('limits tokens to the accepted tenants', async () => {
+        const byTenant = new JwtVerifier({ jwksUri: verifier.jwksUri, tenants: ['tenant-1'], audiences: [AUDIENCE] });
+        await byTenant.verify(sign({ iss: 'https://login.example.com/tenant-1/v2.0' }));
+        await assert.rejects(byTenant.verify(sign({ tid: 'tenant-2' })), /Untrusted token tenant: tenant-2/);
+    });
+
+    it('refuses to accept tokens for any audience or from any issuer', () => {
+        const jwksUri = verifier.jwksUri;
+        assert.throws(() => new JwtVerifier({ jwksUri, issuers: [ISSUER] }), /At least one accepted audience is required/);
+        assert.throws(() => new JwtVerifier({ jwksUri, issuers: [ISSUER], audiences: [] }), /At least one accepted audience is required/);
+        assert.throws(() => new JwtVerifier({ jwksUri, audiences: [AUDIENCE] }), /Accepted issuers or tenants are required/);
+    });
+
+    it('rejects malformed tokens', async () => {
+        await assert.rejects(verifier.verify('not-a-jwt'), /Malformed token/);
+        await assert.rejects(verifier.verify('a.b.c'), /Malformed token/);
+        await assert.rejects(verifier.verify(undefined), /Malformed token/);
+    });
+
+    function sign(overrides, options = {}) {
+        const header = encode({ alg: 'RS256', typ: 'JWT', kid: options.kid || 'key-1' });
+        const payload = encode(claimsWith(overrides));
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), options.key || privateKey);
+        return `${header}.${payload}.${signature.toString('base64url')}`;
+    }
+});
+
+function claimsWith(overrides) {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+        iss: ISSUER,
+        aud: AUDIENCE,
+        azp: 'client-app',
+        tid: 'tenant-1',
+        scp: 'token:read',
+        iat: now,
+        nbf: now,
+        exp: now + 3600,
+        ...overrides
+    };
+}
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
@@ -0,0 +1,87 @@
+// tenantPolicy.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { ActivityTypes, ActivityEventNames } = require('botbuilder');
+const { TenantPolicy, runProactiveTurn } = require('../../auth/tenantPolicy');
+
+describe('TenantPolicy', () => {
+    const policy = new TenantPolicy({ allowedTenants: ['tenant-1', 'tenant-2'] });
+
+    it('allows only listed tenants, and no missing tenant once a list is set', () => {
+        assert.equal(policy.isTenantAllowed('tenant-1'), true);
+        assert.equal(policy.isTenantAllowed('tenant-3'), false);
+        assert.equal(policy.isTenantAllowed(null), false);
+        assert.equal(new TenantPolicy({ allowedTenants: ['tenant-1'], allowMissingTenant: true }).isTenantAllowed(null), true);
+        assert.equal(new TenantPolicy().isTenantAllowed('anything'), true);
+        assert.equal(new TenantPolicy().isTenantAllowed(null), true);
+    });
+
+    it('confines callers to their own tenants', () => {
+        assert.equal(policy.canAccess({ tenants: ['tenant-1'] }, 'tenant-1'), true);
+        assert.equal(policy.canAccess({ tenants: ['tenant-1'] }, 'tenant-2'), false);
+        assert.equal(policy.canAccess({ tenants: ['tenant-3'] }, 'tenant-3'), false);
+        assert.equal(policy.canAccess({ tenants: null }, 'tenant-2'), true);
+        assert.equal(policy.canAccess(undefined, 'tenant-2'), true);
+        assert.equal(policy.canAccess({ tenants: ['tenant-1'] }, null), false);
+    });
+
+    it('refuses unknown reject modes', () => {
+        assert.throws(() => new TenantPolicy({ rejectMode: 'bounce' }), /Invalid reject mode "bounce"/);
+    });
+});
+
+describe('TenantPolicy.turnMiddleware', () => {
+    it('runs turns from allowed tenants', async () => {
+        const turn = await run(new TenantPolicy({ allowedTenants: ['tenant-1'] }), message('tenant-1'));
+        assert.equal(turn.ran, true);
+    });
+
+    it('drops turns from other tenants, answering invokes with 403', async () => {
+        const policy = new TenantPolicy({ allowedTenants: ['tenant-1'] });
+        const dropped = await run(policy, message('tenant-2'));
+        assert.equal(dropped.ran, false);
+        assert.deepEqual(dropped.sent, []);
+
+        const invoke = await run(policy, { ...message('tenant-2'), type: ActivityTypes.Invoke });
+        assert.equal(invoke.ran, false);
+        assert.deepEqual(invoke.sent, [{ type: ActivityTypes.InvokeResponse, value: { status: 403 } }]);
+        assert.equal(policy.stats().rejectedActivities, 2);
+    });
+
+    it('tells rejected users so in reply mode', async () => {
+        const turn = await run(new TenantPolicy({ allowedTenants: ['tenant-1'], rejectMode: 'reply' }), message('tenant-2'));
+        assert.deepEqual(turn.sent, ['This bot is not available for your organization.']);
+    });
+
+    it('does not trust a ContinueConversation event sent by a channel client', async () => {
+        const turn = await run(new TenantPolicy({ allowedTenants: ['tenant-1'] }), continueConversation('tenant-2'));
+        assert.equal(turn.ran, false);
+    });
+
+    it('lets the bot\'s own proactive turns through', async () => {
+        const policy = new TenantPolicy({ allowedTenants: ['tenant-1'] });
+        const turn = await runProactiveTurn(() => run(policy, continueConversation(null)));
+        assert.equal(turn.ran, true);
+
+        const other = await runProactiveTurn(() => run(policy, message('tenant-2')));
+        assert.equal(other.ran, false);
+    });
+});
+
+function message(tenantId) {
+    return { type: ActivityTypes.Message, channelId: 'msteams', channelData: { tenant: { id: tenantId } }, from: { id: 'user-1' } };
+}
+
+function continueConversation(tenantId) {
+    return { type: ActivityTypes.Event, name: ActivityEventNames.ContinueConversation, conversation: { id: 'conversation-1', tenantId } };
+}
+
+async function run(policy, activity) {
+    const turn = { ran: false, sent: [] };
+    const context = {
+        activity,
+        sendActivity: async (sent) => { turn.sent.push(sent); }
+    };
+    await policy.turnMiddleware()(context, async () => { turn.ran = true; });
+    return turn;
+}
@@ -0,0 +1,80 @@
+// tokenCache.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { TokenCache } = require('../../auth/tokenCache');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+describe('TokenCache', () => {
+    it('serves a token until the safety margin before its expiration', (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const cache = new TokenCache({ safetyMarginSec: 300 });
+        assert.equal(cache.set('user-1', 'graph', response(3600)), true);
+        assert.equal(cache.get('user-1', 'graph').token, 'token');
+
+        Date.now.mock.mockImplementation(() => NOW + (3600 - 301) * 1000);
+        assert.equal(cache.get('user-1', 'graph').token, 'token');
+
+        Date.now.mock.mockImplementation(() => NOW + (3600 - 300) * 1000);
+        assert.equal(cache.get('user-1', 'graph'), null);
+        assert.equal(cache.stats().expired, 1);
+        assert.equal(cache.stats().entries, 0);
+    });
+
+    it('does not cache tokens already inside the margin or without an expiration', (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const cache = new TokenCache({ safetyMarginSec: 300 });
+        assert.equal(cache.set('user-1', 'graph', response(299)), false);
+        assert.equal(cache.set('user-1', 'graph', { token: 'token' }), false);
+        assert.equal(cache.set('user-1', 'graph', { token: 'token', expiration: 'soon' }), false);
+        assert.equal(cache.get('user-1', 'graph'), null);
+    });
+
+    it('keeps users and connections apart', (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const cache = new TokenCache();
+        cache.set('user-1', 'graph', response(3600, 'graph-token'));
+        cache.set('user-1', 'sharepoint', response(3600, 'sharepoint-token'));
+        assert.equal(cache.get('user-1', 'graph').token, 'graph-token');
+        assert.equal(cache.get('user-1', 'sharepoint').token, 'sharepoint-token');
+        assert.equal(cache.get('user-2', 'graph'), null);
+
+        cache.invalidate('user-1', 'graph');
+        assert.equal(cache.get('user-1', 'graph'), null);
+        assert.equal(cache.get('user-1', 'sharepoint').token, 'sharepoint-token');
+
+        cache.invalidate('user-1');
+        assert.equal(cache.get('user-1', 'sharepoint'), null);
+    });
+
+    it('drops the oldest entry when full', (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const cache = new TokenCache({ maxEntries: 2 });
+        cache.set('user-1', 'graph', response(3600));
+        cache.set('user-2', 'graph', response(3600));
+        cache.set('user-3', 'graph', response(3600));
+        assert.equal(cache.get('user-1', 'graph'), null);
+        assert.ok(cache.get('user-2', 'graph'));
+        assert.ok(cache.get('user-3', 'graph'));
+    });
+
+    it('reads the safety margin from TOKEN_CACHE_SAFETY_MARGIN_SEC, including 0', (t) => {
+        const saved = process.env.TOKEN_CACHE_SAFETY_MARGIN_SEC;
+        t.after(() => {
+            if (saved === undefined) delete process.env.TOKEN_CACHE_SAFETY_MARGIN_SEC;
+            else process.env.TOKEN_CACHE_SAFETY_MARGIN_SEC = saved;
+        });
+
+        process.env.TOKEN_CACHE_SAFETY_MARGIN_SEC = '0';
+        assert.equal(new TokenCache().stats().safetyMarginSec, 0);
+        process.env.TOKEN_CACHE_SAFETY_MARGIN_SEC = '120';
+        assert.equal(new TokenCache().stats().safetyMarginSec, 120);
+        process.env.TOKEN_CACHE_SAFETY_MARGIN_SEC = 'abc';
+        assert.equal(new TokenCache().stats().safetyMarginSec, 300);
+        assert.equal(new TokenCache({ safetyMarginSec: 0 }).stats().safetyMarginSec, 0);
+    });
+});
+
+function response(expiresInSec, token = 'token') {
+    return { token, expiration: new Date(NOW + expiresInSec * 1000).toISOString() };
+}
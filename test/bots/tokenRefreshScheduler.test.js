@@ -0,0 +1,108 @@
+// tokenRefreshScheduler.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { TokenRefreshScheduler } = require('../../bots/tokenRefreshScheduler');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+describe('TokenRefreshScheduler', () => {
+    it('refreshes active and expiring users whose token expires within the lead time', () => {
+        const scheduler = new TokenRefreshScheduler(fakeBot(), { leadSec: 600, jitterMs: 0 });
+        const context = (tokenStatus, expiresInMs) => ({
+            userId: 'user-1',
+            tokenStatus,
+            tokenExpiration: expiresInMs === undefined ? undefined : new Date(NOW + expiresInMs),
+            conversationReference: {}
+        });
+
+        assert.equal(scheduler.isDue(context('active', 5 * MINUTE), NOW), true);
+        assert.equal(scheduler.isDue(context('expiring', 5 * MINUTE), NOW), true);
+        assert.equal(scheduler.isDue(context('active', 30 * MINUTE), NOW), false);
+        assert.equal(scheduler.isDue(context('unavailable', 5 * MINUTE), NOW), false);
+        assert.equal(scheduler.isDue(context('active', undefined), NOW), true);
+        assert.equal(scheduler.isDue({ ...context('active', 5 * MINUTE), conversationReference: null }, NOW), false);
+    });
+
+    it('does not ask again for a token found expiring until the backoff has passed', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const bot = fakeBot({ expiresInMs: 8 * MINUTE });
+        const scheduler = new TokenRefreshScheduler(bot, { leadSec: 600, expiringBackoffSec: 120, jitterMs: 0 });
+
+        await scheduler.runOnce();
+        assert.equal(bot.calls, 1);
+        assert.equal(bot.context.tokenStatus, 'expiring');
+        assert.equal(scheduler.getStats().backingOff, 1);
+
+        Date.now.mock.mockImplementation(() => NOW + MINUTE);
+        await scheduler.runOnce();
+        assert.equal(bot.calls, 1);
+
+        Date.now.mock.mockImplementation(() => NOW + 2 * MINUTE);
+        await scheduler.runOnce();
+        assert.equal(bot.calls, 2);
+        assert.equal(scheduler.getStats().expiring, 2);
+    });
+
+    it('asks again as soon as the expiring token has expired', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const bot = fakeBot({ expiresInMs: MINUTE });
+        const scheduler = new TokenRefreshScheduler(bot, { leadSec: 600, expiringBackoffSec: 600, jitterMs: 0 });
+
+        await scheduler.runOnce();
+        bot.expiresInMs = 60 * MINUTE;
+        Date.now.mock.mockImplementation(() => NOW + MINUTE);
+        await scheduler.runOnce();
+
+        assert.equal(bot.calls, 2);
+        assert.equal(scheduler.getStats().refreshed, 1);
+        assert.equal(scheduler.getStats().backingOff, 0);
+    });
+
+    it('leaves users without a token alone', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const bot = fakeBot({ expiresInMs: 5 * MINUTE, success: false });
+        const scheduler = new TokenRefreshScheduler(bot, { leadSec: 600, jitterMs: 0 });
+
+        await scheduler.runOnce();
+        assert.equal(bot.context.tokenStatus, 'unavailable');
+        await scheduler.runOnce();
+        assert.equal(bot.calls, 1);
+        assert.equal(scheduler.getStats().unavailable, 1);
+    });
+});
+
+// The parts of TeamsBot the scheduler uses, with one user whose token expires in expiresInMs
+function fakeBot({ expiresInMs = 5 * MINUTE, success = true } = {}) {
+    const bot = {
+        calls: 0,
+        expiresInMs,
+        context: {
+            userId: 'user-1',
+            tokenStatus: 'active',
+            tokenExpiration: new Date(NOW + expiresInMs),
+            conversationReference: { conversation: { id: 'conversation-1' } }
+        },
+        userContextMap: new Map([['user-1', {}]]),
+        contextStore: {
+            persistenceEnabled: false,
+            get: async () => ({ ...bot.context })
+        },
+        connections: { defaultConnection: { connectionName: 'graph' } },
+        tokenCache: { invalidate: () => {} },
+        getTokenForUser: async () => {
+            bot.calls++;
+            if (!success) {
+                bot.context.tokenStatus = 'unavailable';
+                return { success: false, error: 'No token' };
+            }
+            const expiration = new Date(Date.now() + bot.expiresInMs).toISOString();
+            Object.assign(bot.context, { tokenStatus: 'active', tokenExpiration: new Date(expiration) });
+            return { success: true, token: 'token', expiration };
+        },
+        updateTokenStatus: async (userId, tokenStatus, expiration) => {
+            Object.assign(bot.context, { tokenStatus, tokenExpiration: new Date(expiration) });
+        }
+    };
+    return bot;
+}
@@ -0,0 +1,129 @@
+// eventStream.test.js
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { describe, it } = require('node:test');
+const { EventStream } = require('../../events/eventStream');
+
+describe('EventStream', () => {
+    it('streams published events to connected clients', () => {
+        const { stream, bus } = create();
+        const client = connect(stream);
+        bus.publish(event(1));
+
+        assert.equal(client.res.status, 200);
+        assert.deepEqual(client.events().map(frame => frame.data.id), ['event-1']);
+        assert.equal(client.events()[0].id, `${stream.streamId}-1`);
+        assert.equal(client.events()[0].type, 'user.signedIn');
+    });
+
+    it('replays only the events after Last-Event-ID', () => {
+        const { stream, bus } = create();
+        for (let i = 1; i <= 4; i++) bus.publish(event(i));
+
+        const client = connect(stream, { lastEventId: `${stream.streamId}-2` });
+        assert.deepEqual(client.events().map(frame => frame.data.id), ['event-3', 'event-4']);
+
+        const current = connect(stream, { lastEventId: `${stream.streamId}-4` });
+        assert.deepEqual(current.events(), []);
+    });
+
+    it('sends stream.reset and the whole buffer when events may have been missed', () => {
+        const { stream, bus } = create({ bufferSize: 3 });
+        for (let i = 1; i <= 5; i++) bus.publish(event(i));
+        assert.equal(stream.stats().buffered, 3);
+
+        for (const lastEventId of [`${stream.streamId}-1`, 'otherstream-4', 'garbage']) {
+            const client = connect(stream, { lastEventId });
+            const frames = client.events();
+            assert.equal(frames[0].type, 'stream.reset', lastEventId);
+            assert.deepEqual(frames.slice(1).map(frame => frame.data.id), ['event-3', 'event-4', 'event-5']);
+        }
+    });
+
+    it('applies the client filter and the visibility check', () => {
+        const { stream, bus } = create({ canSee: (caller, streamed) => caller.tenants.includes(streamed.tenantId) });
+        const client = connect(stream, { caller: { tenants: ['tenant-1'] }, filter: { types: ['user.signedIn'] } });
+
+        bus.publish(event(1));
+        bus.publish({ ...event(2), tenantId: 'tenant-2' });
+        bus.publish({ ...event(3), type: 'user.signedOut' });
+        assert.deepEqual(client.events().map(frame => frame.data.id), ['event-1']);
+    });
+
+    it('disconnects a client that stops reading and keeps the others', () => {
+        const { stream, bus } = create({ maxBufferedBytes: 1024 });
+        const reading = connect(stream);
+        const stalled = connect(stream);
+        stalled.res.reading = false;
+
+        for (let i = 1; i <= 20; i++) bus.publish(event(i));
+
+        assert.equal(stalled.res.destroyed, true);
+        assert.equal(reading.res.destroyed, false);
+        assert.equal(reading.events().length, 20);
+        assert.equal(stream.stats().clients, 1);
+    });
+
+    it('does not add a client that overflowed during replay', () => {
+        const { stream, bus } = create({ maxBufferedBytes: 512 });
+        for (let i = 1; i <= 20; i++) bus.publish(event(i));
+
+        const client = connect(stream, { lastEventId: 'otherstream-1', reading: false });
+        assert.equal(client.res.destroyed, true);
+        assert.equal(stream.stats().clients, 0);
+    });
+
+    it('forgets clients that disconnect', () => {
+        const { stream } = create();
+        const client = connect(stream);
+        assert.equal(stream.stats().clients, 1);
+        client.req.emit('close');
+        assert.equal(stream.stats().clients, 0);
+    });
+});
+
+function create(options = {}) {
+    const bus = new EventEmitter();
+    bus.subscribe = (listener) => {
+        bus.on('event', listener);
+        return () => bus.off('event', listener);
+    };
+    bus.publish = streamed => bus.emit('event', streamed);
+    const stream = new EventStream(bus, { heartbeatMs: 60 * 1000, ...options });
+    return { stream, bus };
+}
+
+function event(n) {
+    return { id: `event-${n}`, type: 'user.signedIn', tenantId: 'tenant-1', data: { userId: 'user-1', padding: 'x'.repeat(100) } };
+}
+
+// Attach a client with a fake response that either drains every write or keeps it queued
+function connect(stream, { reading = true, ...client } = {}) {
+    const req = new EventEmitter();
+    const res = {
+        reading,
+        status: null,
+        frames: [],
+        writableLength: 0,
+        destroyed: false,
+        writeHead(status) { this.status = status; },
+        write(frame) {
+            this.frames.push(frame);
+            if (!this.reading) this.writableLength += Buffer.byteLength(frame);
+            return this.reading;
+        },
+        destroy() { this.destroyed = true; },
+        end() {}
+    };
+    stream.attach(req, res, { caller: {}, filter: {}, ...client });
+    return {
+        req,
+        res,
+        events: () => res.frames.filter(frame => frame.includes('event: ')).map(parseFrame)
+    };
+}
+
+function parseFrame(frame) {
+    const fields = Object.fromEntries(frame.trim().split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+}
@@ -0,0 +1,121 @@
+// rateLimiter.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { RateLimiter, parseLimit } = require('../../ratelimit/rateLimiter');
+const { MemoryBucketStore } = require('../../ratelimit/memoryBucketStore');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+describe('parseLimit', () => {
+    it('turns count/window into a bucket size and refill rate', () => {
+        assert.deepEqual(parseLimit('30/min'), { capacity: 30, refillPerSec: 0.5 });
+        assert.deepEqual(parseLimit('5/10s'), { capacity: 5, refillPerSec: 0.5 });
+        assert.deepEqual(parseLimit(' 3600 / hour '), { capacity: 3600, refillPerSec: 1 });
+        assert.deepEqual(parseLimit('2/sec'), { capacity: 2, refillPerSec: 2 });
+    });
+
+    it('treats off and missing limits as no limit', () => {
+        assert.equal(parseLimit('off'), null);
+        assert.equal(parseLimit(undefined), null);
+    });
+
+    it('refuses malformed and zero limits', () => {
+        for (const spec of ['30', '30/day', 'min/30', '-1/min', '0/min', '1.5/min']) {
+            assert.throws(() => parseLimit(spec), /Invalid rate limit/, spec);
+        }
+    });
+});
+
+describe('RateLimiter', () => {
+    it('allows a burst up to the bucket size, then refills over time', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const limiter = limiterWith({ token: { caller: '3/min' } });
+
+        for (const remaining of [2, 1, 0]) {
+            const decision = await limiter.consume('token', { callerId: 'caller-1' });
+            assert.equal(decision.allowed, true);
+            assert.equal(decision.remaining, remaining);
+        }
+
+        const rejected = await limiter.consume('token', { callerId: 'caller-1' });
+        assert.deepEqual(rejected, { allowed: false, scope: 'caller', limit: 3, remaining: 0, resetSec: 60, retryAfterSec: 20 });
+
+        Date.now.mock.mockImplementation(() => NOW + 20 * 1000);
+        assert.equal((await limiter.consume('token', { callerId: 'caller-1' })).allowed, true);
+        assert.equal((await limiter.consume('token', { callerId: 'caller-1' })).allowed, false);
+    });
+
+    it('keeps callers, users and kinds in separate buckets', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const limiter = limiterWith({ token: { caller: '1/min' }, refresh: { caller: '1/min' } });
+
+        assert.equal((await limiter.consume('token', { callerId: 'caller-1' })).allowed, true);
+        assert.equal((await limiter.consume('token', { callerId: 'caller-2' })).allowed, true);
+        assert.equal((await limiter.consume('refresh', { callerId: 'caller-1' })).allowed, true);
+        assert.equal((await limiter.consume('token', { callerId: 'caller-1' })).allowed, false);
+    });
+
+    it('rejects on the first empty bucket and reports the tightest one when allowed', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const limiter = limiterWith({ token: { caller: '10/min', user: '2/min', global: '100/min' } });
+
+        const first = await limiter.consume('token', { callerId: 'caller-1', userId: 'user-1' });
+        assert.equal(first.scope, 'user');
+        assert.equal(first.remaining, 1);
+
+        await limiter.consume('token', { callerId: 'caller-1', userId: 'user-1' });
+        const rejected = await limiter.consume('token', { callerId: 'caller-2', userId: 'user-1' });
+        assert.equal(rejected.allowed, false);
+        assert.equal(rejected.scope, 'user');
+        assert.equal((await limiter.consume('token', { callerId: 'caller-2', userId: 'user-2' })).allowed, true);
+    });
+
+    it('lets a batch larger than the bucket drain it instead of failing forever', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const limiter = limiterWith({ token: { caller: '5/min' } });
+
+        const decision = await limiter.consume('token', { callerId: 'caller-1', cost: 50 });
+        assert.equal(decision.allowed, true);
+        assert.equal(decision.remaining, 0);
+        assert.equal((await limiter.consume('token', { callerId: 'caller-1' })).allowed, false);
+    });
+
+    it('lets requests through when the bucket store fails', async () => {
+        const store = { take: async () => { throw new Error('store down'); } };
+        const limiter = new RateLimiter(store, { token: { caller: '1/min' } });
+        assert.deepEqual(await limiter.consume('token', { callerId: 'caller-1' }), { allowed: true });
+    });
+
+    it('answers 429 with Retry-After from the route handler', async (t) => {
+        t.mock.method(Date, 'now', () => NOW);
+        const handler = limiterWith({ refresh: { user: '1/min' } }).limit('refresh');
+        const request = { caller: { id: 'caller-1' }, params: { userId: 'user-1' } };
+
+        assert.equal((await run(handler, request)).passed, true);
+        const rejected = await run(handler, request);
+        assert.equal(rejected.passed, false);
+        assert.equal(rejected.status, 429);
+        assert.equal(rejected.headers['Retry-After'], '60');
+        assert.equal(rejected.headers['RateLimit-Limit'], '1');
+    });
+});
+
+function limiterWith(limits) {
+    return new RateLimiter(new MemoryBucketStore(), limits);
+}
+
+// Run the route handler against a fake request and collect what it sent
+function run(handler, req) {
+    const response = { headers: {} };
+    const res = {
+        header: (name, value) => { response.headers[name] = value; },
+        send: (status, body) => Object.assign(response, { status, body })
+    };
+    return new Promise((resolve, reject) => {
+        handler(req, res, (result) => {
+            if (result instanceof Error) return reject(result);
+            response.passed = result !== false;
+            resolve(response);
+        });
+    });
+}
@@ -0,0 +1,104 @@
+// simpleGraphClient.test.js
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { SimpleGraphClient } = require('../simpleGraphClient');
+const { registry } = require('../metrics');
+
+// A local stand-in for Graph (GRAPH_BASE_URL); each test queues the responses it wants
+describe('SimpleGraphClient against a throttling Graph', () => {
+    const savedEnv = { ...process.env };
+    let server;
+    let responses;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push({ url: req.url, headers: req.headers });
+            const { status = 200, headers = {}, body } = responses.shift() || { status: 500 };
+            if (Buffer.isBuffer(body)) {
+                res.writeHead(status, headers).end(body);
+            } else {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers }).end(JSON.stringify(body ?? {}));
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.GRAPH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+        process.env.GRAPH_MAX_RETRIES = '2';
+        process.env.GRAPH_RETRY_BASE_MS = '1';
+    });
+
+    after(async () => {
+        process.env = savedEnv;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        responses = [];
+        requests = [];
+    });
+
+    it('retries 429 responses after Retry-After and counts them', async () => {
+        responses.push(
+            { status: 429, headers: { 'Retry-After': '0' } },
+            { status: 429, headers: { 'Retry-After': '0' } },
+            { body: { displayName: 'Megan' } }
+        );
+
+        const me = await new SimpleGraphClient('token').getMe();
+        assert.equal(me.displayName, 'Megan');
+        assert.equal(requests.length, 3);
+        assert.equal(requests[0].headers['retry-attempt'], undefined);
+        assert.equal(requests[2].headers['retry-attempt'], '2');
+        assert.equal(requests[2].headers.authorization, 'Bearer token');
+        assert.match(registry.render(), /graph_throttled_responses_total\{endpoint="\/me",status="429",outcome="retried"\} 2/);
+    });
+
+    it('gives up after GRAPH_MAX_RETRIES and returns the throttled response', async () => {
+        responses.push({ status: 503 }, { status: 503 }, { status: 503 }, { body: {} });
+
+        await assert.rejects(new SimpleGraphClient('token').getMe(), error => error.statusCode === 503);
+        assert.equal(requests.length, 3);
+        assert.match(registry.render(), /graph_throttled_responses_total\{endpoint="\/me",status="503",outcome="exhausted"\} 1/);
+    });
+
+    it('does not wait past the retry budget', async () => {
+        responses.push({ status: 429, headers: { 'Retry-After': '120' } }, { body: {} });
+
+        await assert.rejects(new SimpleGraphClient('token').getMe(), error => error.statusCode === 429);
+        assert.equal(requests.length, 1);
+    });
+
+    it('retries throttled photo requests', async () => {
+        responses.push({ status: 429, headers: { 'Retry-After': '0' } }, { headers: { 'Content-Type': 'image/png' }, body: Buffer.from('png') });
+
+        const photo = await new SimpleGraphClient('token').getPhotoAsync('token');
+        assert.equal(photo, `data:image/png;base64,${Buffer.from('png').toString('base64')}`);
+        assert.equal(requests.length, 2);
+        assert.equal(requests[1].url, '/v1.0/me/photos/240x240/$value');
+    });
+
+    it('follows @odata.nextLink until maxItems', async () => {
+        const nextLink = `${process.env.GRAPH_BASE_URL}/v1.0/me/events?$skip=2`;
+        responses.push(
+            { body: { value: [{ id: 1 }, { id: 2 }], '@odata.nextLink': nextLink } },
+            { body: { value: [{ id: 3 }, { id: 4 }], '@odata.nextLink': `${nextLink}0` } }
+        );
+
+        const events = [];
+        for await (const event of new SimpleGraphClient('token').iterateCalendarEvents({ maxItems: 3 })) {
+            events.push(event.id);
+        }
+        assert.deepEqual(events, [1, 2, 3]);
+        assert.equal(requests.length, 2);
+        assert.equal(requests[1].url, '/v1.0/me/events?$skip=2');
+    });
+
+    it('refuses to follow a nextLink to another host', async () => {
+        responses.push({ body: { value: [{ id: 1 }], '@odata.nextLink': 'https://attacker.example.com/v1.0/me/events?$skip=1' } });
+
+        const iterator = new SimpleGraphClient('token').iterateCalendarEvents();
+        assert.equal((await iterator.next()).value.id, 1);
+        await assert.rejects(iterator.next(), /Refusing to follow @odata.nextLink to https:\/\/attacker.example.com/);
+    });
+});
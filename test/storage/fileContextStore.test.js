@@ -0,0 +1,85 @@
+// fileContextStore.test.js
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { FileContextStore } = require('../../storage/fileContextStore');
+
+const REFERENCE = { conversation: { id: 'conversation-1' }, serviceUrl: 'https://smba.trafficmanager.net/teams/' };
+
+describe('FileContextStore', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contexts-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('stores, updates and removes contexts', async () => {
+        const store = await open();
+        assert.equal(await store.storeUserContext('user-1', REFERENCE, { userName: 'Megan' }), true);
+
+        const stored = await store.getUserContext('user-1');
+        assert.deepEqual(stored.conversationReference, REFERENCE);
+        assert.ok(stored.createdAt instanceof Date);
+
+        assert.equal(await store.updateUserContext('user-1', { tokenStatus: 'active' }), true);
+        assert.equal((await store.getUserContext('user-1')).tokenStatus, 'active');
+        assert.equal(await store.updateUserContext('user-2', { tokenStatus: 'active' }), false);
+
+        assert.equal(await store.removeUserContext('user-1'), true);
+        assert.equal(await store.getUserContext('user-1'), null);
+        assert.equal(await store.removeUserContext('user-1'), false);
+    });
+
+    it('keeps every field of concurrent updates', async () => {
+        const store = await open();
+        await store.storeUserContext('user-1', REFERENCE);
+
+        await Promise.all([
+            store.updateUserContext('user-1', { tokenStatus: 'active' }),
+            store.updateUserContext('user-1', { apiConsent: true }),
+            store.storeUserContext('user-1', REFERENCE, { userName: 'Megan' })
+        ]);
+
+        const context = await store.getUserContext('user-1');
+        assert.equal(context.tokenStatus, 'active');
+        assert.equal(context.apiConsent, true);
+        assert.equal(context.userName, 'Megan');
+    });
+
+    it('reloads the snapshot and the log, and skips a torn last line', async () => {
+        const store = await open({ compactThreshold: 3 });
+        await store.storeUserContext('user-1', REFERENCE);
+        await store.storeUserContext('user-2', REFERENCE);
+        await store.storeUserContext('user-3', REFERENCE);
+        await store.updateUserContext('user-2', { tokenStatus: 'expiring' });
+        await store.removeUserContext('user-3');
+        fs.appendFileSync(path.join(directory, 'contexts.log'), '{"op":"set","userId":"user-4","cont');
+
+        const reloaded = await open();
+        assert.deepEqual((await reloaded.getAllUserContexts()).map(context => context.userId).sort(), ['user-1', 'user-2']);
+        assert.equal((await reloaded.getUserContext('user-2')).tokenStatus, 'expiring');
+        assert.ok((await reloaded.getUserContext('user-1')).lastUpdated instanceof Date);
+    });
+
+    it('compacts into the snapshot on close', async () => {
+        const store = await open();
+        await store.storeUserContext('user-1', REFERENCE);
+        await store.close();
+
+        assert.equal(fs.readFileSync(path.join(directory, 'contexts.log'), 'utf8'), '');
+        assert.equal(JSON.parse(fs.readFileSync(path.join(directory, 'contexts.json'), 'utf8'))[0].userId, 'user-1');
+        await assert.rejects(store.getUserContext('user-1'), /not initialized/);
+    });
+
+    async function open(options = {}) {
+        const store = new FileContextStore({ directory, ...options });
+        await store.initialize();
+        return store;
+    }
+});
@@ -0,0 +1,33 @@
+// endpointAddress.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { isPrivateAddress, privateHostProblem } = require('../../webhooks/endpointAddress');
+
+describe('isPrivateAddress', () => {
+    it('treats loopback, private, link-local and IPv4-mapped addresses as private', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a00:1']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    it('treats public addresses as public', () => {
+        for (const address of ['8.8.8.8', '20.190.128.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('privateHostProblem', () => {
+    it('explains why an IP literal host is refused', async () => {
+        assert.equal(
+            await privateHostProblem(new URL('https://169.254.169.254/latest/meta-data')),
+            'url must not point to a loopback, private or link-local address (169.254.169.254)'
+        );
+        assert.match(await privateHostProblem(new URL('http://[::1]:8080/hook')), /\(::1\)$/);
+        assert.equal(await privateHostProblem(new URL('https://8.8.8.8/hook')), null);
+    });
+
+    it('resolves host names', async () => {
+        assert.match(await privateHostProblem(new URL('https://localhost/hook')), /\(localhost resolves to (127\.0\.0\.1|::1)\)$/);
+    });
+});
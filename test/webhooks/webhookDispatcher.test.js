@@ -0,0 +1,119 @@
+// webhookDispatcher.test.js
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { describe, it, before, after } = require('node:test');
+const { WebhookDispatcher, signPayload, SIGNATURE_HEADER } = require('../../webhooks/webhookDispatcher');
+const { MemoryWebhookStore } = require('../../webhooks');
+
+const SECRET = 'whsec-test-secret-value';
+const BODY = JSON.stringify({ type: 'user.signedIn', data: { userId: 'user-1' } });
+const CALLER = { id: 'reporting-service', tenants: null };
+
+describe('signPayload', () => {
+    it('signs the timestamp and body with HMAC-SHA256', () => {
+        const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${BODY}`).digest('hex');
+        assert.equal(signPayload(SECRET, 1700000000, BODY), `t=1700000000,v1=${expected}`);
+        assert.equal(SIGNATURE_HEADER, 'x-webhook-signature');
+    });
+
+    it('lets receivers detect changed bodies, timestamps and secrets', () => {
+        const signature = signPayload(SECRET, 1700000000, BODY);
+        assert.equal(verify(signature, SECRET, BODY), true);
+        assert.equal(verify(signature, SECRET, BODY.replace('user-1', 'user-2')), false);
+        assert.equal(verify(signature.replace('t=1700000000', 't=1700000001'), SECRET, BODY), false);
+        assert.equal(verify(signature, 'whsec-other', BODY), false);
+    });
+});
+
+describe('WebhookDispatcher', () => {
+    let server;
+    let received;
+    let port;
+
+    before(async () => {
+        received = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(204).end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('refuses endpoints on private addresses unless allowed', async () => {
+        const dispatcher = await start({ allowHttp: true });
+        for (const url of ['https://127.0.0.1/hook', 'https://169.254.169.254/hook', `http://localhost:${port}/hook`]) {
+            const result = await dispatcher.register({ url }, CALLER);
+            assert.equal(result.success, false, url);
+            assert.match(result.message, /must not point to a loopback, private or link-local address/);
+        }
+        assert.equal(dispatcher.list(CALLER, false).length, 0);
+    });
+
+    it('delivers signed events and never lists the secret', async () => {
+        const dispatcher = await start({ allowHttp: true, allowPrivateHosts: true });
+        const { subscription } = await dispatcher.register({ url: `http://127.0.0.1:${port}/hook`, secret: SECRET }, CALLER);
+        assert.equal(subscription.secret, SECRET);
+        assert.equal(dispatcher.list(CALLER, false)[0].secret, undefined);
+        assert.equal(dispatcher.list(CALLER, false)[0].id, subscription.id);
+
+        received.length = 0;
+        dispatcher.dispatch(event());
+        await waitFor(() => received.length === 1);
+
+        const [delivery] = received;
+        assert.equal(delivery.headers['x-webhook-id'], 'event-1');
+        assert.equal(verify(delivery.headers[SIGNATURE_HEADER], SECRET, delivery.body), true);
+        assert.equal(JSON.parse(delivery.body).type, 'user.signedIn');
+    });
+
+    it('dead-letters deliveries to a host that now resolves to a private address, without retrying', async () => {
+        const dispatcher = await start({ allowHttp: true, allowPrivateHosts: true });
+        await dispatcher.register({ url: `http://localhost:${port}/hook`, secret: SECRET }, CALLER);
+        dispatcher.allowPrivateHosts = false;
+
+        received.length = 0;
+        dispatcher.dispatch(event());
+        await waitFor(() => dispatcher.deadLettered === 1);
+
+        assert.equal(received.length, 0);
+        assert.equal(dispatcher.retryTimers.size, 0);
+        const [deadLetter] = await dispatcher.deadLetters(CALLER, true);
+        assert.match(deadLetter.lastError, /resolves to the private address/);
+    });
+});
+
+async function start(options) {
+    const events = { subscribe: () => () => {} };
+    const dispatcher = new WebhookDispatcher(events, new MemoryWebhookStore(), { maxAttempts: 3, baseDelayMs: 1, ...options });
+    await dispatcher.initialize();
+    return dispatcher;
+}
+
+function event() {
+    return { id: 'event-1', type: 'user.signedIn', tenantId: 'tenant-1', data: { userId: 'user-1' } };
+}
+
+async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'timed out waiting for the delivery');
+}
+
+// What a receiver does with the X-Webhook-Signature header
+function verify(header, secret, body) {
+    const { t: timestamp, v1: signature } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest();
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
@@ -0,0 +1,97 @@
+// endpointAddress.js
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local (including cloud metadata endpoints), shared, reserved and multicast ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+const IPV4_MAPPED = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i;
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ */
+function isPrivateAddress(address) {
+    const mapped = IPV4_MAPPED.exec(address);
+    if (mapped) {
+        // ::ffff:10.0.0.1 and its hex form ::ffff:a00:1 reach the IPv4 address
+        const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+            .map(group => parseInt(group, 16))
+            .flatMap(value => [value >> 8, value & 0xff])
+            .join('.');
+        return PRIVATE_RANGES.check(ipv4, 'ipv4');
+    }
+
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Why a webhook URL's host must not be used, resolving host names
+ * @param {URL} url - The endpoint
+ * @returns {Promise<string|null>} The problem, or null for a public host
+ */
+async function privateHostProblem(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [host];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            return `url host ${host} could not be resolved`;
+        }
+    }
+
+    const blocked = addresses.find(isPrivateAddress);
+    if (!blocked) return null;
+    const where = blocked === host ? host : `${host} resolves to ${blocked}`;
+    return `url must not point to a loopback, private or link-local address (${where})`;
+}
+
+/**
+ * dns.lookup that fails for private addresses, so a host name cannot be re-pointed at one after it was registered
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const entries = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = entries.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            const blockedError = new Error(`${hostname} resolves to the private address ${blocked.address}`);
+            blockedError.code = 'EPRIVATEADDRESS';
+            return callback(blockedError);
+        }
+        callback(null, address, family);
+    });
+}
+
+const publicAgents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * node-fetch `agent` option that only connects to public addresses. Sockets to IP literals skip the
+ * lookup, so check those with isPrivateAddress before fetching.
+ */
+function publicAgent(parsedUrl) {
+    return publicAgents[parsedUrl.protocol];
+}
+
+module.exports = { isPrivateAddress, privateHostProblem, publicAgent };
@@ -0,0 +1,142 @@
+// fileWebhookStore.js
+const fs = require('fs');
+const path = require('path');
+const { WebhookStoreBackend, matchesDeadLetterFilter, deadLetterLimit } = require('./webhookStoreBackend');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'FileWebhookStore' });
+
+const WEBHOOKS_FILE = 'webhooks.json';
+
+/**
+ * File-backed webhook store backend. Subscriptions and dead letters are small and rarely
+ * written, so every change rewrites the whole file: written to a temporary file, fsynced and
+ * renamed over the old one. Writes are serialized within the process.
+ */
+class FileWebhookStore extends WebhookStoreBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory holding webhooks.json (WEBHOOK_STORE_DIR, then CONTEXT_STORE_DIR, then .data)
+     */
+    constructor(options = {}) {
+        super('file', true);
+        this.directory = options.directory ||
+            process.env.WEBHOOK_STORE_DIR ||
+            process.env.CONTEXT_STORE_DIR ||
+            path.join(__dirname, '..', '.data');
+        this.filePath = path.join(this.directory, WEBHOOKS_FILE);
+        this.subscriptions = new Map();
+        this.deadLetters = [];
+        this.writeQueue = Promise.resolve();
+        this.isReady = false;
+    }
+
+    async initialize() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        let text = null;
+        try {
+            text = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (text) {
+            const state = JSON.parse(text);
+            for (const subscription of state.subscriptions || []) {
+                this.subscriptions.set(subscription.id, subscription);
+            }
+            this.deadLetters = state.deadLetters || [];
+        }
+
+        this.isReady = true;
+        log.info('File webhook store loaded', {
+            subscriptions: this.subscriptions.size,
+            deadLetters: this.deadLetters.length,
+            filePath: this.filePath
+        });
+    }
+
+    async listSubscriptions() {
+        return Array.from(this.subscriptions.values()).map(subscription => ({ ...subscription }));
+    }
+
+    async saveSubscription(subscription) {
+        this.subscriptions.set(subscription.id, { ...subscription });
+        await this.persist();
+    }
+
+    async deleteSubscription(id) {
+        const deleted = this.subscriptions.delete(id);
+        if (deleted) {
+            await this.persist();
+        }
+        return deleted;
+    }
+
+    async addDeadLetter(entry) {
+        this.deadLetters.push({ ...entry });
+        const excess = this.deadLetters.length - deadLetterLimit();
+        if (excess > 0) {
+            this.deadLetters.splice(0, excess);
+        }
+        await this.persist();
+    }
+
+    async listDeadLetters(filter = {}) {
+        const limit = filter.limit || 100;
+        return this.deadLetters
+            .filter(entry => matchesDeadLetterFilter(entry, filter))
+            .reverse()
+            .slice(0, limit)
+            .map(entry => ({ ...entry }));
+    }
+
+    async getDeadLetter(id) {
+        const entry = this.deadLetters.find(candidate => candidate.id === id);
+        return entry ? { ...entry } : null;
+    }
+
+    async takeDeadLetter(id) {
+        const index = this.deadLetters.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        const [entry] = this.deadLetters.splice(index, 1);
+        await this.persist();
+        return entry;
+    }
+
+    /**
+     * Queue a rewrite of the file with the current state
+     */
+    persist() {
+        const write = this.writeQueue.then(async () => {
+            const state = {
+                subscriptions: Array.from(this.subscriptions.values()),
+                deadLetters: this.deadLetters
+            };
+            const tempPath = `${this.filePath}.tmp`;
+            const handle = await fs.promises.open(tempPath, 'w');
+            try {
+                await handle.writeFile(JSON.stringify(state));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    async healthCheck() {
+        return this.isReady;
+    }
+
+    async close() {
+        await this.writeQueue;
+        this.isReady = false;
+    }
+}
+
+module.exports = { FileWebhookStore };
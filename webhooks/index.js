@@ -0,0 +1,38 @@
+// index.js - webhook store backend selection
+const { WebhookStoreBackend } = require('./webhookStoreBackend');
+const { MemoryWebhookStore } = require('./memoryWebhookStore');
+const { FileWebhookStore } = require('./fileWebhookStore');
+const { MongoWebhookStore } = require('./mongoWebhookStore');
+
+const BACKENDS = {
+    memory: () => new MemoryWebhookStore(),
+    file: () => new FileWebhookStore(),
+    mongodb: () => new MongoWebhookStore()
+};
+
+/**
+ * Create the webhook store backend named by WEBHOOK_STORE_BACKEND (memory | file | mongodb).
+ * Defaults to the context store backend, so subscriptions live next to user contexts.
+ * @param {string} backendName - Overrides the environment variable
+ * @returns {WebhookStoreBackend}
+ */
+function createWebhookStore(backendName = process.env.WEBHOOK_STORE_BACKEND) {
+    const name = (backendName ||
+        process.env.CONTEXT_STORE_BACKEND ||
+        (process.env.MONGODB_CONNECTION_STRING ? 'mongodb' : 'file')).toLowerCase();
+    const factory = BACKENDS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown webhook store backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return factory();
+}
+
+module.exports = {
+    createWebhookStore,
+    WebhookStoreBackend,
+    MemoryWebhookStore,
+    FileWebhookStore,
+    MongoWebhookStore
+};
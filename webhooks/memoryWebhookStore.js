@@ -0,0 +1,63 @@
+// memoryWebhookStore.js
+const { WebhookStoreBackend, matchesDeadLetterFilter, deadLetterLimit } = require('./webhookStoreBackend');
+
+/**
+ * In-memory webhook store backend.
+ * Subscriptions are lost on restart; intended for tests and throwaway local runs.
+ */
+class MemoryWebhookStore extends WebhookStoreBackend {
+    constructor() {
+        super('memory', false);
+        this.subscriptions = new Map();
+        this.deadLetters = [];
+    }
+
+    async initialize() {}
+
+    async listSubscriptions() {
+        return Array.from(this.subscriptions.values()).map(subscription => ({ ...subscription }));
+    }
+
+    async saveSubscription(subscription) {
+        this.subscriptions.set(subscription.id, { ...subscription });
+    }
+
+    async deleteSubscription(id) {
+        return this.subscriptions.delete(id);
+    }
+
+    async addDeadLetter(entry) {
+        this.deadLetters.push({ ...entry });
+        const excess = this.deadLetters.length - deadLetterLimit();
+        if (excess > 0) {
+            this.deadLetters.splice(0, excess);
+        }
+    }
+
+    async listDeadLetters(filter = {}) {
+        const limit = filter.limit || 100;
+        return this.deadLetters
+            .filter(entry => matchesDeadLetterFilter(entry, filter))
+            .reverse()
+            .slice(0, limit)
+            .map(entry => ({ ...entry }));
+    }
+
+    async getDeadLetter(id) {
+        const entry = this.deadLetters.find(candidate => candidate.id === id);
+        return entry ? { ...entry } : null;
+    }
+
+    async takeDeadLetter(id) {
+        const index = this.deadLetters.findIndex(entry => entry.id === id);
+        return index === -1 ? null : this.deadLetters.splice(index, 1)[0];
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    async close() {}
+}
+
+module.exports = { MemoryWebhookStore };
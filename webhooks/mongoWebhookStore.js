@@ -0,0 +1,121 @@
+// mongoWebhookStore.js
+const { MongoClient } = require('mongodb');
+const { WebhookStoreBackend } = require('./webhookStoreBackend');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'MongoWebhookStore' });
+
+/**
+ * MongoDB webhook store backend, shared by every bot instance.
+ * Dead letters expire through a TTL index after WEBHOOK_DEAD_LETTER_RETENTION_DAYS (default 30).
+ */
+class MongoWebhookStore extends WebhookStoreBackend {
+    constructor() {
+        super('mongodb', true);
+        this.client = null;
+        this.db = null;
+        this.subscriptions = null;
+        this.deadLetters = null;
+        this.retentionMs = (parseInt(process.env.WEBHOOK_DEAD_LETTER_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+        this.isConnected = false;
+    }
+
+    async initialize() {
+        try {
+            const connectionString = process.env.MONGODB_CONNECTION_STRING || 'mongodb://localhost:27017';
+            const dbName = process.env.MONGODB_DB_NAME || 'teamsbot';
+            const subscriptionsName = process.env.MONGODB_WEBHOOK_COLLECTION_NAME || 'webhooks';
+            const deadLettersName = process.env.MONGODB_WEBHOOK_DEAD_LETTER_COLLECTION_NAME || 'webhook_dead_letters';
+
+            const serverSelectionTimeoutMS = parseInt(process.env.MONGODB_TIMEOUT_MS, 10) || 5000;
+
+            this.client = new MongoClient(connectionString, { serverSelectionTimeoutMS });
+            await this.client.connect();
+
+            this.db = this.client.db(dbName);
+            this.subscriptions = this.db.collection(subscriptionsName);
+            this.deadLetters = this.db.collection(deadLettersName);
+
+            await this.subscriptions.createIndex({ id: 1 }, { unique: true });
+            await this.deadLetters.createIndex({ id: 1 }, { unique: true });
+            await this.deadLetters.createIndex({ subscriptionId: 1, deadAt: -1 });
+            await this.deadLetters.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+            this.isConnected = true;
+            log.info('MongoDB webhook store connected', { dbName, subscriptionsName, deadLettersName });
+        } catch (error) {
+            log.error('MongoDB webhook store connection failed', error);
+            throw error;
+        }
+    }
+
+    async listSubscriptions() {
+        this.ensureConnected();
+        return await this.subscriptions.find({}, { projection: { _id: 0 } }).toArray();
+    }
+
+    async saveSubscription(subscription) {
+        this.ensureConnected();
+        await this.subscriptions.replaceOne({ id: subscription.id }, { ...subscription }, { upsert: true });
+    }
+
+    async deleteSubscription(id) {
+        this.ensureConnected();
+        const result = await this.subscriptions.deleteOne({ id });
+        return result.deletedCount > 0;
+    }
+
+    async addDeadLetter(entry) {
+        this.ensureConnected();
+        await this.deadLetters.insertOne({ ...entry, expiresAt: new Date(Date.now() + this.retentionMs) });
+    }
+
+    async listDeadLetters(filter = {}) {
+        this.ensureConnected();
+
+        const query = {};
+        if (filter.subscriptionIds) query.subscriptionId = { $in: filter.subscriptionIds };
+
+        return await this.deadLetters
+            .find(query, { projection: { _id: 0, expiresAt: 0 } })
+            .sort({ deadAt: -1 })
+            .limit(filter.limit || 100)
+            .toArray();
+    }
+
+    async getDeadLetter(id) {
+        this.ensureConnected();
+        return await this.deadLetters.findOne({ id }, { projection: { _id: 0, expiresAt: 0 } });
+    }
+
+    async takeDeadLetter(id) {
+        this.ensureConnected();
+        return await this.deadLetters.findOneAndDelete({ id }, { projection: { _id: 0, expiresAt: 0 } });
+    }
+
+    ensureConnected() {
+        if (!this.isConnected) {
+            throw new Error('MongoDB not connected');
+        }
+    }
+
+    async healthCheck() {
+        try {
+            if (!this.isConnected) return false;
+            await this.db.admin().ping();
+            return true;
+        } catch (error) {
+            log.error('MongoDB webhook store health check failed', error);
+            return false;
+        }
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.close();
+            this.isConnected = false;
+        }
+    }
+}
+
+module.exports = { MongoWebhookStore };
@@ -0,0 +1,416 @@
+// webhookDispatcher.js
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const net = require('net');
+const { createWebhookStore } = require('./index');
+const { isPrivateAddress, privateHostProblem, publicAgent } = require('./endpointAddress');
+const { BOT_EVENTS } = require('../events/botEvents');
+const { CORRELATION_HEADER } = require('../logging/correlation');
+const { metrics } = require('../metrics');
+const { logger } = require('../logging/logger');
+
+const log = logger.child({ component: 'WebhookDispatcher' });
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const EVENT_TYPES = Object.values(BOT_EVENTS);
+const ALL_EVENTS = '*';
+const MAX_SUBSCRIPTIONS_PER_CALLER = 25;
+
+/**
+ * Delivers bot events to registered webhook endpoints.
+ *
+ * Every delivery is a JSON POST of the event envelope (see BotEvents) signed with the
+ * subscription's secret: `X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * Receivers should recompute the HMAC over the raw body, compare in constant time and reject old
+ * timestamps. X-Webhook-Id carries the event id (stable across retries, for de-duplication).
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with exponential backoff and
+ * jitter up to WEBHOOK_MAX_ATTEMPTS (default 6) attempts; other responses and exhausted retries put
+ * the delivery on the dead-letter list, from which it can be redelivered. Retries are scheduled in
+ * this process, so deliveries still waiting for a retry are lost on restart, and events for one
+ * subscription may arrive out of order.
+ *
+ * Subscriptions belong to the caller that registered them and only receive events for users of
+ * that caller's tenants. Endpoints on loopback, private and link-local addresses are refused unless
+ * WEBHOOK_ALLOW_PRIVATE_HOSTS is on, both when registering and, as DNS may change, when delivering.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {BotEvents} events - The event bus to deliver from
+     * @param {WebhookStoreBackend} store - The storage backend (see webhooks/index.js)
+     * @param {Object} options
+     * @param {TenantPolicy} options.tenantPolicy - Decides which tenants a subscription's caller may see
+     * @param {number} options.maxAttempts - Delivery attempts before dead-lettering (WEBHOOK_MAX_ATTEMPTS)
+     * @param {number} options.baseDelayMs - First retry delay, doubled per attempt (WEBHOOK_RETRY_BASE_MS)
+     * @param {number} options.maxDelayMs - Longest retry delay (WEBHOOK_RETRY_MAX_MS)
+     * @param {number} options.timeoutMs - Per attempt request timeout (WEBHOOK_TIMEOUT_MS)
+     * @param {boolean} options.allowHttp - Accept plain http:// endpoints (WEBHOOK_ALLOW_HTTP, for local testing)
+     * @param {boolean} options.allowPrivateHosts - Accept endpoints on loopback, private and link-local addresses
+     *   (WEBHOOK_ALLOW_PRIVATE_HOSTS, for local testing)
+     */
+    constructor(events, store = createWebhookStore(), options = {}) {
+        this.events = events;
+        this.store = store;
+        this.tenantPolicy = options.tenantPolicy || null;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+        this.baseDelayMs = options.baseDelayMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+        this.maxDelayMs = options.maxDelayMs || parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 10 * 60 * 1000;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+        this.allowHttp = options.allowHttp ?? process.env.WEBHOOK_ALLOW_HTTP === 'true';
+        this.allowPrivateHosts = options.allowPrivateHosts ?? process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+        this.subscriptions = new Map();
+        this.retryTimers = new Set();
+        this.unsubscribe = null;
+        this.available = false;
+        this.lastError = null;
+        this.delivered = 0;
+        this.deadLettered = 0;
+    }
+
+    /**
+     * Connect the backend, load the subscriptions and start delivering.
+     * If the backend is unavailable the bot keeps running without webhooks.
+     */
+    async initialize() {
+        try {
+            await this.store.initialize();
+            for (const subscription of await this.store.listSubscriptions()) {
+                this.subscriptions.set(subscription.id, subscription);
+            }
+            this.available = true;
+            this.lastError = null;
+            this.unsubscribe = this.events.subscribe(event => this.dispatch(event));
+            log.info('Webhook dispatcher ready', { backend: this.store.name, subscriptions: this.subscriptions.size });
+        } catch (error) {
+            this.available = false;
+            this.lastError = error.message;
+            log.error('Webhook store unavailable, events will not be delivered', { backend: this.store.name, error: error.message });
+        }
+    }
+
+    /**
+     * Register an endpoint for the caller
+     * @param {Object} request - { url, events, description, secret }; events defaults to every event,
+     *   secret to a generated one
+     * @param {Object} caller - The authenticated caller
+     * @returns {Promise<Object>} { success, subscription } with the secret, which is not returned again,
+     *   or { success: false, badRequest, error, message }
+     */
+    async register(request, caller) {
+        this.ensureAvailable();
+
+        const problem = await this.validateRequest(request, caller);
+        if (problem) {
+            return { success: false, badRequest: true, error: 'Invalid webhook', message: problem };
+        }
+
+        const subscription = {
+            id: crypto.randomUUID(),
+            url: request.url,
+            events: request.events?.length ? Array.from(new Set(request.events)) : [ALL_EVENTS],
+            description: request.description || null,
+            secret: request.secret || crypto.randomBytes(32).toString('base64url'),
+            callerId: caller.id,
+            tenants: caller.tenants || null,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.store.saveSubscription(subscription);
+        this.subscriptions.set(subscription.id, subscription);
+        log.info('Webhook registered', { subscriptionId: subscription.id, callerId: caller.id, events: subscription.events });
+        return { success: true, subscription: subscription };
+    }
+
+    async validateRequest(request, caller) {
+        let url;
+        try {
+            url = new URL(request?.url);
+        } catch (error) {
+            return 'url must be an absolute URL';
+        }
+        if (url.protocol !== 'https:' && !(this.allowHttp && url.protocol === 'http:')) {
+            return 'url must use https';
+        }
+        if (url.username || url.password) {
+            return 'url must not contain credentials; verify deliveries with the signature instead';
+        }
+        if (!this.allowPrivateHosts) {
+            const hostProblem = await privateHostProblem(url);
+            if (hostProblem) return hostProblem;
+        }
+
+        if (request.events !== undefined) {
+            if (!Array.isArray(request.events) || request.events.some(type => type !== ALL_EVENTS && !EVENT_TYPES.includes(type))) {
+                return `events must be a list of: ${[ALL_EVENTS, ...EVENT_TYPES].join(', ')}`;
+            }
+        }
+        if (request.secret !== undefined && (typeof request.secret !== 'string' || request.secret.length < 16)) {
+            return 'secret must be a string of at least 16 characters';
+        }
+
+        const owned = Array.from(this.subscriptions.values()).filter(subscription => subscription.callerId === caller.id);
+        if (owned.length >= MAX_SUBSCRIPTIONS_PER_CALLER) {
+            return `A caller can register at most ${MAX_SUBSCRIPTIONS_PER_CALLER} webhooks`;
+        }
+        return null;
+    }
+
+    /**
+     * Subscriptions the caller may see and delete: its own, or every one for unrestricted admins
+     * @param {Object} caller - The authenticated caller
+     * @param {boolean} managesAll - Whether the caller manages every webhook
+     * @returns {Object[]} Subscriptions without their secrets
+     */
+    list(caller, managesAll) {
+        return Array.from(this.subscriptions.values())
+            .filter(subscription => managesAll || subscription.callerId === caller.id)
+            .map(withoutSecret);
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the caller's subscription existed and was deleted
+     */
+    async remove(id, caller, managesAll) {
+        this.ensureAvailable();
+
+        const subscription = this.subscriptions.get(id);
+        if (!subscription || (!managesAll && subscription.callerId !== caller.id)) {
+            return false;
+        }
+
+        await this.store.deleteSubscription(id);
+        this.subscriptions.delete(id);
+        log.info('Webhook deleted', { subscriptionId: id, callerId: caller.id });
+        return true;
+    }
+
+    /**
+     * Dead letters of the caller's subscriptions (all of them for admins), newest first
+     */
+    async deadLetters(caller, managesAll, filter = {}) {
+        this.ensureAvailable();
+
+        let subscriptionIds = managesAll ? null : this.list(caller, false).map(subscription => subscription.id);
+        if (filter.subscriptionId) {
+            subscriptionIds = subscriptionIds ? subscriptionIds.filter(id => id === filter.subscriptionId) : [filter.subscriptionId];
+        }
+
+        return await this.store.listDeadLetters({
+            subscriptionIds: subscriptionIds || undefined,
+            limit: Math.min(filter.limit || 100, 1000)
+        });
+    }
+
+    /**
+     * Take a dead letter off the list and deliver it again from the first attempt
+     * @returns {Promise<Object>} { success, deadLetter } or { success: false, error, message }
+     */
+    async redeliver(deadLetterId, caller, managesAll) {
+        this.ensureAvailable();
+
+        const entry = await this.store.getDeadLetter(deadLetterId);
+        const subscription = entry && this.subscriptions.get(entry.subscriptionId);
+        if (!entry || (!managesAll && entry.callerId !== caller.id)) {
+            return { success: false, error: 'Dead letter not found', message: `No dead letter with id ${deadLetterId}` };
+        }
+        if (!subscription) {
+            return { success: false, error: 'Webhook not found', message: 'The dead letter\'s webhook has been deleted' };
+        }
+
+        const taken = await this.store.takeDeadLetter(deadLetterId);
+        if (!taken) {
+            return { success: false, error: 'Dead letter not found', message: 'The dead letter was already redelivered' };
+        }
+
+        log.info('Redelivering dead letter', { deadLetterId, subscriptionId: subscription.id, eventId: taken.event.id });
+        this.deliver(subscription, taken.event, 1);
+        return { success: true, deadLetter: taken };
+    }
+
+    /**
+     * Start delivering an event to every matching subscription; never throws
+     */
+    dispatch(event) {
+        for (const subscription of this.subscriptions.values()) {
+            if (this.matches(subscription, event)) {
+                this.deliver(subscription, event, 1);
+            }
+        }
+    }
+
+    matches(subscription, event) {
+        if (!subscription.events.includes(ALL_EVENTS) && !subscription.events.includes(event.type)) {
+            return false;
+        }
+
+        const caller = { tenants: subscription.tenants };
+        if (this.tenantPolicy) {
+            return this.tenantPolicy.canAccess(caller, event.tenantId);
+        }
+        return !caller.tenants || caller.tenants.includes(event.tenantId);
+    }
+
+    deliver(subscription, event, attempt) {
+        this.attemptDelivery(subscription, event, attempt).catch((error) => {
+            log.error('Webhook delivery failed unexpectedly', { subscriptionId: subscription.id, eventId: event.id, error });
+        });
+    }
+
+    async attemptDelivery(subscription, event, attempt) {
+        // Deleted while a retry was waiting
+        if (!this.subscriptions.has(subscription.id)) return;
+
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'TeamsSSOBot-Webhooks/1.0',
+            'X-Webhook-Id': event.id,
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Attempt': String(attempt),
+            [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+        };
+        if (event.correlationId) {
+            headers[CORRELATION_HEADER] = event.correlationId;
+        }
+
+        let status = null;
+        let failure = null;
+        let blocked = false;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        try {
+            const options = { method: 'POST', headers, body, signal: controller.signal, redirect: 'manual' };
+            if (!this.allowPrivateHosts) {
+                // Host names are checked as they are resolved for the connection; IP literals are not resolved
+                const host = new URL(subscription.url).hostname.replace(/^\[|\]$/g, '');
+                if (net.isIP(host) && isPrivateAddress(host)) {
+                    throw Object.assign(new Error(`${host} is a private address`), { code: 'EPRIVATEADDRESS' });
+                }
+                options.agent = publicAgent;
+            }
+            const response = await fetch(subscription.url, options);
+            status = response.status;
+            if (response.ok) {
+                this.delivered++;
+                metrics.webhookDeliveries.inc({ event: event.type, outcome: 'delivered' });
+                log.debug('Webhook delivered', { subscriptionId: subscription.id, eventId: event.id, attempt, status });
+                return;
+            }
+            failure = `Endpoint returned ${status}`;
+        } catch (error) {
+            blocked = error.code === 'EPRIVATEADDRESS';
+            failure = error.name === 'AbortError' ? `No response within ${this.timeoutMs}ms` : error.message;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const retryable = !blocked && (status === null || status === 408 || status === 429 || status >= 500);
+        if (retryable && attempt < this.maxAttempts) {
+            const delayMs = this.retryDelay(attempt);
+            metrics.webhookDeliveries.inc({ event: event.type, outcome: 'retried' });
+            log.warn('Webhook delivery failed, retrying', { subscriptionId: subscription.id, eventId: event.id, attempt, status, failure, delayMs });
+
+            const retry = setTimeout(() => {
+                this.retryTimers.delete(retry);
+                this.deliver(subscription, event, attempt + 1);
+            }, delayMs);
+            retry.unref();
+            this.retryTimers.add(retry);
+            return;
+        }
+
+        await this.deadLetter(subscription, event, attempt, status, failure);
+    }
+
+    /**
+     * Exponential backoff with jitter: between half and all of base * 2^(attempt-1), capped
+     */
+    retryDelay(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    async deadLetter(subscription, event, attempts, status, failure) {
+        this.deadLettered++;
+        metrics.webhookDeliveries.inc({ event: event.type, outcome: 'dead-lettered' });
+        log.error('Webhook delivery dead-lettered', { subscriptionId: subscription.id, eventId: event.id, attempts, status, failure });
+
+        try {
+            await this.store.addDeadLetter({
+                id: crypto.randomUUID(),
+                subscriptionId: subscription.id,
+                callerId: subscription.callerId,
+                url: subscription.url,
+                event: event,
+                attempts: attempts,
+                lastStatus: status,
+                lastError: failure,
+                deadAt: new Date().toISOString()
+            });
+        } catch (error) {
+            log.error('Failed to store dead letter', { subscriptionId: subscription.id, eventId: event.id, error });
+        }
+    }
+
+    ensureAvailable() {
+        if (!this.available) {
+            throw new Error('Webhook store not available');
+        }
+    }
+
+    async healthCheck() {
+        let backendHealthy = false;
+        try {
+            backendHealthy = this.available && await this.store.healthCheck();
+        } catch (error) {
+            backendHealthy = false;
+        }
+
+        return {
+            available: this.available,
+            backend: this.store.name,
+            durable: this.store.durable,
+            backendHealthy: backendHealthy,
+            subscriptions: this.subscriptions.size,
+            pendingRetries: this.retryTimers.size,
+            delivered: this.delivered,
+            deadLettered: this.deadLettered,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Stop delivering and close the backend. Deliveries waiting for a retry are dropped.
+     */
+    async close() {
+        this.unsubscribe?.();
+        if (this.retryTimers.size > 0) {
+            log.warn('Dropping webhook deliveries waiting for a retry', { pendingRetries: this.retryTimers.size });
+        }
+        for (const timer of this.retryTimers) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+        await this.store.close();
+    }
+}
+
+/**
+ * X-Webhook-Signature value for a payload
+ * @param {string} secret - The subscription's secret
+ * @param {number} timestamp - Unix seconds, also sent in the header
+ * @param {string} body - The raw JSON body
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+function withoutSecret(subscription) {
+    const visible = { ...subscription };
+    delete visible.secret;
+    return visible;
+}
+
+module.exports = { WebhookDispatcher, signPayload, SIGNATURE_HEADER };
@@ -0,0 +1,104 @@
+// webhookStoreBackend.js
+
+/**
+ * Interface for webhook storage backends: the registered subscriptions and the dead-letter list
+ * of deliveries that exhausted their retries. Implementations must override every method below.
+ */
+class WebhookStoreBackend {
+    /**
+     * @param {string} name - Backend name reported by health checks
+     * @param {boolean} durable - Whether subscriptions survive a process restart
+     */
+    constructor(name, durable) {
+        this.name = name;
+        this.durable = durable;
+    }
+
+    /**
+     * Prepare the backend for use (open connections, load files, ...)
+     */
+    async initialize() {
+        throw new Error(`${this.name}: initialize() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Every subscription, secrets included
+     */
+    async listSubscriptions() {
+        throw new Error(`${this.name}: listSubscriptions() not implemented`);
+    }
+
+    /**
+     * Insert or replace a subscription by id
+     * @param {Object} subscription - { id, url, events, secret, description, callerId, tenants, createdAt }
+     */
+    async saveSubscription(subscription) {
+        throw new Error(`${this.name}: saveSubscription() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the subscription existed
+     */
+    async deleteSubscription(id) {
+        throw new Error(`${this.name}: deleteSubscription() not implemented`);
+    }
+
+    /**
+     * Record a delivery that will not be retried any more
+     * @param {Object} entry - { id, subscriptionId, callerId, url, event, attempts, lastStatus, lastError, deadAt }
+     */
+    async addDeadLetter(entry) {
+        throw new Error(`${this.name}: addDeadLetter() not implemented`);
+    }
+
+    /**
+     * Find dead letters, newest first
+     * @param {Object} filter - { subscriptionIds, limit }
+     * @returns {Promise<Object[]>}
+     */
+    async listDeadLetters(filter) {
+        throw new Error(`${this.name}: listDeadLetters() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The dead letter with that id
+     */
+    async getDeadLetter(id) {
+        throw new Error(`${this.name}: getDeadLetter() not implemented`);
+    }
+
+    /**
+     * Remove a dead letter, e.g. to redeliver it
+     * @returns {Promise<Object|null>} The removed entry, or null if there was none
+     */
+    async takeDeadLetter(id) {
+        throw new Error(`${this.name}: takeDeadLetter() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the backend is usable
+     */
+    async healthCheck() {
+        throw new Error(`${this.name}: healthCheck() not implemented`);
+    }
+
+    async close() {
+        throw new Error(`${this.name}: close() not implemented`);
+    }
+}
+
+/**
+ * In-process dead-letter filter shared by the memory and file backends
+ */
+function matchesDeadLetterFilter(entry, filter = {}) {
+    return !filter.subscriptionIds || filter.subscriptionIds.includes(entry.subscriptionId);
+}
+
+/**
+ * Dead letters kept by the memory and file backends before the oldest are dropped
+ */
+function deadLetterLimit() {
+    return parseInt(process.env.WEBHOOK_DEAD_LETTER_LIMIT, 10) || 1000;
+}
+
+module.exports = { WebhookStoreBackend, matchesDeadLetterFilter, deadLetterLimit };